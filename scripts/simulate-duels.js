@@ -0,0 +1,191 @@
+// Headless duel runner: pits two scripted duelists against each other in the real MatchSimulation
+// (same rules, colliders and hazards as the browser build) and prints balance stats.
+//
+//   npm run sim -- --duels 2000 --p1 Vandal --p2 Sniper --seed K3F9ZQ
+//   npm run sim -- --duels 500 --mode 3v3 --ff reduced     (blue team gets --p1's weapon, red --p2's)
+//   npm run sim -- --stats                                  (weapon stats table incl. falloff curves, no duels)
+//
+// A "duel" ends at the first kill (or after --timeout seconds). Same seed + args -> same numbers.
+import { World } from '../src/game/World.js';
+import { FRIENDLY_FIRE, MatchSimulation, SIM_DT, TEAM_MODES, emptyIntent, playerIdsFor } from '../src/game/MatchSimulation.js';
+import { WEAPONS, WeaponType, falloffScale } from '../src/game/Weapons.js';
+import { createRng, normalizeSeed, randomSeed } from '../src/game/Random.js';
+
+function parseArgs(argv) {
+  const args = { duels: 500, p1: WeaponType.VANDAL, p2: WeaponType.PISTOL, timeout: 30, aimError: 0.03, seed: '', mode: 'ffa', ff: 'off', stats: false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) continue;
+    if (typeof args[key] === 'boolean') {
+      args[key] = true;
+      continue;
+    }
+    const raw = argv[++i];
+    args[key] = typeof args[key] === 'number' ? Number(raw) : raw;
+  }
+  if (!(args.mode in TEAM_MODES)) throw new Error(`--mode: ${Object.keys(TEAM_MODES).join(' | ')}`);
+  if (!(args.ff in FRIENDLY_FIRE)) throw new Error(`--ff: ${Object.keys(FRIENDLY_FIRE).join(' | ')}`);
+  return args;
+}
+
+// Nearest living enemy (null if everyone is down).
+function nearestEnemy(sim, selfId) {
+  const self = sim.players[selfId];
+  let best = null;
+  let bestD2 = Infinity;
+  for (const id of sim.opponentsOf(selfId)) {
+    const p = sim.players[id];
+    if (p.dead) continue;
+    const d2 = (p.pos.x - self.pos.x) ** 2 + (p.pos.z - self.pos.z) ** 2;
+    if (d2 < bestD2) {
+      bestD2 = d2;
+      best = id;
+    }
+  }
+  return best;
+}
+
+// Out of range: follow the nav path to `goal` (re-planned every second) whichever way we face. Walking
+// straight at the enemy leaves both duelists stuck on the props mid-hall, where they empty their guns.
+function walkToward(sim, self, goal, state, intent) {
+  state.repathT = (state.repathT ?? 0) - SIM_DT;
+  if (!state.path || state.repathT <= 0) {
+    state.path = sim.world.findPath(self.pos, goal) ?? [];
+    state.repathT = 1;
+  }
+  const path = state.path;
+  while (path.length > 1 && Math.hypot(path[0].x - self.pos.x, path[0].z - self.pos.z) < 0.6) path.shift();
+  const to = path[0] ?? goal;
+  const dx = to.x - self.pos.x;
+  const dz = to.z - self.pos.z;
+  const len = Math.hypot(dx, dz) || 1;
+  // World direction -> local move (as in Bots._moveToward).
+  const sy = Math.sin(self.yaw);
+  const cy = Math.cos(self.yaw);
+  intent.moveX = (dx * cy - dz * sy) / len;
+  intent.moveZ = (-dx * sy - dz * cy) / len;
+}
+
+// Turns towards the enemy, walks into range, fires when roughly on target.
+function duelistIntent(sim, selfId, enemyId, state, aimError, rng) {
+  const self = sim.players[selfId];
+  const enemy = enemyId && sim.players[enemyId];
+  const w = sim.weapons[selfId];
+  const intent = emptyIntent();
+  if (self.dead || !enemy || enemy.dead) return intent;
+
+  const dx = enemy.pos.x - self.pos.x;
+  const dz = enemy.pos.z - self.pos.z;
+  const dist = Math.hypot(dx, dz);
+  const wantYaw = Math.atan2(-dx, -dz) + (rng() - 0.5) * aimError;
+  let dYaw = wantYaw - self.yaw;
+  dYaw = Math.atan2(Math.sin(dYaw), Math.cos(dYaw));
+  const maxTurn = 6 * SIM_DT;
+  intent.lookYaw = Math.max(-maxTurn, Math.min(maxTurn, dYaw));
+  intent.lookPitch = -self.pitch * 0.5;
+
+  const preferred = w.type === WeaponType.KNIFE || w.type === WeaponType.BOTTLE ? 1.2 : w.type === WeaponType.SHOTGUN ? 6 : 14;
+  if (dist > preferred) walkToward(sim, self, enemy.pos, state, intent);
+  else intent.moveX = Math.sin(state.t * 1.7) > 0 ? 1 : -1; // strafe
+
+  // Hold fire out of the weapon's range or with a prop in between: the mag would be gone before the fight.
+  const onTarget = Math.abs(dYaw) < 0.08 && dist <= (w.def.range ?? Infinity) && sim.lineOfSight(selfId, enemyId);
+  if (w.type === WeaponType.SNIPER) {
+    // Release-to-fire: hold for a bit, then release.
+    if (onTarget && !w.sniperAiming && w.canShoot()) intent.firePressed = true;
+    if (w.sniperAiming && w.sniperZoom01 > 0.8) intent.fireReleased = true;
+  } else if (onTarget) {
+    intent.firePressed = true;
+    intent.fireDown = true;
+  }
+  if (w.mag === 0 && w.reserve > 0) intent.reload = true;
+  state.t += SIM_DT;
+  return intent;
+}
+
+// Per-weapon numbers from the WEAPONS registry; the dmg@ columns are a body hit at that range after falloff.
+function printStats() {
+  const ranges = [10, 30, 60, 100];
+  const pad = (v, n) => String(v).padEnd(n);
+  console.log(
+    pad('weapon', 10) + pad('slot', 9) + pad('dmg', 7) + pad('ammo', 8) + pad('rpm', 6) + pad('range', 7) +
+      pad('falloff', 18) + ranges.map((r) => pad(`dmg@${r}m`, 9)).join('').trimEnd()
+  );
+  for (const [type, def] of Object.entries(WEAPONS)) {
+    const f = def.falloff;
+    const curve = f ? `${f.start}-${f.end}m -> ${f.min}x` : '-';
+    console.log(
+      pad(type, 10) + pad(def.slot, 9) + pad(def.damage, 7) + pad(def.mag ? `${def.mag}/${def.reserve}` : '-', 8) +
+        pad(Math.round(60 / def.cooldown), 6) + pad(def.range ?? '-', 7) + pad(curve, 18) +
+        ranges.map((r) => pad(+(def.damage * falloffScale(type, r)).toFixed(1), 9)).join('').trimEnd()
+    );
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.stats) return printStats();
+  const seed = normalizeSeed(args.seed) || randomSeed();
+  const rng = createRng(`${seed}/duelists`);
+  const teamPlay = args.mode !== 'ffa';
+  const world = new World({ seed, playerIds: playerIdsFor(TEAM_MODES[args.mode].players ?? 2) });
+  world.build();
+  const sim = new MatchSimulation({ world });
+  sim.setTeamMode(args.mode, args.ff);
+  // FFA: p1 / p2 use their own weapon; team modes: blue uses --p1's, red --p2's.
+  const weaponOf = (id) => (teamPlay ? args[sim.teamOf(id) === 'blue' ? 'p1' : 'p2'] : args[id]);
+
+  const result = { draws: 0, teamKills: 0, headshots: 0, ttk: [] };
+  const sides = teamPlay ? ['blue', 'red'] : ['p1', 'p2'];
+  for (const side of sides) result[side] = 0;
+  const maxTicks = Math.round(args.timeout / SIM_DT);
+  sim.addObserver({
+    onKill: ({ teamKill, headshot }) => {
+      if (teamKill) result.teamKills++;
+      else if (headshot) result.headshots++;
+    }
+  });
+
+  for (let d = 0; d < args.duels; d++) {
+    sim.resetMatch();
+    sim.startMatch({ skipElevator: true, seed: `${seed}/${d}` });
+    for (const id of sim.playerIds) {
+      sim.players[id].invulnTimer = 0;
+      sim.setWeapon(id, weaponOf(id));
+    }
+
+    const states = Object.fromEntries(sim.playerIds.map((id) => [id, { t: rng() * 3 }]));
+    let winner = null;
+    let ticks = 0;
+    for (; ticks < maxTicks && !winner; ticks++) {
+      const intents = {};
+      for (const id of sim.playerIds) intents[id] = duelistIntent(sim, id, nearestEnemy(sim, id), states[id], args.aimError, rng);
+      sim.tick(SIM_DT, intents);
+      winner = sides.find((side) => (teamPlay ? sim.teamScores[side] : sim.scores[side]) > 0) ?? null;
+    }
+    if (winner) {
+      result[winner]++;
+      result.ttk.push(ticks * SIM_DT);
+    } else {
+      result.draws++;
+    }
+  }
+
+  const avg = result.ttk.length ? result.ttk.reduce((a, b) => a + b, 0) / result.ttk.length : 0;
+  const pct = (n) => ((n / args.duels) * 100).toFixed(1);
+  if (teamPlay) {
+    console.log(`${args.duels} ${args.mode} fights: BLUE ${args.p1} vs RED ${args.p2}, friendly fire ${args.ff} (seed ${seed})`);
+    console.log(`  BLUE wins: ${result.blue} (${pct(result.blue)}%)`);
+    console.log(`  RED wins: ${result.red} (${pct(result.red)}%)`);
+    console.log(`  teamkills: ${result.teamKills}`);
+  } else {
+    console.log(`${args.duels} duels: P1 ${args.p1} vs P2 ${args.p2} (seed ${seed})`);
+    console.log(`  P1 wins: ${result.p1} (${pct(result.p1)}%)`);
+    console.log(`  P2 wins: ${result.p2} (${pct(result.p2)}%)`);
+  }
+  console.log(`  timeouts: ${result.draws}`);
+  console.log(`  headshot kills: ${result.headshots}`);
+  console.log(`  avg time to first kill: ${avg.toFixed(2)}s`);
+}
+
+main();
@@ -0,0 +1,281 @@
+// Online 1v1 server: one authoritative MatchSimulation per room, driven by the two clients' intents.
+//
+//   npm run server -- --port 8787
+//
+// Clients send one packed intent per tick (plus the server tick they were looking at when they sent it).
+// The server runs the match at SIM_HZ and sends snapshots + sim events back every SNAPSHOT_EVERY ticks.
+// Hits are only ever decided here: for each shot the target's hitbox is moved back to where the shooter
+// saw it (lag compensation, capped at MAX_REWIND_TICKS), then restored.
+import { WebSocketServer } from 'ws';
+import { World } from '../src/game/World.js';
+import { MatchSimulation, SIM_DT, SIM_HZ, emptyIntent } from '../src/game/MatchSimulation.js';
+import { PLAYER_HEIGHT } from '../src/game/Player.js';
+import { unpackIntent } from '../src/game/Replay.js';
+import { normalizeSeed, randomSeed } from '../src/game/Random.js';
+import { clamp } from '../src/game/math.js';
+import { MAX_REWIND_TICKS, NET_DEFAULT_PORT, NET_EVENTS, SNAPSHOT_EVERY, encodeEvent, encodePlayer } from '../src/game/NetProtocol.js';
+
+// A client further ahead than this gets its oldest inputs folded together (presses are kept).
+const MAX_QUEUED_INPUTS = 6;
+const MAX_CATCHUP_TICKS = 8;
+
+function parseArgs(argv) {
+  const args = { port: NET_DEFAULT_PORT };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in args) args[key] = Number(argv[++i]);
+  }
+  return args;
+}
+
+const send = (ws, msg) => {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+};
+
+// 5 numbers, plus a weapon slot key on the ticks one is pressed (Replay.js packIntent).
+const isPackedIntent = (i) => Array.isArray(i) && (i.length === 5 || i.length === 6) && i.every(Number.isFinite);
+
+// Two inputs that the server has to run as one tick: sum the look, keep any press.
+function foldIntents(a, b) {
+  const out = { ...b, lookYaw: a.lookYaw + b.lookYaw, lookPitch: a.lookPitch + b.lookPitch };
+  for (const k of ['jump', 'firePressed', 'fireReleased', 'reload', 'use', 'weaponNext', 'weaponPrev']) out[k] = a[k] || b[k];
+  out.weaponSlot = b.weaponSlot || a.weaponSlot;
+  return out;
+}
+
+// No fresh input this tick: keep walking / holding the trigger, but don't repeat presses or look.
+function holdIntent(last) {
+  const intent = emptyIntent();
+  if (!last) return intent;
+  intent.moveX = last.moveX;
+  intent.moveZ = last.moveZ;
+  intent.fireDown = last.fireDown;
+  intent.aim = last.aim;
+  intent.crouch = last.crouch;
+  intent.sprint = last.sprint;
+  return intent;
+}
+
+class DuelRoom {
+  constructor(name, seed) {
+    this.name = name;
+    this.seed = seed;
+    this.clients = { p1: null, p2: null };
+    this.world = null;
+    this.sim = null;
+    this.tick = 0;
+    this.events = [];
+    // Per player: [{tick, x, y, z, dead}] for the last MAX_REWIND_TICKS ticks.
+    this.history = { p1: [], p2: [] };
+    this._timer = null;
+    this._nextAt = 0;
+  }
+
+  freeSlot() {
+    if (!this.clients.p1) return 'p1';
+    if (!this.clients.p2) return 'p2';
+    return null;
+  }
+
+  add(client) {
+    const id = this.freeSlot();
+    client.playerId = id;
+    client.room = this;
+    this.clients[id] = client;
+    send(client.ws, { t: 'welcome', playerId: id, room: this.name, seed: this.seed });
+    console.log(`[${this.name}] ${id} joined`);
+    if (!this.freeSlot()) this.start();
+  }
+
+  start() {
+    this.world = new World({ seed: this.seed });
+    this.world.build();
+    this.sim = new MatchSimulation({ world: this.world });
+    const forward = (name) => (payload) => this.events.push(encodeEvent(name, payload));
+    this.sim.addObserver(Object.fromEntries(NET_EVENTS.map((name) => [name, forward(name)])));
+    this.sim.lagCompensation = (shooterId, targetId) => this._rewind(targetId, this.clients[shooterId]?.viewTick);
+
+    this.sim.resetMatch();
+    this.sim.startMatch({ seed: this.seed });
+    // Clients run the same startMatch() locally, so the events it emitted are not news.
+    this.events = [];
+    this.tick = 0;
+    this._recordHistory();
+
+    for (const id of this.sim.playerIds) send(this.clients[id].ws, { t: 'start', seed: this.seed, playerId: id });
+    console.log(`[${this.name}] match started (seed ${this.seed})`);
+
+    this._nextAt = performance.now();
+    this._loop();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _loop() {
+    const now = performance.now();
+    for (let ticks = 0; this._nextAt <= now && ticks < MAX_CATCHUP_TICKS; ticks++) {
+      this._step();
+      this._nextAt += 1000 / SIM_HZ;
+      if (this.sim.phase === 'OVER') {
+        console.log(`[${this.name}] match over`);
+        this.stop();
+        return;
+      }
+    }
+    // After a long stall (GC, sleeping laptop) drop the backlog instead of spiraling.
+    if (this._nextAt <= now) this._nextAt = now + 1000 / SIM_HZ;
+    this._timer = setTimeout(() => this._loop(), Math.max(1, this._nextAt - performance.now()));
+  }
+
+  _step() {
+    const intents = {};
+    for (const id of this.sim.playerIds) intents[id] = this._nextIntent(this.clients[id]);
+    this.sim.tick(SIM_DT, intents);
+    this.tick++;
+    this._recordHistory();
+    if (this.tick % SNAPSHOT_EVERY === 0 || this.sim.phase === 'OVER') this._sendSnapshot();
+  }
+
+  _nextIntent(client) {
+    if (!client) return emptyIntent();
+    const q = client.inputs;
+    while (q.length > MAX_QUEUED_INPUTS) {
+      const oldest = q.shift();
+      q[0].intent = foldIntents(oldest.intent, q[0].intent);
+    }
+    const next = q.shift();
+    if (!next) return holdIntent(client.last);
+    client.last = next.intent;
+    client.ack = next.seq;
+    client.viewTick = next.view;
+    return next.intent;
+  }
+
+  _recordHistory() {
+    for (const id of this.sim.playerIds) {
+      const p = this.sim.players[id];
+      const h = this.history[id];
+      h.push({ tick: this.tick, x: p.pos.x, y: p.pos.y, z: p.pos.z, height: p.height, dead: p.dead });
+      if (h.length > MAX_REWIND_TICKS + 2) h.shift();
+    }
+  }
+
+  // Moves the target's hitbox to where it was at `viewTick` (fractional); returns the undo.
+  _rewind(targetId, viewTick) {
+    if (!Number.isFinite(viewTick)) return null;
+    const h = this.history[targetId];
+    const at = clamp(viewTick, this.tick - MAX_REWIND_TICKS, this.tick);
+    let i = h.length - 1;
+    while (i > 0 && h[i].tick > at) i--;
+    const a = h[i];
+    const b = h[Math.min(i + 1, h.length - 1)];
+    // Never rewind across a death/respawn.
+    if (a.dead || b.dead) return null;
+    const k = b.tick > a.tick ? clamp((at - a.tick) / (b.tick - a.tick), 0, 1) : 0;
+
+    const box = this.sim.players[targetId].hitbox;
+    const saved = box.position.clone();
+    const savedScale = box.scale.y;
+    // Crouch too: the hitbox was shorter (and lower) if they were ducking back then.
+    const height = a.height + (b.height - a.height) * k;
+    box.position.set(a.x + (b.x - a.x) * k, a.y + (b.y - a.y) * k + height / 2, a.z + (b.z - a.z) * k);
+    box.scale.y = height / PLAYER_HEIGHT;
+    box.updateMatrixWorld();
+    return () => {
+      box.position.copy(saved);
+      box.scale.y = savedScale;
+      box.updateMatrixWorld();
+    };
+  }
+
+  _sendSnapshot() {
+    const sim = this.sim;
+    const players = {};
+    for (const id of sim.playerIds) players[id] = encodePlayer(sim.players[id], sim.weapons[id]);
+    const base = {
+      t: 'snap',
+      tick: this.tick,
+      phase: sim.phase,
+      elev: [sim.elevator.t, sim.elevator.doorOpen01],
+      scores: { ...sim.scores },
+      players,
+      events: this.events
+    };
+    this.events = [];
+    for (const id of sim.playerIds) {
+      const c = this.clients[id];
+      if (c) send(c.ws, { ...base, ack: c.ack });
+    }
+  }
+
+  onInput(client, msg) {
+    if (!this.sim?.isLive() || !Number.isFinite(msg.seq) || msg.seq <= client.ack || !isPackedIntent(msg.i)) return;
+    client.inputs.push({ seq: msg.seq, view: Number(msg.view), intent: unpackIntent(msg.i) });
+  }
+
+  // UI-side match commands (task minigame result / closing the task window), own player only.
+  onCommand(client, cmd) {
+    if (!this.sim || !cmd) return;
+    const id = client.playerId;
+    if (cmd.type === 'completeTask' && this.sim.activeTask[id] === cmd.taskIndex) this.sim.completeTask(id, cmd.taskIndex);
+    else if (cmd.type === 'closeTask') this.sim.closeTask(id);
+  }
+
+  remove(client) {
+    this.clients[client.playerId] = null;
+    this.stop();
+    for (const c of Object.values(this.clients)) if (c) send(c.ws, { t: 'left' });
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  /** @type {Map<string, DuelRoom>} */
+  const rooms = new Map();
+  const wss = new WebSocketServer({ port: args.port });
+
+  wss.on('connection', (ws) => {
+    const client = { ws, playerId: null, room: null, inputs: [], last: null, ack: 0, viewTick: null };
+
+    ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(data));
+      } catch {
+        return;
+      }
+      if (msg?.t === 'join' && !client.room) {
+        const name = String(msg.room ?? '').trim().slice(0, 32) || 'duel';
+        let room = rooms.get(name);
+        if (room && (room.sim || !room.freeSlot())) {
+          send(ws, { t: 'error', message: `Oda dolu: ${name}` });
+          return;
+        }
+        if (!room) {
+          room = new DuelRoom(name, normalizeSeed(msg.seed) || randomSeed());
+          rooms.set(name, room);
+        }
+        room.add(client);
+      } else if (msg?.t === 'input') {
+        client.room?.onInput(client, msg);
+      } else if (msg?.t === 'cmd') {
+        client.room?.onCommand(client, msg.cmd);
+      }
+    });
+
+    ws.on('close', () => {
+      const room = client.room;
+      if (!room) return;
+      room.remove(client);
+      if (rooms.get(room.name) === room) rooms.delete(room.name);
+      console.log(`[${room.name}] ${client.playerId} left, room closed`);
+    });
+  });
+
+  console.log(`Arcade Duel server on ws://localhost:${args.port}`);
+}
+
+main();
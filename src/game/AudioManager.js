@@ -589,6 +589,22 @@ export class AudioManager {
       return;
     }
 
+    if (type === 'pickup') {
+      const osc = this.ctx.createOscillator();
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(520, t);
+      osc.frequency.exponentialRampToValueAtTime(1040, t + 0.12);
+      const g = this.ctx.createGain();
+      g.gain.setValueAtTime(0, t);
+      g.gain.linearRampToValueAtTime(volume * 0.2, t + 0.01);
+      g.gain.linearRampToValueAtTime(0, t + 0.16);
+      osc.connect(g);
+      g.connect(this.master);
+      osc.start(t);
+      osc.stop(t + 0.18);
+      return;
+    }
+
     if (type === 'elevatorDoor') {
       // Short mechanical "thunk + slide" impression.
       const osc = this.ctx.createOscillator();
@@ -0,0 +1,202 @@
+// Action map: which keys / mouse buttons drive each action, per keyboard-side device.
+//
+// Device.KEYBOARD and Device.MOUSE are the two layouts that share the one keyboard (see Input.js);
+// each player uses the layout of the device they claimed in the lobby (GameApp.devices).
+// Mouse buttons are bound like keys: 'Mouse0' (left), 'Mouse1' (middle), 'Mouse2' (right).
+// The Device.MOUSE layout always looks with the mouse as well; its look keys are optional extras.
+// Pads use the fixed PAD_BINDINGS below (shown in the same help overlay, not rebindable).
+import { Device, PadButton, padIndexOf } from './Input.js';
+
+export const ACTIONS = [
+  { id: 'moveForward', label: 'Move forward' },
+  { id: 'moveBack', label: 'Move back' },
+  { id: 'moveLeft', label: 'Move left' },
+  { id: 'moveRight', label: 'Move right' },
+  { id: 'lookLeft', label: 'Look left' },
+  { id: 'lookRight', label: 'Look right' },
+  { id: 'lookUp', label: 'Look up' },
+  { id: 'lookDown', label: 'Look down' },
+  { id: 'fire', label: 'Fire' },
+  { id: 'reload', label: 'Reload' },
+  { id: 'use', label: 'Use arcade' },
+  { id: 'jump', label: 'Jump' },
+  { id: 'crouch', label: 'Crouch' },
+  { id: 'sprint', label: 'Sprint' },
+  { id: 'slot1', label: 'Melee' },
+  { id: 'slot2', label: 'Sidearm' },
+  { id: 'slot3', label: 'Primary' },
+  { id: 'slot4', label: 'Special' },
+  { id: 'weaponNext', label: 'Next weapon' },
+  { id: 'weaponPrev', label: 'Previous weapon' }
+];
+// Primary + alternate key per action.
+export const SLOTS_PER_ACTION = 2;
+export const KEY_LAYOUTS = [Device.KEYBOARD, Device.MOUSE];
+
+export const DEFAULT_BINDINGS = {
+  [Device.KEYBOARD]: {
+    moveForward: ['KeyW'],
+    moveBack: ['KeyS'],
+    moveLeft: ['KeyA'],
+    moveRight: ['KeyD'],
+    lookLeft: ['KeyQ', 'KeyF'],
+    lookRight: ['KeyH'],
+    lookUp: ['KeyT'],
+    lookDown: ['KeyG'],
+    fire: ['ShiftLeft'],
+    reload: ['KeyR'],
+    use: ['KeyE'],
+    jump: ['Space'],
+    crouch: ['KeyC'],
+    sprint: ['KeyX'],
+    slot1: ['KeyZ'],
+    slot2: ['KeyV'],
+    slot3: ['KeyB'],
+    slot4: ['KeyN'],
+    weaponNext: ['KeyM'],
+    weaponPrev: []
+  },
+  [Device.MOUSE]: {
+    moveForward: ['ArrowUp'],
+    moveBack: ['ArrowDown'],
+    moveLeft: ['ArrowLeft'],
+    moveRight: ['ArrowRight'],
+    lookLeft: [],
+    lookRight: [],
+    lookUp: [],
+    lookDown: [],
+    fire: ['Mouse0'],
+    reload: ['Mouse1'],
+    use: ['Mouse2'],
+    jump: ['ControlRight'],
+    crouch: ['Period'],
+    sprint: ['ShiftRight'],
+    slot1: ['Numpad1'],
+    slot2: ['Numpad2'],
+    slot3: ['Numpad3'],
+    slot4: ['Numpad4'],
+    // The mouse wheel always cycles too (like mouse look).
+    weaponNext: [],
+    weaponPrev: []
+  }
+};
+
+// Pads: one button (or stick) per action. `button` is what GameApp._readPadIntent reads.
+export const PAD_BINDINGS = {
+  move: { label: 'Left Stick' },
+  look: { label: 'Right Stick' },
+  fire: { button: PadButton.RT, label: 'RT' },
+  aim: { button: PadButton.LT, label: 'LT' },
+  reload: { button: PadButton.X, label: 'X' },
+  use: { button: PadButton.B, label: 'B' },
+  jump: { button: PadButton.A, label: 'A' },
+  crouch: { button: PadButton.RB, label: 'RB' },
+  sprint: { button: PadButton.LB, label: 'LB' },
+  weaponNext: { button: PadButton.RIGHT, label: 'D-pad ▶' },
+  weaponPrev: { button: PadButton.LEFT, label: 'D-pad ◀' }
+};
+
+// Keys the game itself needs: Esc (pointer lock / cancel) and P (help overlay).
+export const RESERVED_CODES = ['Escape', 'KeyP'];
+
+const STORAGE_KEY = 'arcade-duel.bindings.v1';
+
+const MOUSE_LABELS = { Mouse0: 'Mouse Left', Mouse1: 'Mouse Middle', Mouse2: 'Mouse Right' };
+const ARROW_LABELS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+const PUNCT_LABELS = { Period: '.', Comma: ',', Slash: '/', Semicolon: ';', Quote: "'", Backquote: '`', Minus: '-', Equal: '=' };
+
+export function keyLabel(code) {
+  if (!code) return '—';
+  if (MOUSE_LABELS[code]) return MOUSE_LABELS[code];
+  if (ARROW_LABELS[code]) return ARROW_LABELS[code];
+  if (PUNCT_LABELS[code]) return PUNCT_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^Numpad/.test(code)) return `Num ${code.slice(6)}`;
+  const side = /^(Shift|Control|Alt|Meta)(Left|Right)$/.exec(code);
+  if (side) return `${side[2] === 'Left' ? 'L' : 'R'}-${side[1] === 'Control' ? 'Ctrl' : side[1]}`;
+  return code;
+}
+
+const cloneLayout = (layout) => Object.fromEntries(ACTIONS.map(({ id }) => [id, [...(layout[id] ?? [])]]));
+
+export class Bindings {
+  constructor({ storage = globalThis.localStorage ?? null } = {}) {
+    this.storage = storage;
+    /** @type {Record<string, Record<string, string[]>>} */
+    this.layouts = {};
+    this.reset();
+    this.load();
+  }
+
+  reset(device = null) {
+    for (const d of KEY_LAYOUTS) if (!device || d === device) this.layouts[d] = cloneLayout(DEFAULT_BINDINGS[d]);
+  }
+
+  codes(device, action) {
+    return this.layouts[device]?.[action] ?? [];
+  }
+
+  // Puts `code` in slot `slot` of `action` (null clears the slot). Returns false for reserved keys.
+  set(device, action, slot, code) {
+    if (code && RESERVED_CODES.includes(code)) return false;
+    const list = this.codes(device, action).slice(0, SLOTS_PER_ACTION);
+    if (code) list[slot] = code;
+    else list.splice(slot, 1);
+    // Drop holes and a key bound twice to the same action.
+    this.layouts[device][action] = list.filter((c, i) => c && list.indexOf(c) === i);
+    return true;
+  }
+
+  // Whether any action of `device`'s layout uses `code`.
+  bound(device, code) {
+    return ACTIONS.some(({ id }) => this.codes(device, id).includes(code));
+  }
+
+  // Label for prompts ("E - Use Arcade"); pads included.
+  actionLabel(device, action) {
+    if (padIndexOf(device) != null) return PAD_BINDINGS[action]?.label ?? '—';
+    return keyLabel(this.codes(device, action)[0]);
+  }
+
+  // Keys bound more than once: to both layouts (i.e. both players) or to two actions of one layout.
+  // Returns Map<code, Array<{device, action}>>.
+  conflicts() {
+    const uses = new Map();
+    for (const device of KEY_LAYOUTS) {
+      for (const { id } of ACTIONS) {
+        for (const code of this.codes(device, id)) {
+          if (!uses.has(code)) uses.set(code, []);
+          uses.get(code).push({ device, action: id });
+        }
+      }
+    }
+    for (const [code, list] of uses) if (list.length < 2) uses.delete(code);
+    return uses;
+  }
+
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+    } catch {
+      return;
+    }
+    if (!saved || typeof saved !== 'object') return;
+    for (const device of KEY_LAYOUTS) {
+      for (const { id } of ACTIONS) {
+        const list = saved[device]?.[id];
+        if (!Array.isArray(list)) continue;
+        this.layouts[device][id] = list.filter((c) => typeof c === 'string' && !RESERVED_CODES.includes(c)).slice(0, SLOTS_PER_ACTION);
+      }
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.layouts));
+    } catch {
+      // Private mode / storage full: bindings just don't survive a reload.
+    }
+  }
+}
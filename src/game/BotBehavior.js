@@ -0,0 +1,108 @@
+// Bot decision making as a small behaviour tree (BotController in Bots.js runs it every tick).
+//
+// A node is `{ tick(bot) }` returning SUCCESS, FAILURE or RUNNING. The tree is re-run from the root
+// each tick and nodes keep no state of their own (memory lives on the BotController), so the first
+// branch whose conditions hold drives the bot this tick and a higher branch can take over any time.
+// Conditions / actions call the bot's tactics API (inFire(), fightFromCover(), ... in Bots.js).
+//
+// To make a new kind of bot add a personality below (numbers only), or give it its own `tree`.
+
+export const SUCCESS = 'success';
+export const FAILURE = 'failure';
+export const RUNNING = 'running';
+
+// First child that doesn't fail wins.
+export function selector(...children) {
+  return {
+    tick(bot) {
+      for (const child of children) {
+        const status = child.tick(bot);
+        if (status !== FAILURE) return status;
+      }
+      return FAILURE;
+    }
+  };
+}
+
+// Children in order until one doesn't succeed.
+export function sequence(...children) {
+  return {
+    tick(bot) {
+      for (const child of children) {
+        const status = child.tick(bot);
+        if (status !== SUCCESS) return status;
+      }
+      return SUCCESS;
+    }
+  };
+}
+
+export function condition(test) {
+  return { tick: (bot) => (test(bot) ? SUCCESS : FAILURE) };
+}
+
+// `run` drives the bot's intent for this tick; returning nothing means RUNNING.
+export function action(run) {
+  return { tick: (bot) => run(bot) ?? RUNNING };
+}
+
+// Tactics on top of the difficulty (BOT_DIFFICULTIES decides how well a bot aims, this how it plays).
+// retreatHp: HP fraction that sends it to cover (0 = never), for retreatTime s;
+// cover: 0..1 chance to fight an engagement from cover, peeking out for peekOut s and back for peekIn s;
+// barrels: 0..1 chance to take a shot at a barrel next to the enemy instead of the enemy.
+export const BOT_PERSONALITIES = {
+  rusher: { label: 'Rusher', retreatHp: 0, retreatTime: 0, cover: 0.1, peekOut: 1.6, peekIn: 0.5, barrels: 0.3 },
+  tactician: { label: 'Taktik', retreatHp: 0.35, retreatTime: 5, cover: 0.85, peekOut: 1.1, peekIn: 0.9, barrels: 0.8 },
+  marksman: { label: 'Nişancı', retreatHp: 0.45, retreatTime: 6, cover: 0.7, peekOut: 1.4, peekIn: 1.2, barrels: 0.5 }
+};
+
+// Default tree, top branch first: finish the task window, get out of fire, get out of a gun's line of
+// fire with only a knife, fall back when hurt, fight (barrel shot > from cover > in the open), pick up
+// a dropped gun / medkit / armor / ammo nearby, go do tasks, hunt.
+export function botTree() {
+  return selector(
+    sequence(
+      condition((bot) => bot.inTask()),
+      action((bot) => bot.playTask())
+    ),
+    sequence(
+      condition((bot) => bot.inFire()),
+      action((bot) => bot.escapeFire())
+    ),
+    sequence(
+      condition((bot) => bot.outgunned()),
+      action((bot) => bot.evade())
+    ),
+    sequence(
+      condition((bot) => bot.shouldRetreat()),
+      action((bot) => bot.retreat())
+    ),
+    sequence(
+      condition((bot) => bot.inCombat()),
+      selector(
+        sequence(
+          condition((bot) => bot.findBarrelShot()),
+          action((bot) => bot.shootBarrel())
+        ),
+        sequence(
+          condition((bot) => bot.wantsCover()),
+          action((bot) => bot.fightFromCover())
+        ),
+        action((bot) => bot.fight())
+      )
+    ),
+    sequence(
+      condition((bot) => bot.wantsDrop()),
+      action((bot) => bot.takeDrop())
+    ),
+    sequence(
+      condition((bot) => bot.wantsPickup()),
+      action((bot) => bot.goPickup())
+    ),
+    sequence(
+      condition((bot) => bot.hasTaskLeft()),
+      action((bot) => bot.goDoTask())
+    ),
+    action((bot) => bot.hunt())
+  );
+}
@@ -0,0 +1,755 @@
+import * as THREE from 'three';
+import { SIM_DT, emptyIntent } from './MatchSimulation.js';
+import { EYE_HEIGHT, PLAYER_HEIGHT, PLAYER_RADIUS } from './Player.js';
+import { createRng } from './Random.js';
+import { choice, clamp, dist2 } from './math.js';
+import { BOT_PERSONALITIES, FAILURE, botTree } from './BotBehavior.js';
+import { ballisticLift } from './Projectiles.js';
+import { WEAPON_SLOTS, slotOf } from './Weapons.js';
+
+// How good a bot is. reaction: seconds an enemy must be in sight before the first shot;
+// aimError: max aim offset (rad, re-rolled every ~0.7 s); turnSpeed: rad/s;
+// strafe: 0..1 how hard it dodges sideways in a fight; taskTime: seconds to "solve" an arcade task.
+export const BOT_DIFFICULTIES = {
+  easy: { label: 'Kolay', reaction: 0.8, aimError: 0.16, turnSpeed: 3.0, strafe: 0.25, taskTime: 16 },
+  normal: { label: 'Normal', reaction: 0.45, aimError: 0.07, turnSpeed: 5.0, strafe: 0.65, taskTime: 10 },
+  hard: { label: 'Zor', reaction: 0.2, aimError: 0.025, turnSpeed: 7.5, strafe: 1, taskTime: 6 }
+};
+
+const CHEST_HEIGHT = 1.15;
+// Height difference that still counts as the same floor for _walkTo (jumps, low props; not the mezzanine).
+const SAME_LEVEL = 1.5;
+// Arcade "use" reach is 2.2 (MatchSimulation.nearestArcade); stop a bit inside it.
+const ARCADE_REACH = 1.6;
+const STUCK_CHECK = 0.75;
+// Seconds a bot shot off its task stays away from the arcade.
+const TASK_BAIL = 3;
+// Armed bots only bother with a knife-holder this close while they have tasks left. A knife bot keeps
+// out of the way of a gun it can see (unless close enough to stab): of one this close, or of one
+// facing it from up to EVADE_RANGE.
+const KNIFE_THREAT = 10;
+const EVADE_RANGE = 35;
+const KNIFE_REACH = 6;
+// Once fighting, a bot keeps at it until the enemy is ENGAGE_HOLD times the engage range away (two bots
+// right at the edge would otherwise flip between fighting and walking off every tick, and never shoot).
+const ENGAGE_HOLD = 1.2;
+// Re-plan the route this often, or when the goal moved more than REPATH_DIST.
+const REPATH_TIME = 1;
+const REPATH_DIST = 2;
+const WAYPOINT_REACH = 0.6;
+// Cover: props at least chest high within COVER_SEARCH m; re-checked every COVER_RECHECK s
+// and held for COVER_HOLD s after losing sight of the enemy.
+const COVER_TAGS = ['prop', 'arcade'];
+const COVER_SEARCH = 18;
+const COVER_CANDIDATES = 10;
+const COVER_RECHECK = 1.5;
+const COVER_HOLD = 4;
+// Detour (nobody in sight) of up to PICKUP_DETOUR m for a medkit below PICKUP_HP of max hp, for an
+// armor vest below PICKUP_ARMOR points or for an ammo box below PICKUP_AMMO of a full reserve; of up
+// to DROP_DETOUR m for a dropped gun whose slot is empty or out of ammo.
+const PICKUP_HP = 0.7;
+const PICKUP_ARMOR = 30;
+const PICKUP_AMMO = 0.3;
+const PICKUP_DETOUR = 20;
+const DROP_DETOUR = 40;
+// Barrel explosions leave fire ~1.3 m around the barrel (World.explodeBarrel).
+const BARREL_REACH = 2.2;
+const BARREL_SAFE = 5;
+
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+const flatDist = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+// AI player. Unlike DemoBots (menu eye candy), a bot is a real sim player: it only ever produces an
+// intent per tick, so it walks, collides, shoots (_processFire), dies and respawns under the same rules
+// as a human, and its matches record / replay like any other.
+//
+// Each tick it looks around (_sense: target, line of sight, where the enemy was last seen) and runs its
+// personality's behaviour tree (BotBehavior.js), which picks one of the tactics below. With only a knife
+// it steps out of a gun's line of fire instead of walking into it. Walking follows world.findPath around
+// the props, with a sidestep when it still stops making progress (other players, door edges).
+export class BotController {
+  constructor({ sim, playerId, difficulty = 'normal', personality = null, onCompleteTask = null }) {
+    this.sim = sim;
+    this.playerId = playerId;
+    this.difficulty = difficulty in BOT_DIFFICULTIES ? difficulty : 'normal';
+    this.level = BOT_DIFFICULTIES[this.difficulty];
+    // null: picked from the match seed in reset().
+    this._fixedPersonality = personality in BOT_PERSONALITIES ? personality : null;
+    // Task results go through here (GameApp records them like a human's); headless: straight to the sim.
+    this.onCompleteTask = onCompleteTask ?? ((id, taskIndex) => sim.completeTask(id, taskIndex));
+    this._v1 = new THREE.Vector3();
+    this._v2 = new THREE.Vector3();
+    this._aimPoint = new THREE.Vector3();
+    this.reset(sim.seed);
+  }
+
+  // Once per match (same seed -> same bot).
+  reset(seed) {
+    this.rng = createRng(`${seed}/bot/${this.playerId}`);
+    this.personality = this._fixedPersonality ?? choice(Object.keys(BOT_PERSONALITIES), this.rng);
+    this.persona = BOT_PERSONALITIES[this.personality];
+    this.tree = (this.persona.tree ?? botTree)(this.persona);
+
+    this._targetId = null;
+    this._retargetT = 0;
+    this._seenT = 0;
+    this._lastSeenT = Infinity;
+    this._engaged = false;
+    this._lastSeenPos = new THREE.Vector3();
+    this._aimT = 0;
+    this._aimYaw = 0;
+    this._aimPitch = 0;
+    this._strafeT = 0;
+    this._strafeDir = 1;
+    this._fireHeld = false;
+    this._useCooldown = 0;
+    this._taskT = 0;
+    this._taskHp = 0;
+    this._bailT = 0;
+    this._stuckT = 0;
+    this._stuckFrom = null;
+    this._unstuckT = 0;
+    this._unstuckDir = 1;
+    this._path = null;
+    this._pathGoal = { x: 0, z: 0 };
+    this._repathT = 0;
+    this._cover = null;
+    this._coverT = 0;
+    this._coverRoll = false;
+    this._peeking = false;
+    this._peekT = 0;
+    this._retreatT = 0;
+    this._retreatTo = null;
+    this._retreated = false;
+    this._barrelRoll = false;
+    this._barrelT = 0;
+    this._barrel = null;
+    this._pickup = null;
+    this._drop = null;
+    this._swapBack = null;
+  }
+
+  intent(dt = SIM_DT) {
+    const sim = this.sim;
+    const self = sim.players[this.playerId];
+    const intent = emptyIntent();
+    this._intent = intent;
+    this._dt = dt;
+    this.self = self;
+    this._useCooldown = Math.max(0, this._useCooldown - dt);
+    if (this._useCooldown === 0) this._swapBack = null;
+    this._retreatT = Math.max(0, this._retreatT - dt);
+    this._bailT = Math.max(0, this._bailT - dt);
+    if (!this.inTask()) this._taskT = 0;
+    if (self.dead) {
+      this._seenT = 0;
+      this._stuckFrom = null;
+      this._path = null;
+      this._cover = null;
+      this._retreatT = 0;
+      this._retreated = false;
+      return intent;
+    }
+
+    this._sense(dt);
+    this.tree.tick(this);
+
+    const w = this.weapon;
+    // Just took a drop for another slot (it comes out in hand): back to the gun we had out.
+    if (this._swapBack && w.slot !== this._swapBack) {
+      intent.weaponSlot = WEAPON_SLOTS.indexOf(this._swapBack) + 1;
+      this._swapBack = null;
+    } else if (w.mag === 0 && w.reserve > 0) intent.reload = true;
+    // Dry gun: pull out the best weapon that still has ammo.
+    else if (!w.def.melee && w.mag === 0 && w.bestSlot() !== w.slot) intent.weaponSlot = WEAPON_SLOTS.indexOf(w.bestSlot()) + 1;
+    this._fireHeld = intent.fireDown;
+    return intent;
+  }
+
+  // Who to fight, can we see them, where were they last seen.
+  _sense(dt) {
+    const sim = this.sim;
+    const id = this.playerId;
+    // Re-picking costs a line-of-sight ray per enemy, so only a few times a second.
+    this._retargetT -= dt;
+    let enemyId = this._targetId;
+    if (this._retargetT <= 0 || !enemyId || sim.players[enemyId]?.dead) {
+      this._retargetT = 0.25;
+      enemyId = this._pickTarget();
+    }
+    const enemy = enemyId ? sim.players[enemyId] : null;
+    const visible = !!enemy && sim.lineOfSight(id, enemyId);
+    if (enemyId !== this._targetId) {
+      // New fight: roll this personality's dice for it.
+      this._coverRoll = this.rng() < this.persona.cover;
+      this._cover = null;
+    }
+    if (enemyId !== this._targetId || !visible) this._seenT = 0;
+    this._targetId = enemyId;
+    this.enemy = enemy;
+    this.visible = visible;
+    this.enemyDist = enemy ? flatDist(this.self.pos, enemy.pos) : Infinity;
+    if (visible) {
+      this._seenT += dt;
+      this._lastSeenT = 0;
+      this._lastSeenPos.copy(enemy.pos);
+    } else {
+      this._lastSeenT += dt;
+    }
+  }
+
+  // Nearest living enemy, preferring ones in sight.
+  _pickTarget() {
+    const sim = this.sim;
+    const self = sim.players[this.playerId];
+    let best = null;
+    let bestScore = Infinity;
+    for (const id of sim.opponentsOf(this.playerId)) {
+      const p = sim.players[id];
+      if (p.dead) continue;
+      let score = dist2(self.pos, p.pos);
+      if (!sim.lineOfSight(this.playerId, id)) score *= 4;
+      if (score < bestScore) {
+        bestScore = score;
+        best = id;
+      }
+    }
+    return best;
+  }
+
+  get weapon() {
+    return this.sim.weapons[this.playerId];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tactics for the behaviour tree: conditions answer, actions fill this tick's intent.
+
+  inTask() {
+    return this.sim.activeTask[this.playerId] != null;
+  }
+
+  // "Play" the open task window; bail out if someone starts shooting (and go after them for a moment
+  // rather than straight back in).
+  playTask() {
+    if (this._taskT === 0) this._taskHp = this.self.hp;
+    this._taskT += this._dt;
+    if (this.self.hp < this._taskHp) {
+      this._intent.use = true;
+      this._bailT = TASK_BAIL;
+    } else if (this._taskT >= this.level.taskTime) this.onCompleteTask(this.playerId, this.sim.activeTask[this.playerId]);
+  }
+
+  inFire() {
+    return !!this._fireUnderfoot();
+  }
+
+  // Fire block the bot is standing in (or about to), if any.
+  _fireUnderfoot() {
+    const { x, z } = this.self.pos;
+    const r = PLAYER_RADIUS + 0.3;
+    return this.sim.world.fireBlocks.find((f) => x >= f.box.min.x - r && x <= f.box.max.x + r && z >= f.box.min.z - r && z <= f.box.max.z + r);
+  }
+
+  // Step straight away from the fire's center (still shooting if there is someone to shoot).
+  escapeFire() {
+    const fire = this._fireUnderfoot();
+    const self = this.self;
+    let dx = self.pos.x - (fire.box.min.x + fire.box.max.x) / 2;
+    let dz = self.pos.z - (fire.box.min.z + fire.box.max.z) / 2;
+    const len = Math.hypot(dx, dz);
+    if (len < 1e-3) {
+      dx = -Math.sin(self.yaw);
+      dz = -Math.cos(self.yaw);
+    } else {
+      dx /= len;
+      dz /= len;
+    }
+    if (this.visible) this._shootAt(this._enemyChest(), this.enemyDist);
+    else this._turn(Math.atan2(-dx, -dz));
+    this._moveToward(this._v1.set(self.pos.x + dx * 3, 0, self.pos.z + dz * 3));
+  }
+
+  // Low on HP with an enemy around: fall back to cover (or the far end of the hall) for a while.
+  // Once per life: HP doesn't come back, so after that it fights it out.
+  shouldRetreat() {
+    if (this._retreatT > 0) return true;
+    const hp = this.persona.retreatHp;
+    if (!hp || this._retreated || this.self.hp > this.self.maxHp * hp) return false;
+    if (this._lastSeenT > 2) return false;
+    this._retreated = true;
+    const cover = this._findCover(this._lastSeenPos, true);
+    this._retreatTo = cover?.spot ?? this._farthestSpawn(this._lastSeenPos);
+    this._retreatT = this.persona.retreatTime;
+    return true;
+  }
+
+  retreat() {
+    if (flatDist(this.self.pos, this._retreatTo) > 0.8) {
+      this._walkTo(this._retreatTo, 0.4);
+      // Cornered: shoot back on the way.
+      if (this.visible && this.enemyDist < 8) this._shootAt(this._enemyChest(), this.enemyDist);
+      return;
+    }
+    if (this.visible) this._shootAt(this._enemyChest(), this.enemyDist);
+    else this._turnTo(this._lastSeenPos);
+  }
+
+  _farthestSpawn(from) {
+    let best = null;
+    let bestD2 = -1;
+    for (const p of this.sim.world.spawnPoints) {
+      const d2 = dist2(p, from);
+      if (d2 > bestD2) {
+        bestD2 = d2;
+        best = p;
+      }
+    }
+    return best ?? this.self.pos.clone();
+  }
+
+  // Only a knife against a gun in view (not close enough to stab) that is near or facing us.
+  outgunned() {
+    if (!this.visible || !this.weapon.def.melee) return false;
+    if (this.sim.weapons[this._targetId].def.melee) return false;
+    const dist = this.enemyDist;
+    if (dist <= KNIFE_REACH || dist >= EVADE_RANGE) return false;
+    return dist < KNIFE_THREAT * 1.5 || this._aimedAt(this.enemy);
+  }
+
+  // Roughly facing us (whoever it is, a human's aim counts too).
+  _aimedAt(enemy) {
+    const self = this.self;
+    const yaw = Math.atan2(-(self.pos.x - enemy.pos.x), -(self.pos.z - enemy.pos.z));
+    return Math.abs(wrapAngle(yaw - enemy.yaw)) < 0.35;
+  }
+
+  // Get out of its line of fire, sideways (towards the next arcade if there is one) and a little away,
+  // rather than straight back where it may well be heading anyway.
+  evade() {
+    const self = this.self;
+    const enemy = this.enemy;
+    const len = this.enemyDist || 1;
+    const ax = (self.pos.x - enemy.pos.x) / len;
+    const az = (self.pos.z - enemy.pos.z) / len;
+    const goal = this.hasTaskLeft() ? this._nextArcade()?.position : null;
+    let side = this.rng() < 0.5 ? -1 : 1;
+    if (goal) side = (goal.x - self.pos.x) * -az + (goal.z - self.pos.z) * ax >= 0 ? 1 : -1;
+    this._walkTo(this._v1.set(self.pos.x + (-az * side + ax * 0.5) * 4, 0, self.pos.z + (ax * side + az * 0.5) * 4), 0.5);
+  }
+
+  // Enemy in sight and in range, or one seen a moment ago while we sit in cover.
+  inCombat() {
+    if (!this.enemy) return false;
+    const tasksLeft = this.self.taskLevel < 3;
+    // With a knife there is no point in chasing across the hall while tasks are left,
+    // nor in stopping for someone far off who only has a knife.
+    let engage = this.weapon.def.melee && tasksLeft ? 9 : 60;
+    if (tasksLeft && this.sim.weapons[this._targetId].def.melee) engage = Math.min(engage, KNIFE_THREAT);
+    if (this.visible) {
+      this._engaged = this.enemyDist < engage * (this._engaged ? ENGAGE_HOLD : 1);
+      return this._engaged;
+    }
+    return !!this._cover && this._lastSeenT < COVER_HOLD;
+  }
+
+  // A live barrel next to the enemy, far enough from us, in plain view: set it off under them.
+  findBarrelShot() {
+    this._barrelT -= this._dt;
+    if (this._barrelT <= 0) {
+      this._barrelT = 1;
+      this._barrelRoll = this.rng() < this.persona.barrels;
+      this._barrel = null;
+    }
+    if (!this._barrelRoll || !this.visible || this.weapon.def.melee) return false;
+    const kept = this._barrel;
+    if (kept && !kept.exploded && flatDist(kept.mesh.position, this.enemy.pos) < BARREL_REACH) return true;
+    this._barrel = null;
+    const eye = this.self.getEyePosition(this._v1);
+    for (const b of this.sim.world.barrels) {
+      if (b.exploded) continue;
+      const pos = b.mesh.position;
+      if (flatDist(pos, this.enemy.pos) > BARREL_REACH || flatDist(pos, this.self.pos) < BARREL_SAFE) continue;
+      const hit = this.sim.sightHit(eye, this._v2.set(pos.x, 0.5, pos.z));
+      if (hit?.object?.userData?.barrelId !== b.id) continue;
+      this._barrel = b;
+      return true;
+    }
+    return false;
+  }
+
+  shootBarrel() {
+    const pos = this._barrel.mesh.position;
+    this._shootAt(this._aimPoint.set(pos.x, 0.5, pos.z), flatDist(pos, this.self.pos));
+  }
+
+  // This engagement is fought from cover (personality roll, a gun, not point blank) and there is some.
+  wantsCover() {
+    if (!this._coverRoll || this.weapon.def.melee) return false;
+    if (this.visible && this.enemyDist < 6) return false;
+    this._coverT -= this._dt;
+    const cover = this._cover;
+    if (!cover || cover.collider.disabled || this._coverT <= 0) {
+      this._coverT = COVER_RECHECK;
+      // Keep the current spot while it still hides us from where the enemy is (not flanked).
+      const threat = this.visible ? this.enemy.pos : this._lastSeenPos;
+      if (!cover || cover.collider.disabled || !this._hiddenAt(cover.spot, threat)) {
+        this._cover = this._findCover(threat, false);
+        this._peeking = false;
+        this._peekT = 0;
+      }
+    }
+    return !!this._cover;
+  }
+
+  // Get behind the cover, then alternate: peek out to the side and shoot, duck back and reload.
+  fightFromCover() {
+    const cover = this._cover;
+    if (!this._peeking && flatDist(this.self.pos, cover.spot) > 0.8) {
+      this._walkTo(cover.spot, 0.4);
+      return;
+    }
+    this._peekT -= this._dt;
+    if (this._peekT <= 0) {
+      // Peeked and saw nobody: they moved, stop camping and push.
+      if (this._peeking && this._lastSeenT > this.persona.peekOut) {
+        this._cover = null;
+        this._coverRoll = false;
+        return this.fight();
+      }
+      this._peeking = !this._peeking;
+      const t = this._peeking ? this.persona.peekOut : this.persona.peekIn;
+      this._peekT = t * (0.8 + this.rng() * 0.4);
+    }
+    if (this.visible) this._shootAt(this._enemyChest(), this.enemyDist);
+    else this._turnTo(this._lastSeenPos);
+    this._moveToward(this._peeking ? cover.peek : cover.spot);
+    const w = this.weapon;
+    if (!this._peeking && w.mag < w.getMaxMag() / 2 && w.reserve > 0) this._intent.reload = true;
+  }
+
+  // Out in the open: keep the weapon's range, dodge sideways, shoot.
+  fight() {
+    if (!this.visible) {
+      this._walkTo(this._lastSeenPos, 1);
+      return;
+    }
+    const dist = this.enemyDist;
+    const w = this.weapon;
+    const intent = this._intent;
+    this._shootAt(this._enemyChest(), dist);
+    const preferred = w.def.botRange ?? 14;
+    intent.moveZ = dist > preferred ? 1 : dist < preferred * 0.5 ? -0.6 : 0;
+    this._strafeT -= this._dt;
+    if (this._strafeT <= 0) {
+      this._strafeT = 0.6 + this.rng() * 1.2;
+      this._strafeDir = this.rng() < 0.5 ? -1 : 1;
+    }
+    intent.moveX = this._strafeDir * this.level.strafe;
+  }
+
+  // Nobody in sight, and a dropped gun a short walk away for a slot that is empty or out of ammo (not
+  // on the arcade of the next task: `use` there opens the task instead).
+  wantsDrop() {
+    this._drop = null;
+    const self = this.self;
+    if (this.visible || self.hasBottle) return false;
+    const slots = this.weapon.slots;
+    const arcade = this._nextArcade();
+    let bestD = DROP_DETOUR;
+    for (const drop of this.sim.world.drops) {
+      const held = slots[slotOf(drop.type)];
+      if (held && held.mag + held.reserve > 0) continue;
+      if (arcade && flatDist(drop.position, arcade.position) < 2.5) continue;
+      const d = flatDist(self.pos, drop.position);
+      if (d < bestD) {
+        bestD = d;
+        this._drop = drop;
+      }
+    }
+    return !!this._drop;
+  }
+
+  // Walk onto it and swap.
+  takeDrop() {
+    this._walkTo(this._drop.position, 0.5);
+    if (this.sim.usableDrop(this.self) === this._drop && this._useCooldown === 0) {
+      this._intent.use = true;
+      this._useCooldown = 0.5;
+      const w = this.weapon;
+      if (!w.def.melee && w.mag + w.reserve > 0) this._swapBack = w.slot;
+    }
+  }
+
+  // Hurt, without much armor or low on ammo, nobody in sight, and a pickup that helps a short walk away.
+  wantsPickup() {
+    this._pickup = null;
+    if (this.visible) return false;
+    const sim = this.sim;
+    const self = this.self;
+    const w = this.weapon;
+    const need = {
+      medkit: self.hp < self.maxHp * PICKUP_HP,
+      armor: self.armor < PICKUP_ARMOR,
+      ammo: w.reserve < (w.def.reserve ?? 0) * PICKUP_AMMO
+    };
+    if (!need.medkit && !need.armor && !need.ammo) return false;
+    let bestD = PICKUP_DETOUR;
+    for (const pk of sim.world.pickups) {
+      if (!need[pk.kind] || !sim.pickupHelps(this.playerId, pk)) continue;
+      const d = flatDist(self.pos, pk.position);
+      if (d < bestD) {
+        bestD = d;
+        this._pickup = pk;
+      }
+    }
+    return !!this._pickup;
+  }
+
+  goPickup() {
+    this._walkTo(this._pickup.position, 0.3);
+  }
+
+  // Tasks left, and not just shot off one.
+  hasTaskLeft() {
+    return this.self.taskLevel < 3 && this._bailT === 0;
+  }
+
+  _nextArcade() {
+    return this.sim.world.arcades.find((a) => a.taskIndex === this.self.taskLevel);
+  }
+
+  // Walk to the arcade of the next task and press use.
+  goDoTask() {
+    const sim = this.sim;
+    const arcade = this._nextArcade();
+    if (!arcade) return FAILURE;
+    this._walkTo(arcade.position, ARCADE_REACH);
+    if (sim.nearestArcade(this.self) === arcade && this._useCooldown === 0) {
+      this._intent.use = true;
+      this._useCooldown = 0.5;
+    }
+  }
+
+  hunt() {
+    if (!this.enemy) return FAILURE;
+    this._walkTo(this._lastSeenT < COVER_HOLD ? this._lastSeenPos : this.enemy.pos, 4);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cover
+
+  // Best cover from `threat` near us: a spot right behind a chest-high prop, on open floor, that the
+  // threat can't see. Fighting cover also needs a peek spot beside the prop with a view of the threat;
+  // retreat cover prefers spots far from it.
+  _findCover(threat, retreat) {
+    const world = this.sim.world;
+    const self = this.self;
+    const eye = this._v1.set(threat.x, threat.y + EYE_HEIGHT, threat.z);
+    const near = world.colliders
+      .filter((c) => !c.disabled && COVER_TAGS.includes(c.tag) && c.box.max.y > CHEST_HEIGHT)
+      .map((c) => ({ c, d: Math.hypot((c.box.min.x + c.box.max.x) / 2 - self.pos.x, (c.box.min.z + c.box.max.z) / 2 - self.pos.z) }))
+      .filter(({ d }) => d < COVER_SEARCH)
+      .sort((a, b) => a.d - b.d)
+      .slice(0, COVER_CANDIDATES);
+
+    let best = null;
+    let bestScore = Infinity;
+    for (const { c } of near) {
+      const b = c.box;
+      const cx = (b.min.x + b.max.x) / 2;
+      const cz = (b.min.z + b.max.z) / 2;
+      const hx = (b.max.x - b.min.x) / 2;
+      const hz = (b.max.z - b.min.z) / 2;
+      let dx = cx - threat.x;
+      let dz = cz - threat.z;
+      const len = Math.hypot(dx, dz);
+      if (len < 2) continue;
+      dx /= len;
+      dz /= len;
+      // Just behind the box, on the line from the threat through its center.
+      const depth = Math.abs(dx) * hx + Math.abs(dz) * hz + PLAYER_RADIUS + 0.35;
+      const spot = new THREE.Vector3(cx + dx * depth, 0, cz + dz * depth);
+      if (!world.nav.isOpenFloor(spot.x, spot.z) || !this._hiddenAt(spot, threat, eye)) continue;
+      const peek = retreat ? null : this._peekSpot(spot, dx, dz, hx, hz, eye);
+      if (!retreat && !peek) continue;
+      const score = flatDist(self.pos, spot) - (retreat ? 0.5 * len : 0);
+      if (score < bestScore) {
+        bestScore = score;
+        best = { collider: c, spot, peek };
+      }
+    }
+    return best;
+  }
+
+  // True if someone at `threat` can't see our chest at `spot`.
+  _hiddenAt(spot, threat, eye = this._v1.set(threat.x, threat.y + EYE_HEIGHT, threat.z)) {
+    return !!this.sim.sightHit(eye, this._v2.set(spot.x, CHEST_HEIGHT, spot.z));
+  }
+
+  // A step to either side of the cover from where the threat is in view (eye to eye).
+  _peekSpot(spot, dx, dz, hx, hz, eye) {
+    const px = -dz;
+    const pz = dx;
+    const side = Math.abs(px) * hx + Math.abs(pz) * hz + PLAYER_RADIUS + 0.3;
+    for (const s of [1, -1]) {
+      const peek = new THREE.Vector3(spot.x + px * side * s, 0, spot.z + pz * side * s);
+      if (!this.sim.world.nav.isOpenFloor(peek.x, peek.z)) continue;
+      if (!this.sim.sightHit(eye, this._v2.set(peek.x, EYE_HEIGHT, peek.z))) return peek;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Low-level skills
+
+  _enemyChest() {
+    const p = this.enemy.pos;
+    // Lower on a crouching enemy.
+    return this._aimPoint.set(p.x, p.y + CHEST_HEIGHT * (this.enemy.height / PLAYER_HEIGHT), p.z);
+  }
+
+  // Aim at `target` (off by a slowly changing error) and shoot once on target after the reaction time.
+  _shootAt(target, dist) {
+    const self = this.self;
+    const w = this.weapon;
+    const intent = this._intent;
+    const dt = this._dt;
+    this._aimT -= dt;
+    if (this._aimT <= 0) {
+      this._aimT = 0.5 + this.rng() * 0.4;
+      this._aimYaw = (this.rng() * 2 - 1) * this.level.aimError;
+      this._aimPitch = (this.rng() * 2 - 1) * this.level.aimError * 0.5;
+    }
+    const dx = target.x - self.pos.x;
+    const dz = target.z - self.pos.z;
+    const dy = target.y - (self.pos.y + EYE_HEIGHT);
+    const dYaw = this._turn(Math.atan2(-dx, -dz) + this._aimYaw);
+    const flat = Math.hypot(dx, dz);
+    // Grenades / molotovs: aim above the target so the arc comes down on it.
+    const lift = w.def.projectile ? ballisticLift(w.def.projectile, flat) : 0;
+    const wantPitch = Math.atan2(dy, flat) + lift + this._aimPitch;
+    intent.lookPitch = clamp(wantPitch - self.pitch, -this.level.turnSpeed * dt, this.level.turnSpeed * dt);
+
+    const onTarget = Math.abs(dYaw) < 0.06 + 0.6 / Math.max(dist, 1);
+    // Burst control: at range, let the spray settle before the next shot.
+    const settled = w.bloom * dist < 0.6;
+    const ready = this._seenT >= this.level.reaction && onTarget && settled && !this._teammateInLine(target);
+    if (w.def.fireMode === 'release') {
+      intent.aim = this._seenT >= this.level.reaction * 0.5;
+      intent.firePressed = ready && w.sniperZoom01 > 0.8 && w.canShoot();
+    } else if (ready) {
+      // Tap every other tick: semi-auto weapons need a fresh press per shot.
+      intent.fireDown = !this._fireHeld;
+      intent.firePressed = intent.fireDown;
+    }
+  }
+
+  // A living teammate near the line of fire, short of the target (only matters with friendly fire on).
+  _teammateInLine(target) {
+    const sim = this.sim;
+    if (sim.config.friendlyFire === 'off') return false;
+    const from = this.self.pos;
+    const fx = target.x - from.x;
+    const fz = target.z - from.z;
+    const len2 = fx * fx + fz * fz;
+    if (len2 < 1e-6) return false;
+    return sim.teammatesOf(this.playerId).some((id) => {
+      const p = sim.players[id];
+      if (p.dead) return false;
+      const t = ((p.pos.x - from.x) * fx + (p.pos.z - from.z) * fz) / len2;
+      if (t <= 0 || t >= 1) return false;
+      return Math.hypot(from.x + fx * t - p.pos.x, from.z + fz * t - p.pos.z) < PLAYER_RADIUS + 0.4;
+    });
+  }
+
+  // Turns towards `wantYaw` at the bot's turn speed (and levels the view); returns the yaw still left to turn.
+  _turn(wantYaw) {
+    const self = this.self;
+    const intent = this._intent;
+    const dYaw = wrapAngle(wantYaw - self.yaw);
+    const maxTurn = this.level.turnSpeed * this._dt;
+    intent.lookYaw = clamp(dYaw, -maxTurn, maxTurn);
+    intent.lookPitch = clamp(-self.pitch, -maxTurn, maxTurn);
+    return dYaw - intent.lookYaw;
+  }
+
+  _turnTo(point) {
+    return this._turn(Math.atan2(this.self.pos.x - point.x, this.self.pos.z - point.z));
+  }
+
+  // Move towards `point` whichever way we are facing (strafing in and out of cover).
+  _moveToward(point) {
+    const self = this.self;
+    const dx = point.x - self.pos.x;
+    const dz = point.z - self.pos.z;
+    const len = Math.hypot(dx, dz);
+    if (len < 0.15) return;
+    const s = Math.min(1, len / 0.6) / len;
+    const sy = Math.sin(self.yaw);
+    const cy = Math.cos(self.yaw);
+    // World direction -> local (inverse of MatchSimulation._updateMovement).
+    this._intent.moveX = (dx * cy - dz * sy) * s;
+    this._intent.moveZ = (-dx * sy - dz * cy) * s;
+  }
+
+  // Walk the route to the goal, then face it; sidestep for a moment when not getting anywhere.
+  _walkTo(goal, reach) {
+    const self = this.self;
+    const intent = this._intent;
+    const dt = this._dt;
+    const dist = flatDist(self.pos, goal);
+    // Close on the map but a floor apart (under a mezzanine) isn't there yet.
+    if (dist <= reach && Math.abs((goal.y ?? 0) - self.pos.y) < SAME_LEVEL) {
+      this._turnTo(goal);
+      this._stuckFrom = null;
+      this._path = null;
+      return;
+    }
+
+    this._repathT -= dt;
+    const moved = Math.hypot(goal.x - this._pathGoal.x, goal.z - this._pathGoal.z) > REPATH_DIST;
+    if (!this._path || this._repathT <= 0 || moved) {
+      // No route (walled-in goal): head straight for it and let the sidestep sort it out.
+      this._path = this.sim.world.findPath(self.pos, goal) ?? [];
+      this._pathGoal = { x: goal.x, z: goal.z };
+      this._repathT = REPATH_TIME;
+    }
+    const path = this._path;
+    while (path.length > 1 && flatDist(path[0], self.pos) < WAYPOINT_REACH) path.shift();
+    const dYaw = this._turnTo(path[0] ?? goal);
+    intent.moveZ = Math.abs(dYaw) < 0.8 ? 1 : 0.3;
+
+    if (this._unstuckT > 0) {
+      this._unstuckT -= dt;
+      intent.moveX = this._unstuckDir;
+      intent.moveZ = -0.2;
+      return;
+    }
+    this._stuckT += dt;
+    if (!this._stuckFrom) {
+      this._stuckFrom = self.pos.clone();
+      this._stuckT = 0;
+    } else if (this._stuckT >= STUCK_CHECK) {
+      if (dist2(self.pos, this._stuckFrom) < 0.5 * 0.5) {
+        this._unstuckT = 0.6 + this.rng() * 0.6;
+        this._unstuckDir = this.rng() < 0.5 ? -1 : 1;
+        this._path = null;
+      }
+      this._stuckFrom.copy(self.pos);
+      this._stuckT = 0;
+    }
+  }
+}
+
+// Team lineup (MatchSimulation.setTeamMode) for a match with bots: the humans play together on blue,
+// bots fill up blue and then red. Returned in lineup order (blue, red, blue, red, ...).
+export function lineupWithBots(humanIds, botIds) {
+  const all = [...humanIds, ...botIds];
+  const half = Math.ceil(all.length / 2);
+  const lineup = [];
+  for (let i = 0; i < half; i++) {
+    lineup.push(all[i]);
+    if (all[half + i]) lineup.push(all[half + i]);
+  }
+  return lineup;
+}
@@ -0,0 +1,160 @@
+import { Device, deviceLabel } from './Input.js';
+import { ACTIONS, KEY_LAYOUTS, PAD_BINDINGS, RESERVED_CODES, SLOTS_PER_ACTION, keyLabel } from './Bindings.js';
+
+const PAD_ROWS = [
+  ['Move', PAD_BINDINGS.move.label],
+  ['Look', PAD_BINDINGS.look.label],
+  ['Fire', PAD_BINDINGS.fire.label],
+  ['Sniper zoom', `${PAD_BINDINGS.aim.label} (hold)`],
+  ['Jump', PAD_BINDINGS.jump.label],
+  ['Crouch', `${PAD_BINDINGS.crouch.label} (hold)`],
+  ['Sprint', `${PAD_BINDINGS.sprint.label} (hold)`],
+  ['Use arcade / exit task', PAD_BINDINGS.use.label],
+  ['Reload', PAD_BINDINGS.reload.label],
+  ['Switch weapon', `${PAD_BINDINGS.weaponPrev.label} / ${PAD_BINDINGS.weaponNext.label}`],
+  ['Tasks', 'D-pad + A']
+];
+
+function el(tag, cls, text) {
+  const e = document.createElement(tag);
+  if (cls) e.className = cls;
+  if (text != null) e.textContent = text;
+  return e;
+}
+
+// Controls help overlay (P), rendered from the action map (Bindings.js) and doubling as the rebinding screen:
+// click a key, then press the new key or mouse button (Esc: cancel, Backspace: clear the slot).
+// Keys bound to both players (or to two actions) are highlighted and listed under the columns.
+export class ControlsHelp {
+  constructor({ ui, bindings, getDevices }) {
+    this.ui = ui;
+    this.bindings = bindings;
+    this.getDevices = getDevices; // () => GameApp.devices
+    /** @type {{device:string, action:string, slot:number}|null} */
+    this._capture = null;
+    this._notice = '';
+
+    // Capture phase on window: runs before Input and the global hotkeys, so the key only rebinds.
+    this._onCaptureKey = (e) => {
+      if (!this._capture) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === 'Escape') this._finishCapture();
+      else if (e.code === 'Backspace') this._finishCapture(null);
+      else this._finishCapture(e.code);
+    };
+    this._onCaptureMouse = (e) => {
+      if (!this._capture) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this._finishCapture(`Mouse${e.button}`);
+    };
+  }
+
+  get capturing() {
+    return !!this._capture;
+  }
+
+  render() {
+    const grid = this.ui.grid;
+    grid.innerHTML = '';
+    const devices = this.getDevices();
+    const conflicts = this.bindings.conflicts();
+
+    for (const device of KEY_LAYOUTS) {
+      const col = el('div', 'controls-col');
+      const users = Object.keys(devices).filter((id) => devices[id] === device);
+      const who = users.length ? users.map((id) => id.toUpperCase()).join(' + ') : 'boşta';
+      col.appendChild(el('div', 'controls-col-title', `${deviceLabel(device)} — ${who}`));
+      if (device === Device.MOUSE) col.appendChild(el('div', 'bind-note', 'Look: Mouse (pointer lock), Wheel: switch weapon'));
+
+      for (const { id, label } of ACTIONS) {
+        const row = el('div', 'bind-row');
+        row.appendChild(el('span', 'bind-label', label));
+        const codes = this.bindings.codes(device, id);
+        // One empty slot after the bound keys (up to SLOTS_PER_ACTION).
+        const slots = Math.min(SLOTS_PER_ACTION, codes.length + 1);
+        for (let slot = 0; slot < slots; slot++) {
+          const code = codes[slot];
+          const btn = el('button', 'bind-key', keyLabel(code));
+          btn.type = 'button';
+          const waiting = this._capture?.device === device && this._capture.action === id && this._capture.slot === slot;
+          if (waiting) {
+            btn.textContent = '…';
+            btn.classList.add('waiting');
+          }
+          if (code && conflicts.has(code)) btn.classList.add('conflict');
+          btn.addEventListener('click', () => this._startCapture(device, id, slot));
+          row.appendChild(btn);
+        }
+        col.appendChild(row);
+      }
+
+      const reset = el('button', 'btn bind-reset', 'Varsayılan');
+      reset.type = 'button';
+      reset.addEventListener('click', () => {
+        this.bindings.reset(device);
+        this.bindings.save();
+        this.render();
+      });
+      col.appendChild(reset);
+      grid.appendChild(col);
+    }
+
+    const padCol = el('div', 'controls-col');
+    padCol.appendChild(el('div', 'controls-col-title', 'Gamepad (START: lobby)'));
+    for (const [label, key] of PAD_ROWS) {
+      const row = el('div', 'bind-row');
+      row.appendChild(el('span', 'bind-label', label));
+      row.appendChild(el('b', '', key));
+      padCol.appendChild(row);
+    }
+    grid.appendChild(padCol);
+
+    this._renderWarnings(conflicts);
+  }
+
+  _renderWarnings(conflicts) {
+    const warn = this.ui.warn;
+    if (!warn) return;
+    const lines = [];
+    for (const [code, uses] of conflicts) {
+      const where = uses.map(({ device, action }) => `${deviceLabel(device)}: ${ACTIONS.find((a) => a.id === action).label}`);
+      const shared = new Set(uses.map((u) => u.device)).size > 1;
+      lines.push(`⚠ ${keyLabel(code)} ${shared ? 'iki oyuncuda da bağlı' : 'iki aksiyonda bağlı'} (${where.join(', ')})`);
+    }
+    if (this._notice) lines.unshift(this._notice);
+    if (this._capture) lines.unshift('Yeni tuşa bas… (Esc: iptal, Backspace: sil)');
+    warn.textContent = lines.join('\n');
+    warn.classList.toggle('hidden', !lines.length);
+  }
+
+  _startCapture(device, action, slot) {
+    this._capture = { device, action, slot };
+    this._notice = '';
+    // Next tick, so the click that started this isn't taken as the new binding.
+    setTimeout(() => {
+      if (!this._capture) return;
+      window.addEventListener('keydown', this._onCaptureKey, { capture: true });
+      window.addEventListener('mousedown', this._onCaptureMouse, { capture: true });
+    }, 0);
+    this.render();
+  }
+
+  // `code` undefined: cancelled, null: clear the slot.
+  _finishCapture(code) {
+    const cap = this._capture;
+    this._capture = null;
+    window.removeEventListener('keydown', this._onCaptureKey, { capture: true });
+    window.removeEventListener('mousedown', this._onCaptureMouse, { capture: true });
+    if (cap && code !== undefined) {
+      if (this.bindings.set(cap.device, cap.action, cap.slot, code)) this.bindings.save();
+      else this._notice = `${keyLabel(code)} atanamaz: ${RESERVED_CODES.map(keyLabel).join(' / ')} oyun tarafından kullanılıyor.`;
+    }
+    this.render();
+  }
+
+  cancel() {
+    if (this._capture) this._finishCapture();
+  }
+}
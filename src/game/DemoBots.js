@@ -3,10 +3,12 @@ import { WeaponType } from './Weapons.js';
 import { randRange } from './math.js';
 
 // MENU-only background: simple dummy bots shooting (visual only).
-// Not connected to gameplay. No collisions/raycast/hitboxes.
+// Not connected to gameplay. No collisions/raycast/hitboxes; they walk world.findPath routes so they
+// at least go around the props.
 export class DemoBots {
-  constructor({ scene, roomW, roomD }) {
+  constructor({ scene, roomW, roomD, world = null }) {
     this.scene = scene;
+    this.world = world;
     this.roomW = roomW;
     this.roomD = roomD;
 
@@ -49,6 +51,7 @@ export class DemoBots {
     bot.fireT = randRange(0.1, 0.6);
     bot.moveT = randRange(0.8, 1.6);
     bot.target = new THREE.Vector3(randRange(-25, 25), 0, randRange(-18, 18));
+    bot.path = [];
     bot.weapon = Math.random() < 0.5 ? WeaponType.VANDAL : WeaponType.PISTOL;
     this.group.add(bot.group);
     this.bots.push(bot);
@@ -61,10 +64,12 @@ export class DemoBots {
       if (b.moveT <= 0) {
         b.moveT = randRange(0.8, 1.8);
         b.target.set(randRange(-28, 28), 0, randRange(-20, 20));
+        b.path = this.world?.findPath(b.group.position, b.target) ?? [b.target.clone()];
       }
-      const to = this._tmpV.copy(b.target).sub(b.group.position);
+      while (b.path.length > 1 && b.path[0].distanceTo(b.group.position) < 0.3) b.path.shift();
+      const to = this._tmpV.copy(b.path[0] ?? b.target).sub(b.group.position);
       const d = to.length();
-      if (d > 0.001) {
+      if (d > 0.05) {
         to.multiplyScalar(1 / d);
         const speed = 1.6;
         b.group.position.addScaledVector(to, speed * dt);
@@ -0,0 +1,293 @@
+import { Device, MAX_PADS, PadButton, deviceLabel, padDevice, padIndexOf } from './Input.js';
+import { FRIENDLY_FIRE, MAX_PLAYERS, TEAMS, TEAM_MODES, playerIdsFor } from './MatchSimulation.js';
+import { BOT_DIFFICULTIES, lineupWithBots } from './Bots.js';
+
+// What a player falls back to when their pad is released or unplugged (first one nobody else holds).
+// P3/P4 take whichever keyboard side is free; with both in use they need a pad.
+const FALLBACK_DEVICES = {
+  p1: [Device.KEYBOARD, Device.MOUSE],
+  p2: [Device.MOUSE, Device.KEYBOARD]
+};
+export const SPLIT_LAYOUTS = ['vertical', 'horizontal'];
+const SPLIT_LABELS = { vertical: 'Dikey (yan yana)', horizontal: 'Yatay (üst üste)' };
+// Split screen has room for 4 views; bots fill up the rest (up to MAX_PLAYERS).
+const MAX_LOCAL_PLAYERS = 4;
+const FF_LABELS = { off: 'Dost ateşi: kapalı', reduced: 'Dost ateşi: azaltılmış', full: 'Dost ateşi: tam' };
+
+// Lobby step between START and the match: how many players (1-4) and bots, how 2 players split the screen,
+// team mode + friendly fire, and which device each player uses (keyboard, mouse + arrows or a pad).
+// Meant for the couch/TV: with pads nobody has to touch the keyboard.
+// Humans are p1..pN, bots take the slots after them.
+//
+// Pad: A joins the first player without a pad, B gives the slot back, LB / RB player count, Y split,
+// X team mode, Back friendly fire, d-pad ◀ ▶ bot count, d-pad ▲ bot difficulty, Start starts.
+// Keyboard / mouse: ◀ ▶ buttons, Enter starts, Esc goes back.
+// `devices` is GameApp's { p1, p2, ... } map and `config` its { playerCount, bots, botDifficulty, splitLayout,
+// teamMode, friendlyFire }; both are edited in place, so the choice sticks between matches.
+export class DeviceLobby {
+  constructor({ ui, input, devices, config, onStart, onBack }) {
+    this.ui = ui;
+    this.input = input;
+    this.devices = devices;
+    this.config = config;
+    this.onStart = onStart;
+    this.onBack = onBack;
+    this.isOpen = false;
+    this._bindUI();
+  }
+
+  // Human players (the ones that need a device).
+  get playerIds() {
+    return this._allIds().slice(0, this.config.playerCount);
+  }
+
+  get botIds() {
+    return this._allIds().slice(this.config.playerCount);
+  }
+
+  _allIds() {
+    return playerIdsFor(this.config.playerCount + this.config.bots);
+  }
+
+  // Same team split GameApp hands to MatchSimulation.setTeamMode.
+  _lineup() {
+    return this.config.bots ? lineupWithBots(this.playerIds, this.botIds) : this._allIds();
+  }
+
+  _bindUI() {
+    const ui = this.ui;
+    for (const slot of ui.slots) {
+      for (const btn of slot.querySelectorAll('[data-dir]')) {
+        btn.addEventListener('click', () => this.cycle(slot.dataset.player, Number(btn.dataset.dir)));
+      }
+    }
+    for (const btn of ui.count?.querySelectorAll('[data-dir]') ?? []) {
+      btn.addEventListener('click', () => this.setPlayerCount(this.config.playerCount + Number(btn.dataset.dir)));
+    }
+    for (const btn of ui.bots?.querySelectorAll('[data-dir]') ?? []) {
+      btn.addEventListener('click', () => this.setBotCount(this.config.bots + Number(btn.dataset.dir)));
+    }
+    ui.botLevel?.addEventListener('click', () => this.cycleBotDifficulty());
+    ui.split?.addEventListener('click', () => this.toggleSplit());
+    ui.teams?.addEventListener('click', () => this.cycleTeamMode());
+    ui.ff?.addEventListener('click', () => this.cycleFriendlyFire());
+    ui.go?.addEventListener('click', () => this._tryStart());
+    ui.back?.addEventListener('click', () => this.onBack?.());
+  }
+
+  open() {
+    this.isOpen = true;
+    this.releaseMissingPads();
+    this.ui.overlay.classList.remove('hidden');
+    this._render();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.ui.overlay.classList.add('hidden');
+  }
+
+  setPlayerCount(count) {
+    const next = Math.min(MAX_LOCAL_PLAYERS, Math.max(1, count));
+    if (next === this.config.playerCount) return;
+    this.config.playerCount = next;
+    // Team modes come with their own player count: bots make up the difference.
+    const teamSize = TEAM_MODES[this.config.teamMode].players;
+    if (teamSize) this.config.bots = teamSize - next;
+    this._fitBots();
+    const ids = this.playerIds;
+    // Players that left free their device; new ones take whatever is left.
+    for (const id of Object.keys(this.devices)) if (!ids.includes(id)) delete this.devices[id];
+    for (const id of ids) if (!(id in this.devices)) this._giveBack(id);
+    this._render();
+  }
+
+  setBotCount(count) {
+    const next = Math.max(0, count);
+    if (next === this.config.bots) return;
+    this.config.bots = next;
+    this._fitBots();
+    if (TEAM_MODES[this.config.teamMode].players !== this.config.playerCount + this.config.bots) this.config.teamMode = 'ffa';
+    this._render();
+  }
+
+  // At least 2 players in total (one human needs a bot), at most MAX_PLAYERS.
+  _fitBots() {
+    const humans = this.config.playerCount;
+    this.config.bots = Math.min(MAX_PLAYERS - humans, Math.max(2 - humans, this.config.bots));
+  }
+
+  cycleBotDifficulty() {
+    const levels = Object.keys(BOT_DIFFICULTIES);
+    this.config.botDifficulty = levels[(levels.indexOf(this.config.botDifficulty) + 1) % levels.length];
+    this._render();
+  }
+
+  toggleSplit() {
+    const i = SPLIT_LAYOUTS.indexOf(this.config.splitLayout);
+    this.config.splitLayout = SPLIT_LAYOUTS[(i + 1) % SPLIT_LAYOUTS.length];
+    this._render();
+  }
+
+  // Team modes fill the teams with bots (2v2 with 2 players: 2 bots).
+  cycleTeamMode() {
+    const modes = Object.keys(TEAM_MODES);
+    const mode = modes[(modes.indexOf(this.config.teamMode) + 1) % modes.length];
+    const players = TEAM_MODES[mode].players;
+    this.config.teamMode = mode;
+    if (players) this.config.bots = players - this.config.playerCount;
+    this._render();
+  }
+
+  cycleFriendlyFire() {
+    const modes = Object.keys(FRIENDLY_FIRE);
+    this.config.friendlyFire = modes[(modes.indexOf(this.config.friendlyFire) + 1) % modes.length];
+    this._render();
+  }
+
+  _heldByOthers(playerId) {
+    return this.playerIds.filter((id) => id !== playerId).map((id) => this.devices[id]);
+  }
+
+  // Devices player `playerId` may pick: everything connected that no other player is holding.
+  _choices(playerId) {
+    const taken = this._heldByOthers(playerId);
+    const all = [Device.KEYBOARD, Device.MOUSE, ...this.input.connectedPads().map(padDevice)];
+    return all.filter((d) => !taken.includes(d));
+  }
+
+  cycle(playerId, dir) {
+    const choices = this._choices(playerId);
+    if (!choices.length) return;
+    const i = choices.indexOf(this.devices[playerId]);
+    this.devices[playerId] = choices[(i + dir + choices.length) % choices.length];
+    this._render();
+  }
+
+  claimPad(index) {
+    const device = padDevice(index);
+    const ids = this.playerIds;
+    if (ids.some((id) => this.devices[id] === device)) return;
+    // Players with no device at all first, then whoever is still on the keyboard.
+    const id = ids.find((pid) => !this.devices[pid]) ?? ids.find((pid) => padIndexOf(this.devices[pid]) == null);
+    if (id) this.devices[id] = device;
+  }
+
+  releasePad(index) {
+    const id = this.playerIds.find((pid) => this.devices[pid] === padDevice(index));
+    if (id) this._giveBack(id);
+  }
+
+  // Unplugged pads can't stay claimed (the player would have no controls at all).
+  releaseMissingPads() {
+    for (const id of this.playerIds) {
+      const pad = padIndexOf(this.devices[id]);
+      if (pad != null && !this.input.padConnected(pad)) this._giveBack(id);
+    }
+  }
+
+  _giveBack(playerId) {
+    const taken = this._heldByOthers(playerId);
+    const own = FALLBACK_DEVICES[playerId] ?? [Device.KEYBOARD, Device.MOUSE];
+    this.devices[playerId] = own.find((d) => !taken.includes(d)) ?? null;
+  }
+
+  // Everyone needs a device before the match can start.
+  _missing() {
+    return this.playerIds.filter((id) => !this.devices[id]);
+  }
+
+  _tryStart() {
+    if (this._missing().length) {
+      this._render();
+      return;
+    }
+    this.onStart?.();
+  }
+
+  // Once per tick while open (after Input.pollGamepads).
+  update() {
+    if (!this.isOpen) return;
+    const input = this.input;
+    this.releaseMissingPads();
+    for (let i = 0; i < MAX_PADS; i++) {
+      if (input.padPressed(i, PadButton.A)) this.claimPad(i);
+      if (input.padPressed(i, PadButton.B)) this.releasePad(i);
+      if (input.padPressed(i, PadButton.LB)) this.setPlayerCount(this.config.playerCount - 1);
+      if (input.padPressed(i, PadButton.RB)) this.setPlayerCount(this.config.playerCount + 1);
+      if (input.padPressed(i, PadButton.Y)) this.toggleSplit();
+      if (input.padPressed(i, PadButton.X)) this.cycleTeamMode();
+      if (input.padPressed(i, PadButton.BACK)) this.cycleFriendlyFire();
+      if (input.padPressed(i, PadButton.LEFT)) this.setBotCount(this.config.bots - 1);
+      if (input.padPressed(i, PadButton.RIGHT)) this.setBotCount(this.config.bots + 1);
+      if (input.padPressed(i, PadButton.UP)) this.cycleBotDifficulty();
+      if (input.padPressed(i, PadButton.START)) {
+        // Start from an unclaimed pad joins first, so "press Start" alone is enough.
+        this.claimPad(i);
+        this._tryStart();
+        return;
+      }
+    }
+    if (input.wasPressed('Enter')) {
+      this._tryStart();
+      return;
+    }
+    if (input.wasPressed('Escape')) {
+      this.onBack?.();
+      return;
+    }
+    this._render();
+  }
+
+  _render() {
+    const ui = this.ui;
+    const ids = this.playerIds;
+    const teamPlay = this.config.teamMode !== 'ffa';
+    const lineup = this._lineup();
+    const teamOf = (id) => (teamPlay ? (lineup.indexOf(id) % 2 === 0 ? 'blue' : 'red') : '');
+    for (const slot of ui.slots) {
+      const id = slot.dataset.player;
+      const i = ids.indexOf(id);
+      slot.classList.toggle('hidden', i < 0);
+      const team = i >= 0 ? teamOf(id) : '';
+      slot.dataset.team = team;
+      slot.querySelector('.lobby-name').textContent = team ? `${id.toUpperCase()} · ${TEAMS[team].label}` : id.toUpperCase();
+      const device = this.devices[id];
+      slot.querySelector('.lobby-device').textContent = device ? deviceLabel(device) : 'Pad bekleniyor (A)';
+      slot.classList.toggle('has-pad', padIndexOf(device) != null);
+      slot.classList.toggle('missing', !device);
+    }
+    const countLabel = ui.count?.querySelector('.lobby-count-value');
+    if (countLabel) countLabel.textContent = `${this.config.playerCount} oyuncu`;
+    const botsLabel = ui.bots?.querySelector('.lobby-count-value');
+    if (botsLabel) botsLabel.textContent = `${this.config.bots} bot`;
+    if (ui.botLevel) {
+      ui.botLevel.textContent = `Bot: ${BOT_DIFFICULTIES[this.config.botDifficulty].label}`;
+      ui.botLevel.disabled = this.config.bots === 0;
+    }
+    if (ui.split) {
+      ui.split.textContent = ids.length === 2 ? SPLIT_LABELS[this.config.splitLayout] : ids.length === 1 ? 'Tam ekran' : 'Dörde bölünmüş';
+      ui.split.disabled = ids.length !== 2;
+    }
+    if (ui.teams) ui.teams.textContent = TEAM_MODES[this.config.teamMode].label;
+    if (ui.ff) {
+      ui.ff.textContent = FF_LABELS[this.config.friendlyFire];
+      ui.ff.disabled = !teamPlay;
+    }
+
+    const pads = this.input.connectedPads();
+    if (ui.pads) {
+      const missing = this._missing();
+      const lines = [
+        pads.length
+          ? `Bağlı pad: ${pads.map((i) => `${deviceLabel(padDevice(i))} (${this.input.pads[i].id.slice(0, 32)})`).join(', ')}`
+          : 'Pad bulunamadı: pad bağlayıp herhangi bir tuşuna bas.'
+      ];
+      if (missing.length) lines.push(`${missing.map((id) => id.toUpperCase()).join(', ')} için pad gerekli.`);
+      const bots = this.botIds.map((id) => (teamPlay ? `${id.toUpperCase()} · ${TEAMS[teamOf(id)].label}` : id.toUpperCase()));
+      if (bots.length) lines.push(`Botlar: ${bots.join(', ')}`);
+      ui.pads.textContent = lines.join('\n');
+    }
+    if (ui.go) ui.go.disabled = this._missing().length > 0;
+  }
+}
@@ -1,17 +1,51 @@
 import * as THREE from 'three';
-import { Input } from './Input.js';
+import { Device, Input, PadButton, deviceLabel, padDevice, padIndexOf } from './Input.js';
+import { Bindings, PAD_BINDINGS } from './Bindings.js';
+import { ControlsHelp } from './ControlsHelp.js';
 import { AudioManager } from './AudioManager.js';
 import { World } from './World.js';
-import { Player, PLAYER_HEIGHT, PLAYER_RADIUS } from './Player.js';
-import { WeaponState, WeaponType, damageForWeapon, weaponForTaskLevel } from './Weapons.js';
+import { WEAPON_SLOTS, WeaponType, weaponDef } from './Weapons.js';
+import { MatchSimulation, SIM_DT, TEAMS, WIN_KILLS, emptyIntent } from './MatchSimulation.js';
 import { TaskSystem } from './TaskSystem.js';
 import { WeaponView } from './WeaponView.js';
 import { DemoBots } from './DemoBots.js';
 import { WeatherSystem } from './WeatherSystem.js';
-import { clamp, dist2, randRange } from './math.js';
+import { clamp, randRange } from './math.js';
+import { createRng, normalizeSeed, randomSeed } from './Random.js';
+import { ReplayRecorder, parseReplay, serializeReplay } from './Replay.js';
+import { ReplayCamera, ReplayViewer } from './ReplayViewer.js';
+import { NetClient, defaultServerUrl } from './NetClient.js';
+import { DeviceLobby } from './DeviceLobby.js';
+import { BotController, lineupWithBots } from './Bots.js';
 
-const WIN_KILLS = 10;
+
+// Rendering interpolates between the last two fixed simulation ticks (SIM_DT).
+const MAX_TICKS_PER_FRAME = 8; // after a long stall (tab switch), drop time instead of spiraling
 const BUILD_TAG = 'inventory-v1'; // simple visual confirmation on Pages
+// Gamepad look speed at full stick tilt (rad/s); the stick response is squared for fine aim near the center.
+const PAD_YAW_SPEED = 3.2;
+const PAD_PITCH_SPEED = 2.2;
+
+// Split-screen viewports as normalized [x, y, w, h] (top-left origin), in player order.
+// 2 players: side by side or stacked; 3-4: quad (with 3 the bottom-right quarter stays empty).
+const SPLIT_RECTS = {
+  vertical: [
+    [0, 0, 0.5, 1],
+    [0.5, 0, 0.5, 1]
+  ],
+  horizontal: [
+    [0, 0, 1, 0.5],
+    [0, 0.5, 1, 0.5]
+  ],
+  quad: [
+    [0, 0, 0.5, 0.5],
+    [0.5, 0, 0.5, 0.5],
+    [0, 0.5, 0.5, 0.5],
+    [0.5, 0.5, 0.5, 0.5]
+  ]
+};
+const splitLayoutFor = (count, split) => (count > 2 ? 'quad' : count === 2 ? split : 'full');
+const viewRects = (count, split) => SPLIT_RECTS[splitLayoutFor(count, split)]?.slice(0, count) ?? [[0, 0, 1, 1]];
 
 // Vite sets BASE_URL correctly for GitHub Pages (e.g. "/Cookiez/") and for relative builds ("./").
 // IMPORTANT: Never hardcode "/assets/..." for GitHub Pages project sites, because "/assets"
@@ -34,63 +68,43 @@ export class GameApp {
     this.input = new Input({ canvas: this.canvas });
     this.audio = new AudioManager();
 
-    this.world = new World();
+    // Match seed: layout + all gameplay randomness. Shown in menu/HUD so a match can be replayed.
+    this.matchSeed = randomSeed();
+    this.world = new World({ seed: this.matchSeed });
     this.world.build();
-    this.demoBots = new DemoBots({ scene: this.world.scene, roomW: this.world.roomW, roomD: this.world.roomD });
+    this.demoBots = new DemoBots({ scene: this.world.scene, roomW: this.world.roomW, roomD: this.world.roomD, world: this.world });
     this.demoBots.build();
     this.demoBots.setEnabled(true);
 
-    this.players = {
-      p1: new Player({ id: 'p1', color: 0x63b3ff }),
-      p2: new Player({ id: 'p2', color: 0xff4fd7 })
-    };
-    this.players.p1.addToScene(this.world.scene);
-    this.players.p2.addToScene(this.world.scene);
-    // Add cameras to scene so camera-attached weapon models render.
-    this.world.scene.add(this.players.p1.camera);
-    this.world.scene.add(this.players.p2.camera);
-
-    // Camera layers:
-    // - Layer 0: world + all players base meshes
-    // - Layer 1: P1 face
-    // - Layer 2: P2 face
-    // Each camera renders the OTHER player's face layer only.
-    this.players.p1.camera.layers.enable(0);
-    this.players.p1.camera.layers.enable(2);
-    this.players.p1.camera.layers.disable(1);
-    this.players.p2.camera.layers.enable(0);
-    this.players.p2.camera.layers.enable(1);
-    this.players.p2.camera.layers.disable(2);
-
-    this.weapons = {
-      p1: new WeaponState(),
-      p2: new WeaponState()
-    };
-
-    // First-person weapon visuals + FX.
-    this.weaponViews = {
-      p1: new WeaponView({ id: 'p1', scene: this.world.scene, camera: this.players.p1.camera }),
-      p2: new WeaponView({ id: 'p2', scene: this.world.scene, camera: this.players.p2.camera })
-    };
-    this.weaponViews.p1.attach();
-    this.weaponViews.p2.attach();
-
-    // Spawn/elevator state.
-    this.state = 'MENU'; // MENU -> TRANSITION -> ELEVATOR -> PLAY -> WIN
-    this.elevator = {
-      t: 10,
-      doorOpen01: 0,
-      fightMsgTimer: 0,
-      _lastShownInt: 10,
-      doorSfxPlayed: false,
-      introSpoken: false
-    };
-
-    this.scores = { p1: 0, p2: 0 };
-    this._raycaster = new THREE.Raycaster();
-    this._tmpV = new THREE.Vector3();
-    this._tmpV2 = new THREE.Vector3();
-    this._tmpHitEnd = new THREE.Vector3();
+    // Rules live in MatchSimulation; GameApp is the browser shell (input, render, HUD, audio).
+    this.sim = new MatchSimulation({ world: this.world });
+    this.players = this.sim.players;
+    this.weapons = this.sim.weapons;
+    this.scores = this.sim.scores;
+    // Per player (see _syncPlayerViews): first-person weapon visuals + FX, HUD refs and task window.
+    this.weaponViews = {};
+    this._huds = {};
+    this._taskHosts = {};
+    // Visible viewports, [{ id, rect }] (see _layoutViews).
+    this._viewLayout = [];
+
+    // MENU -> TRANSITION -> ELEVATOR -> PLAY -> WIN (ELEVATOR/PLAY mirror sim.phase).
+    // REPLAY: viewer re-simulating a recording (entered from MENU or WIN, Esc back to MENU).
+    // Online matches use the same states; `this.net` is set from "join" until back in the MENU.
+    this.state = 'MENU';
+    this._introSpoken = false;
+
+    // Every live match is recorded (seed + intents + commands) so it can be watched/shared afterwards.
+    /** @type {ReplayRecorder|null} */
+    this._recorder = null;
+    /** @type {ReplayRecorder|null} */
+    this.lastReplay = null;
+    // Replays/online matches pick their own weather; the player's choice is restored afterwards.
+    this._savedWeather = null;
+    /** @type {NetClient|null} */
+    this.net = null;
+    // True while the replay viewer fast-forwards: skip sounds/particles for those ticks.
+    this._fxMuted = false;
 
     // Combat FX.
     this._damageTextPool = [];
@@ -99,18 +113,38 @@ export class GameApp {
     this._blood = [];
     this._corpses = [];
     this._firstKillDone = false;
-    this._bonusWeapon = { p1: null, p2: null };
     this._cheatsEnabled = false;
     this._hackUsed = { one: false, two: false, three: false };
 
     this.config = {
-      mouseFireMode: 'p2' // 'p2' | 'both'
+      mouseFireMode: 'p2', // 'p2' | 'both'
+      // Local matches, picked in the lobby: 1-4 players + bots; how 2 players split the screen; teams.
+      playerCount: 2,
+      bots: 0,
+      botDifficulty: 'normal', // key of BOT_DIFFICULTIES
+      splitLayout: 'vertical', // 'vertical' | 'horizontal'
+      teamMode: 'ffa', // key of TEAM_MODES
+      friendlyFire: 'off' // key of FRIENDLY_FIRE
     };
+    // AI players of the current match (id -> BotController); everyone else is human.
+    this.bots = {};
+    // Device per player, picked in the lobby (DeviceLobby): Device.KEYBOARD | Device.MOUSE | 'padN'.
+    this.devices = { p1: Device.KEYBOARD, p2: Device.MOUSE };
+    // Claimed pads that got unplugged mid-match (toast once, idle intent until they are back).
+    this._lostPads = new Set();
 
     // Footstep cadence per player.
-    this._stepT = { p1: 0, p2: 0 };
+    this._stepT = {};
 
     this._ui = this._bindUI();
+    this._syncPlayerViews();
+    // Keyboard/mouse action map (saved in localStorage) + the help overlay that edits it.
+    this.bindings = new Bindings();
+    this.controlsHelp = new ControlsHelp({
+      ui: { grid: this._ui.controlsGrid, warn: this._ui.controlsWarn },
+      bindings: this.bindings,
+      getDevices: () => this.devices
+    });
     // Menu-only systems (intro + achievements + idle easter egg).
     this._menuIdleT = 0;
     this._intro = { open: false, mode: 'credits', y: 0 };
@@ -122,13 +156,11 @@ export class GameApp {
       world: this.world,
       audio: this.audio,
       onInventoryOpen: () => {
-        // Freeze both players while inventory is open (simple + safe).
-        this.players.p1.controlsLocked = true;
-        this.players.p2.controlsLocked = true;
+        // Freeze all players while inventory is open (simple + safe).
+        for (const p of Object.values(this.players)) p.controlsLocked = true;
       },
       onInventoryClose: () => {
-        this.players.p1.controlsLocked = false;
-        this.players.p2.controlsLocked = false;
+        for (const p of Object.values(this.players)) p.controlsLocked = false;
       },
       onHackEnabled: () => {
         this._cheatsEnabled = true;
@@ -142,19 +174,44 @@ export class GameApp {
 
     this.taskSystem = new TaskSystem({
       input: this.input,
-      elP1: document.getElementById('task-p1'),
-      elP2: document.getElementById('task-p2'),
-      onComplete: (playerId, taskIndex) => this._onTaskComplete(playerId, taskIndex),
+      hosts: this._taskHosts,
+      getDevice: (playerId) => this._deviceOf(playerId),
+      bindings: this.bindings,
+      onComplete: (playerId, taskIndex) => this._matchCommand({ type: 'completeTask', playerId, taskIndex }),
       onClose: (playerId) => {
         // Fix: closing via UI button must also unlock the player's controls.
-        this.players[playerId].controlsLocked = false;
+        this._matchCommand({ type: 'closeTask', playerId });
         this._refreshTaskBeepLoop();
       }
     });
 
+    // Kept so online matches can feed the server's events through the same handlers.
+    this._simObserver = this._createSimObserver();
+    this.sim.addObserver(this._simObserver);
+
+    this.replayViewer = new ReplayViewer({
+      ui: this._ui.replay,
+      input: this.input,
+      restartMatch: (data) => this._restartReplayMatch(data),
+      stepMatch: (player, opts) => this._stepReplay(player, opts),
+      getPlayerView: (id) => ({ position: this.players[id].camera.position, yaw: this.players[id].yaw }),
+      onExit: () => this._toMenu()
+    });
+
+    this.deviceLobby = new DeviceLobby({
+      ui: this._ui.lobby,
+      input: this.input,
+      devices: this.devices,
+      config: this.config,
+      onStart: () => this._startFromLobby(),
+      onBack: () => this.deviceLobby.close()
+    });
+
     this._resizeObserver = null;
     this._running = false;
     this._lastTs = 0;
+    this._accumulator = 0;
+    this.simTick = 0;
   }
 
   start() {
@@ -182,9 +239,45 @@ export class GameApp {
       volume: document.getElementById('volume'),
       mouseFire: document.getElementById('mouse-fire'),
       mouseFireLive: document.getElementById('mouse-fire-live'),
+      seedInput: document.getElementById('seed-input'),
+      seedNew: document.getElementById('seed-new'),
+      seedTag: document.getElementById('seed-tag'),
+      replayLoadBtn: document.getElementById('replay-load-btn'),
+      replayFile: document.getElementById('replay-file'),
+      replaySaveBtn: document.getElementById('replay-save-btn'),
+      replayWatchBtn: document.getElementById('replay-watch-btn'),
+      netUrl: document.getElementById('net-url'),
+      netRoom: document.getElementById('net-room'),
+      netJoin: document.getElementById('net-join'),
+      netStatus: document.getElementById('net-status'),
+      lobby: {
+        overlay: document.getElementById('lobby-overlay'),
+        slots: Array.from(document.querySelectorAll('#lobby-overlay .lobby-slot')),
+        count: document.getElementById('lobby-count'),
+        bots: document.getElementById('lobby-bots'),
+        botLevel: document.getElementById('lobby-bot-level'),
+        split: document.getElementById('lobby-split'),
+        teams: document.getElementById('lobby-teams'),
+        ff: document.getElementById('lobby-ff'),
+        pads: document.getElementById('lobby-pads'),
+        go: document.getElementById('lobby-go'),
+        back: document.getElementById('lobby-back')
+      },
+      replay: {
+        bar: document.getElementById('replay-bar'),
+        play: document.getElementById('replay-play'),
+        speed: document.getElementById('replay-speed'),
+        seek: document.getElementById('replay-seek'),
+        markers: document.getElementById('replay-markers'),
+        time: document.getElementById('replay-time'),
+        cams: document.getElementById('replay-cams'),
+        exit: document.getElementById('replay-exit')
+      },
 
       scoreboard: document.getElementById('scoreboard'),
       splitBar: document.getElementById('split-bar'),
+      playerViews: document.getElementById('player-views'),
+      hudTemplate: document.getElementById('hud-template'),
       centerMsg: document.getElementById('center-msg'),
       win: document.getElementById('win-screen'),
       winTitle: document.getElementById('win-title'),
@@ -193,6 +286,9 @@ export class GameApp {
       saveBtn: document.getElementById('save-btn'),
 
       controlsHelp: document.getElementById('controls-help'),
+      controlsGrid: document.getElementById('controls-grid'),
+      controlsWarn: document.getElementById('controls-warn'),
+      controlsBtn: document.getElementById('controls-btn'),
       buildTag: document.getElementById('build-tag'),
       weatherPill: document.getElementById('weather-pill'),
       killPopGlobal: document.getElementById('kill-pop-global'),
@@ -238,37 +334,14 @@ export class GameApp {
       vipSubmit: document.getElementById('vip-submit'),
       vipAll: document.getElementById('vip-all'),
       vipClose: document.getElementById('vip-close'),
-      vipMsg: document.getElementById('vip-msg'),
-
-      p1: {
-        hud: document.getElementById('hud-p1'),
-        hp: document.getElementById('p1-hp'),
-        prompt: document.getElementById('p1-prompt'),
-        invuln: document.getElementById('p1-invuln'),
-        weapon: document.getElementById('p1-weapon'),
-        killPop: document.getElementById('p1-kill-pop'),
-        scope: document.getElementById('p1-scope')
-      },
-      p2: {
-        hud: document.getElementById('hud-p2'),
-        hp: document.getElementById('p2-hp'),
-        prompt: document.getElementById('p2-prompt'),
-        invuln: document.getElementById('p2-invuln'),
-        weapon: document.getElementById('p2-weapon'),
-        killPop: document.getElementById('p2-kill-pop'),
-        radar: document.getElementById('p2-radar'),
-        scope: document.getElementById('p2-scope')
-      }
+      vipMsg: document.getElementById('vip-msg')
     };
     if (ui.buildTag) ui.buildTag.textContent = BUILD_TAG;
-    ui.p1.radar = document.getElementById('p1-radar');
-    ui.p1.radarCtx = ui.p1.radar?.getContext('2d');
-    ui.p2.radarCtx = ui.p2.radar?.getContext('2d');
 
     ui.startBtn.addEventListener('click', async () => {
       await this.audio.unlock(); // user gesture unlock (required for audio in browsers)
       await this.audio.playOneShot(assetUrl('assets/audio/sfx/ui_click.ogg'), { volume: 0.7, fallback: 'taskComplete' });
-      this._startTransitionToGame();
+      this._openLobby();
     });
 
     ui.fullscreenBtn.addEventListener('click', async () => {
@@ -297,6 +370,45 @@ export class GameApp {
       ui.mouseFire.value = ui.mouseFireLive.value;
     });
 
+    // Seed: typing a seed rebuilds the menu background so you can preview the layout.
+    ui.seedInput.value = this.matchSeed;
+    ui.seedInput.addEventListener('change', () => this._setMatchSeed(ui.seedInput.value));
+    for (const field of [ui.seedInput, ui.netUrl, ui.netRoom]) {
+      field?.addEventListener('keydown', (e) => {
+        // Don't let typing trigger global hotkeys (P = help).
+        e.stopPropagation();
+        if (e.key === 'Enter') field.blur();
+      });
+    }
+    ui.seedNew?.addEventListener('click', () => this._setMatchSeed(randomSeed()));
+
+    // Online 1v1: both browsers join the same room on the same server (npm run server).
+    if (ui.netUrl) ui.netUrl.value = defaultServerUrl();
+    ui.netJoin?.addEventListener('click', async () => {
+      await this.audio.unlock();
+      if (this.net) this._leaveOnline();
+      else this._joinOnline();
+    });
+
+    // Replays: load a recording from disk (menu) / download the last match (win screen).
+    ui.replayLoadBtn?.addEventListener('click', () => ui.replayFile?.click());
+    ui.replayFile?.addEventListener('change', async () => {
+      const file = ui.replayFile.files?.[0];
+      ui.replayFile.value = '';
+      if (!file) return;
+      try {
+        const data = parseReplay(await file.text());
+        await this.audio.unlock();
+        this._openReplay(data);
+      } catch (err) {
+        this._showToast(err?.message ?? 'Replay yüklenemedi');
+      }
+    });
+    ui.replaySaveBtn?.addEventListener('click', () => this._downloadReplay());
+    ui.replayWatchBtn?.addEventListener('click', () => {
+      if (this.lastReplay) this._openReplay(this.lastReplay.toJSON());
+    });
+
     ui.saveBtn.addEventListener('click', async () => {
       await this.audio.unlock();
       await this.audio.playOneShot(assetUrl('assets/audio/sfx/ui_click.ogg'), { volume: 0.7, fallback: 'taskComplete' });
@@ -353,18 +465,17 @@ export class GameApp {
       if (e.target === ui.achOverlay) this._closeAchievements();
     });
 
-    // Help overlay (H).
+    // Help overlay (P) / rebinding screen.
     window.addEventListener('keydown', (e) => {
-      if (e.code === 'KeyP') {
-        ui.controlsHelp.classList.toggle('hidden');
-        if (!ui.controlsHelp.classList.contains('hidden')) document.exitPointerLock?.();
-      }
+      if (e.code === 'KeyP') this._toggleControlsHelp();
     });
+    ui.controlsBtn?.addEventListener('click', () => this._toggleControlsHelp());
 
-    // Pointer lock request: click canvas during gameplay.
+    // Pointer lock request: click canvas during gameplay (or to mouse-look with the replay fly camera).
     this.canvas.addEventListener('click', () => {
-      if (this.state !== 'ELEVATOR' && this.state !== 'PLAY') return;
-      if (this.taskSystem.isOpen('p1') || this.taskSystem.isOpen('p2')) return;
+      const flyCam = this.state === 'REPLAY' && this.replayViewer.cameraMode === ReplayCamera.FREE;
+      if (this.state !== 'ELEVATOR' && this.state !== 'PLAY' && !flyCam) return;
+      if (this._anyTaskOpen()) return;
       if (!ui.controlsHelp.classList.contains('hidden')) return;
       if (document.pointerLockElement !== this.canvas) this.canvas.requestPointerLock?.();
     });
@@ -372,6 +483,17 @@ export class GameApp {
     return ui;
   }
 
+  _toggleControlsHelp() {
+    const help = this._ui.controlsHelp;
+    help.classList.toggle('hidden');
+    if (help.classList.contains('hidden')) {
+      this.controlsHelp.cancel();
+    } else {
+      document.exitPointerLock?.();
+      this.controlsHelp.render();
+    }
+  }
+
   _installMenuIdleListeners() {
     // Any user interaction resets the 2-minute idle timer (for easter egg).
     const mark = () => {
@@ -523,9 +645,12 @@ export class GameApp {
     setTimeout(() => el.classList.remove('show'), 3000);
   }
 
-  _showKillPop(killerId) {
-    const el = this._ui?.[killerId]?.killPop;
+  // Skull for a kill, a target for a headshot kill.
+  _showKillPop(killerId, headshot = false) {
+    const el = this._huds?.[killerId]?.killPop;
     if (!el) return;
+    el.textContent = headshot ? '🎯' : '☠';
+    el.classList.toggle('headshot', headshot);
     el.classList.remove('show');
     // Restart animation reliably.
     // eslint-disable-next-line no-unused-expressions
@@ -554,21 +679,205 @@ export class GameApp {
     }
   }
 
+  _setMatchSeed(text) {
+    const seed = normalizeSeed(text) || randomSeed();
+    this._ui.seedInput.value = seed;
+    if (seed === this.matchSeed) return;
+    this.matchSeed = seed;
+    if (this.state === 'MENU') this.world.rebuild(seed);
+  }
+
+  _openReplay(data) {
+    if (this.state !== 'MENU' && this.state !== 'WIN') return;
+    if (this.net) return;
+    document.exitPointerLock?.();
+    this._closeTasks();
+    this._savedWeather = this.weather.selected;
+
+    this.state = 'REPLAY';
+    this._applyMenuMode(false);
+    document.body.classList.add('replay-mode');
+    this._ui.win.classList.add('hidden');
+    this._ui.centerMsg.classList.add('hidden');
+    this._ui.splitBar.classList.add('hidden');
+    this._ui.scoreboard.classList.remove('hidden');
+    if (this._ui.seedTag) {
+      this._ui.seedTag.textContent = `REPLAY · SEED ${data.seed}`;
+      this._ui.seedTag.classList.remove('hidden');
+    }
+    this.replayViewer.openReplay(data);
+  }
+
+  // Viewer callback: put world + sim back to the recorded match start (same steps as _beginElevatorPhase).
+  _restartReplayMatch(data) {
+    this.matchSeed = data.seed;
+    this._ui.seedInput.value = data.seed;
+    this.weather.selected = data.weather;
+    this.sim.winKills = data.winKills;
+    this.sim.config.fireDps = data.fireDps;
+    this._firstKillDone = false;
+    // Expire leftover damage numbers / blood / corpses from before the seek.
+    this._updateCombatFx(60);
+
+    // Bots are in the recorded intents already: everyone replays as a "human".
+    this._setPlayers(data.playerIds.length);
+    this.sim.setTeamMode(data.teamMode ?? 'ffa', data.friendlyFire ?? 'off', data.lineup ?? data.playerIds);
+    this.sim.resetMatch();
+    this.world.rebuild(data.seed);
+    this.taskSystem.rng = createRng(`${data.seed}/tasks`);
+    this.sim.startMatch({ seed: data.seed });
+    this.weather.applyToWorld();
+  }
+
+  // Viewer callback: one recorded tick, in the same order as a live tick (weather, UI commands, sim).
+  _stepReplay(player, { muted }) {
+    this._fxMuted = muted;
+    for (const p of Object.values(this.players)) p.savePrevState();
+    this.weather.update(SIM_DT, true);
+    for (const cmd of player.commandsDue()) this._runMatchCommand(cmd);
+    this.sim.tick(SIM_DT, player.next());
+    if (!muted) this._updatePlayerPresentation(SIM_DT);
+    this._fxMuted = false;
+  }
+
+  _downloadReplay() {
+    const rec = this.lastReplay;
+    if (!rec) return;
+    const blob = new Blob([serializeReplay(rec)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `arcade-duel-${rec.meta.seed}-${rec.meta.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.replay.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  _openLobby() {
+    if (this.state !== 'MENU' || this.net) return;
+    this.deviceLobby.open();
+  }
+
+  async _startFromLobby() {
+    this.deviceLobby.close();
+    this._lostPads.clear();
+    const { playerCount, bots } = this.config;
+    this._setPlayers(playerCount, bots);
+    const humans = this.sim.playerIds.slice(0, playerCount);
+    const lineup = bots ? lineupWithBots(humans, Object.keys(this.bots)) : this.sim.playerIds;
+    this.sim.setTeamMode(this.config.teamMode, this.config.friendlyFire, lineup);
+    this._startTransitionToGame();
+    // Pad Start is not a user gesture everywhere; if audio is still locked this is a no-op.
+    await this.audio.unlock();
+  }
+
+  _deviceOf(playerId) {
+    if (!this.net) return this.devices[playerId];
+    // Online there is one local player: a pad if one was claimed in the lobby, else keyboard + mouse.
+    const pad = this._onlinePad();
+    return pad != null ? padDevice(pad) : Device.KEYBOARD;
+  }
+
+  _onlinePad() {
+    return Object.values(this.devices).map(padIndexOf).find((pad) => pad != null) ?? null;
+  }
+
+  _joinOnline() {
+    if (this.state !== 'MENU' || this.net) return;
+    const ui = this._ui;
+    this.net = new NetClient({
+      url: ui.netUrl.value.trim() || defaultServerUrl(),
+      room: ui.netRoom.value.trim() || 'duel',
+      seed: this.matchSeed,
+      sim: this.sim,
+      onWelcome: ({ playerId, room, seed }) => {
+        ui.netStatus.textContent = `${room}: ${playerId.toUpperCase()} olarak bağlandın, rakip bekleniyor… (seed ${seed})`;
+      },
+      onStart: ({ seed }) => this._startOnlineMatch(seed),
+      onEvent: (name, payload) => this._simObserver[name]?.(payload),
+      onClosed: (reason) => this._onNetClosed(reason)
+    });
+    this.net.connect();
+    ui.netStatus.textContent = 'Bağlanıyor…';
+    ui.netJoin.textContent = 'İptal';
+  }
+
+  _startOnlineMatch(seed) {
+    if (this.state !== 'MENU') return;
+    this.matchSeed = seed;
+    this._ui.seedInput.value = seed;
+    // Weather can spawn gifts/bombs, which the server doesn't know about: online matches play without.
+    this._savedWeather = this.weather.selected;
+    this.weather.selected = null;
+    // The server runs 1v1 matches only.
+    this._setPlayers(2);
+    this.sim.setTeamMode('ffa');
+    document.body.classList.add('online-mode');
+    this._ui.netStatus.textContent = '';
+    this._startTransitionToGame();
+  }
+
+  _onNetClosed(reason) {
+    if (this.state === 'MENU') this._leaveOnline();
+    else this._toMenu();
+    this._ui.netStatus.textContent = reason;
+    this._showToast(reason);
+  }
+
+  _leaveOnline() {
+    const net = this.net;
+    if (!net) return;
+    this.net = null;
+    net.close();
+    if (net.started) this.weather.selected = this._savedWeather;
+    document.body.classList.remove('online-mode');
+    this._ui.netStatus.textContent = '';
+    this._ui.netJoin.textContent = 'Online 1v1';
+  }
+
+  // UI-side actions that change the match (task UI, cheat keys) go through here so they get recorded.
+  // Online, they go to the server instead (which only accepts task results for your own player).
+  _matchCommand(cmd) {
+    // Live UI can't touch a match that is being replayed.
+    if (this.state === 'REPLAY') return;
+    if (this.net) {
+      if (cmd.type !== 'hack') this.net.sendCommand(cmd);
+      return;
+    }
+    // Closing an already-closed task (e.g. the sim closed it on win) is not worth recording.
+    if (cmd.type === 'closeTask' && this.sim.activeTask[cmd.playerId] == null) return;
+    this._recorder?.command(cmd);
+    this._runMatchCommand(cmd);
+  }
+
+  _runMatchCommand(cmd) {
+    if (cmd.type === 'completeTask') this.sim.completeTask(cmd.playerId, cmd.taskIndex);
+    else if (cmd.type === 'closeTask') this.sim.closeTask(cmd.playerId);
+    else if (cmd.type === 'hack') this._runHack(cmd.n);
+  }
+
   _toMenu() {
     document.exitPointerLock?.();
+    this.deviceLobby.close();
+    if (this.state === 'REPLAY') {
+      this.replayViewer.close();
+      document.body.classList.remove('replay-mode');
+      this.weather.selected = this._savedWeather;
+      this.sim.winKills = WIN_KILLS;
+    }
+    this._leaveOnline();
+    this._layoutViews();
     this.state = 'MENU';
     this._applyMenuMode(true);
+    this._recorder = null;
 
     this._ui.fade.classList.remove('on');
     this._ui.scoreboard.classList.add('hidden');
+    this._ui.seedTag?.classList.add('hidden');
     this._ui.splitBar.classList.add('hidden');
     this._ui.centerMsg.classList.add('hidden');
     this._ui.win.classList.add('hidden');
 
-    this.taskSystem.close('p1');
-    this.taskSystem.close('p2');
-    this.players.p1.controlsLocked = false;
-    this.players.p2.controlsLocked = false;
+    this._closeTasks();
 
     this.audio.stopLoop('elevator');
     this.audio.stopLoop('taskBeep');
@@ -589,6 +898,8 @@ export class GameApp {
 
     // After fully black, setup elevator start, then fade back in.
     setTimeout(() => {
+      // Online: the connection may have dropped during the fade.
+      if (this.state !== 'TRANSITION') return;
       this._beginElevatorPhase();
       // Fade in.
       setTimeout(() => this._ui.fade.classList.remove('on'), 180);
@@ -596,29 +907,40 @@ export class GameApp {
   }
 
   _beginElevatorPhase() {
-    this.state = 'ELEVATOR';
     this._ui.scoreboard.classList.remove('hidden');
-    this._ui.splitBar.classList.remove('hidden');
+    this._layoutViews();
+    this._ui.splitBar.classList.toggle('hidden', !!this.net);
+    if (this._ui.seedTag) {
+      this._ui.seedTag.textContent = `${this.net ? `ONLINE · ${this.net.localId.toUpperCase()} · ` : ''}SEED ${this.matchSeed}`;
+      this._ui.seedTag.classList.remove('hidden');
+    }
     this._ui.win.classList.add('hidden');
     this._ui.centerMsg.classList.remove('hidden');
     this._ui.centerMsg.textContent = 'ELEVATOR 10';
+    this._introSpoken = false;
 
-    // Reset elevator timer and close doors.
-    this.elevator.t = 16;
-    this.elevator.doorOpen01 = 0;
-    this.elevator.fightMsgTimer = 0;
-    this.elevator._lastShownInt = 16;
-    this.elevator.doorSfxPlayed = false;
-    this.elevator.introSpoken = false;
-    this.world.setElevatorDoorOpen('p1', 0);
-    this.world.setElevatorDoorOpen('p2', 0);
-    this.world.setElevatorCabinAlpha('p1', 1);
-    this.world.setElevatorCabinAlpha('p2', 1);
-    this.world.setElevatorDisplay('p1', '16');
-    this.world.setElevatorDisplay('p2', '16');
-
-    // Spawn both players inside their elevators.
-    this._spawnInElevator();
+    // Volcano request: lava is visual only (no damage).
+    this.sim.config.fireDps = this.weather?.selected === 'volcano' ? 0 : 25;
+    // Fresh layout from the seed every match (also restores barrels/bottles used last round).
+    this.world.rebuild(this.matchSeed);
+    this.taskSystem.rng = createRng(`${this.matchSeed}/tasks`);
+    // Resets the elevator timer, closes doors and spawns both players inside their elevators.
+    this.sim.startMatch({ seed: this.matchSeed });
+    for (const bot of Object.values(this.bots)) bot.reset(this.matchSeed);
+    // Online the other player's inputs live on the server, so there is nothing to record here.
+    this._recorder = this.net
+      ? null
+      : new ReplayRecorder({
+          seed: this.matchSeed,
+          weather: this.weather.selected,
+          fireDps: this.sim.config.fireDps,
+          winKills: this.sim.winKills,
+          playerIds: this.sim.playerIds,
+          teamMode: this.sim.config.teamMode,
+          friendlyFire: this.sim.config.friendlyFire,
+          lineup: this.sim.lineup,
+          bots: Object.fromEntries(Object.entries(this.bots).map(([id, bot]) => [id, bot.difficulty]))
+        });
 
     // No mario music (user request). Keep ambient optional only.
     this.audio.playAmbientLoop(assetUrl('assets/audio/music/arcade_ambient.ogg'), { volume: 0.16, fallback: null });
@@ -630,42 +952,129 @@ export class GameApp {
   }
 
   _resetRound() {
-    this.scores.p1 = 0;
-    this.scores.p2 = 0;
     this._firstKillDone = false;
+    this.sim.resetMatch();
+  }
+
+  // Players come and go between matches (lobby count, online = 2, replays = recorded count).
+  // `humans` take p1..pN, `bots` the ids after them.
+  _setPlayers(humans, bots = 0) {
+    this.sim.setPlayerCount(humans + bots);
+    this.bots = {};
+    for (const id of this.sim.playerIds.slice(humans)) {
+      this.bots[id] = new BotController({
+        sim: this.sim,
+        playerId: id,
+        difficulty: this.config.botDifficulty,
+        // Through the command log, so the bot's task shows up in the replay like a human's.
+        onCompleteTask: (playerId, taskIndex) => this._matchCommand({ type: 'completeTask', playerId, taskIndex })
+      });
+    }
+    this._syncPlayerViews();
+  }
 
-    // Task progression persists for the whole round (otherwise tasks feel pointless).
-    // If you want "every respawn resets to knife", reset taskLevel on respawn instead.
-    this.players.p1.taskLevel = 0;
-    this.players.p2.taskLevel = 0;
+  _humanIds() {
+    return this.sim.playerIds.filter((id) => !this.bots[id]);
+  }
 
-    this.weapons.p1.setWeapon(weaponForTaskLevel(this.players.p1.taskLevel));
-    this.weapons.p2.setWeapon(weaponForTaskLevel(this.players.p2.taskLevel));
-    this.weaponViews.p1.setWeapon(this.weapons.p1.type);
-    this.weaponViews.p2.setWeapon(this.weapons.p2.type);
+  // Camera + first-person weapon for every player in the sim, HUD and task window for the humans;
+  // drops the ones that left.
+  _syncPlayerViews() {
+    const ids = this.sim.playerIds;
+    const humans = this._humanIds();
+    for (const id of Object.keys(this.weaponViews)) {
+      if (ids.includes(id)) continue;
+      this.weaponViews[id].detach();
+      this.world.scene.remove(this.weaponViews[id].camera);
+      delete this.weaponViews[id];
+      delete this._stepT[id];
+    }
+    for (const id of Object.keys(this._huds)) {
+      if (humans.includes(id)) continue;
+      this._huds[id].root.remove();
+      this._taskHosts[id].remove();
+      delete this._huds[id];
+      delete this._taskHosts[id];
+    }
+    for (const id of ids) {
+      if (this.weaponViews[id]) continue;
+      const p = this.players[id];
+      // Cameras live in the scene so camera-attached weapon models render.
+      this.world.scene.add(p.camera);
+      // Every camera sees all layers except its own player's (no face in front of your own eyes).
+      p.camera.layers.enableAll();
+      p.camera.layers.disable(p.layer);
+      this.weaponViews[id] = new WeaponView({ id, scene: this.world.scene, camera: p.camera });
+      this.weaponViews[id].attach();
+      this._stepT[id] = 0;
+    }
+    for (const id of humans) {
+      if (this._huds[id]) continue;
+      this._huds[id] = this._createHud(id);
+      const task = document.createElement('div');
+      task.id = `task-${id}`;
+      task.className = 'task-overlay view hidden';
+      this._taskHosts[id] = task;
+      this._ui.playerViews.append(this._huds[id].root, task);
+    }
+    this._layoutViews();
+  }
+
+  _createHud(id) {
+    const root = this._ui.hudTemplate.content.firstElementChild.cloneNode(true);
+    root.id = `hud-${id}`;
+    const q = (cls) => root.querySelector(`.${cls}`);
+    q('hp-label').textContent = `${id.toUpperCase()} HP`;
+    const radar = q('radar');
+    // Weapon strip: one cell per inventory slot.
+    const strip = q('weapon-strip');
+    const slots = WEAPON_SLOTS.map(() => strip.appendChild(document.createElement('span')));
+    return {
+      root,
+      slots,
+      hp: q('hp-fill'),
+      armor: q('armor-fill'),
+      stamina: q('stamina-fill'),
+      prompt: q('prompt'),
+      invuln: q('invuln'),
+      weapon: q('weapon'),
+      killPop: q('kill-pop'),
+      crosshair: q('crosshair'),
+      scope: q('scope-overlay'),
+      radar,
+      radarCtx: radar?.getContext('2d')
+    };
+  }
 
-    // Place players somewhere safe for menu background.
-    this.players.p1.respawnAt(new THREE.Vector3(-10, 0, 0));
-    this.players.p2.respawnAt(new THREE.Vector3(10, 0, 0));
-    this.players.p1.setYawPitch(Math.PI / 2, 0);
-    this.players.p2.setYawPitch(-Math.PI / 2, 0);
+  // Splits the screen between the players that are shown (online: only yours) and puts each HUD on its view.
+  _layoutViews() {
+    const ids = this.net?.started ? [this.net.localId] : this._humanIds();
+    const rects = viewRects(ids.length, this.config.splitLayout);
+    this._viewLayout = ids.map((id, i) => ({ id, rect: rects[i] }));
+    for (const id of Object.keys(this._huds)) {
+      const view = this._viewLayout.find((v) => v.id === id);
+      for (const el of [this._huds[id].root, this._taskHosts[id]]) {
+        el.style.display = view ? '' : 'none';
+        if (!view) continue;
+        const [x, y, w, h] = view.rect;
+        Object.assign(el.style, { left: `${x * 100}%`, top: `${y * 100}%`, width: `${w * 100}%`, height: `${h * 100}%` });
+        // Radar / HP bar sit on the outer edge of the screen.
+        el.classList.toggle('left', x < 0.5);
+        el.classList.toggle('right', x >= 0.5);
+      }
+    }
+    this._ui.splitBar.dataset.layout = splitLayoutFor(ids.length, this.config.splitLayout);
   }
 
-  _spawnInElevator() {
-    const p1 = this.players.p1;
-    const p2 = this.players.p2;
-    const a1 = this.world.elevators.p1.anchor;
-    const a2 = this.world.elevators.p2.anchor;
-    p1.respawnAt(new THREE.Vector3(a1.x, 0, a1.z));
-    p2.respawnAt(new THREE.Vector3(a2.x, 0, a2.z));
-    p1.setYawPitch(Math.PI / 2, 0);
-    p2.setYawPitch(-Math.PI / 2, 0);
+  _anyTaskOpen() {
+    return this._humanIds().some((id) => this.taskSystem.isOpen(id));
+  }
 
-    // Ensure correct weapon for current task progression.
-    this.weapons.p1.setWeapon(weaponForTaskLevel(p1.taskLevel));
-    this.weapons.p2.setWeapon(weaponForTaskLevel(p2.taskLevel));
-    this.weaponViews.p1.setWeapon(this.weapons.p1.type);
-    this.weaponViews.p2.setWeapon(this.weapons.p2.type);
+  _closeTasks() {
+    for (const id of this._humanIds()) {
+      this.taskSystem.close(id);
+      this.players[id].controlsLocked = false;
+    }
   }
 
   _resize() {
@@ -676,17 +1085,41 @@ export class GameApp {
 
   _frame(ts) {
     if (!this._running) return;
-    const dt = this._lastTs ? Math.min(0.05, (ts - this._lastTs) / 1000) : 0;
+    const frameDt = this._lastTs ? (ts - this._lastTs) / 1000 : 0;
     this._lastTs = ts;
 
-    this._update(dt);
-    this._render();
+    this._accumulator += Math.min(frameDt, MAX_TICKS_PER_FRAME * SIM_DT);
+    let ticks = 0;
+    while (this._accumulator >= SIM_DT && ticks < MAX_TICKS_PER_FRAME) {
+      this._accumulator -= SIM_DT;
+      this._tick();
+      ticks++;
+    }
+    if (ticks === MAX_TICKS_PER_FRAME) this._accumulator = Math.min(this._accumulator, SIM_DT);
 
-    // Clear one-frame inputs AFTER we've consumed them this frame.
-    this.input.frameStart();
+    this._render(this._accumulator / SIM_DT);
     requestAnimationFrame((t) => this._frame(t));
   }
 
+  _tick() {
+    this.input.pollGamepads();
+    // The replay viewer saves prev state itself (it may run 0..n sim ticks per game tick).
+    if (this.state !== 'REPLAY') for (const p of Object.values(this.players)) p.savePrevState();
+    this._update(SIM_DT);
+    // Clear one-frame inputs AFTER the tick consumed them. If a frame runs no tick,
+    // presses/mouse deltas stay queued for the next one instead of being lost.
+    this.input.frameStart();
+    this.simTick++;
+  }
+
+  // Advance the simulation by N fixed ticks without waiting for animation frames
+  // (tests/tools; rendering is not touched).
+  stepSimulation(ticks = 1) {
+    for (let i = 0; i < ticks; i++) this._tick();
+    this._accumulator = 0;
+    return this.simTick;
+  }
+
   _update(dt) {
     // Menu background demo (visual only).
     if (this.state === 'MENU') {
@@ -700,13 +1133,17 @@ export class GameApp {
         !this._ui.vipOverlay?.classList.contains('hidden') ||
         !this._ui.invOverlay?.classList.contains('hidden') ||
         !this._ui.achOverlay?.classList.contains('hidden') ||
-        !this._ui.introOverlay?.classList.contains('hidden');
+        !this._ui.introOverlay?.classList.contains('hidden') ||
+        this.deviceLobby.isOpen;
       if (!anyOverlayOpen) {
         this._menuIdleT += dt;
         if (this._menuIdleT >= 120 && !this._intro.open) {
           this._openIntro('idle');
         }
       }
+      // TV setup: Start on any pad opens the lobby, the lobby takes it from there.
+      if (this.deviceLobby.isOpen) this.deviceLobby.update();
+      else if (this.input.connectedPads().some((i) => this.input.padPressed(i, PadButton.START))) this._openLobby();
     } else {
       this.demoBots.setEnabled(false);
     }
@@ -735,123 +1172,299 @@ export class GameApp {
     // Weather animation (lightning flashes) during gameplay only.
     this.weather.update(dt, this.state === 'ELEVATOR' || this.state === 'PLAY');
 
-    // Global key: ESC leaves pointer lock by browser default.
-    // Toggle tasks:
-    if (this.state === 'ELEVATOR' || this.state === 'PLAY') {
-      this._handleTaskToggles();
-    }
-
-    // Close tasks if a player is dead.
-    for (const id of ['p1', 'p2']) {
-      if (this.players[id].dead && this.taskSystem.isOpen(id)) {
-        this.taskSystem.close(id);
-        this.players[id].controlsLocked = false;
-        this._refreshTaskBeepLoop();
-      }
-    }
-
-    // Elevator phase countdown.
-    if (this.state === 'ELEVATOR') {
-      // Speak intro once near the start of the elevator ride.
-      if (!this.elevator.introSpoken && this.elevator.t <= 15.2) {
-        this.elevator.introSpoken = true;
-        this.audio.speak('Bu oyun tamamen Cookiez tarafından yapıldı. İyi oyunlar.', { lang: 'tr-TR', rate: 1.0, pitch: 1.0, volume: 1.0 });
-        setTimeout(() => {
-          this.audio.playOneShot(assetUrl('assets/audio/sfx/phone_hangup.ogg'), { volume: 0.6, fallback: 'hangup' });
-        }, 2600);
-      }
-
-      this.elevator.t = Math.max(0, this.elevator.t - dt);
-      const shown = Math.ceil(this.elevator.t);
-      if (shown !== this.elevator._lastShownInt) {
-        this.elevator._lastShownInt = shown;
-        this._ui.centerMsg.textContent = `ELEVATOR ${shown}`;
-        this.world.setElevatorDisplay('p1', String(shown));
-        this.world.setElevatorDisplay('p2', String(shown));
-      }
-
-      // Door stays closed until 0.
-      if (this.elevator.t <= 0) {
-        // Animate door open.
-        this.elevator.doorOpen01 = Math.min(1, this.elevator.doorOpen01 + dt * 1.2);
-        if (!this.elevator.doorSfxPlayed) {
-          this.elevator.doorSfxPlayed = true;
-          this.audio.playOneShot(assetUrl('assets/audio/sfx/elevator_door.ogg'), { volume: 0.7, fallback: 'elevatorDoor' });
-          // Elevator reached ground: stop hum immediately (user request).
-          this.audio.stopLoop('elevator');
-        }
-        this.world.setElevatorDoorOpen('p1', this.elevator.doorOpen01);
-        this.world.setElevatorDoorOpen('p2', this.elevator.doorOpen01);
-        // Fade away the white cabin as doors open so the arena becomes visible.
-        const alpha = clamp(1 - this.elevator.doorOpen01 * 1.15, 0, 1);
-        this.world.setElevatorCabinAlpha('p1', alpha);
-        this.world.setElevatorCabinAlpha('p2', alpha);
-
-        if (this.elevator.fightMsgTimer <= 0) {
-          this._ui.centerMsg.textContent = 'FIGHT';
-          this.elevator.fightMsgTimer = 1.6;
-        }
-        this.elevator.fightMsgTimer = Math.max(0, this.elevator.fightMsgTimer - dt);
-        if (this.elevator.doorOpen01 >= 1 && this.elevator.fightMsgTimer <= 0) {
-          this._ui.centerMsg.classList.add('hidden');
-          this.state = 'PLAY';
-          this.audio.stopLoop('elevator');
-        }
-      }
-    }
-
     // Gameplay updates.
     if (this.state === 'ELEVATOR' || this.state === 'PLAY') {
-      this._handleHackKeys();
-      this._updatePlayers(dt);
+      if (this.net) {
+        this._updateOnline(dt);
+      } else {
+        this._handleHackKeys();
+        const intents = this._readIntents(dt);
+        this.sim.tick(dt, this._recorder ? this._recorder.capture(intents) : intents);
+      }
+      this._updatePlayerPresentation(dt);
       this.taskSystem.update(dt);
       this._updateHUD();
       this._updateScoreboard();
       this._updateRadar();
     }
 
+    if (this.state === 'REPLAY') {
+      this.replayViewer.update(dt);
+      this._updateScoreboard();
+    }
+
     if (this.state === 'WIN') {
       this._updateHUD();
       this._updateScoreboard();
+      // Same as the "Save & Menu" button, for whoever is holding a pad.
+      const pads = this.input.connectedPads();
+      if (pads.some((i) => this.input.padPressed(i, PadButton.A) || this.input.padPressed(i, PadButton.START))) this._toMenu();
     }
 
     // World-space combat FX (damage numbers, particles, corpses).
     this._updateCombatFx(dt);
   }
 
+  // Online tick: the server runs the rules; locally we only predict our own movement (see NetClient.js).
+  _updateOnline(dt) {
+    const net = this.net;
+    net.update();
+    const intent = net.sendInput(this._readOnlineIntent(dt));
+    this.sim.stepPlayerMovement(net.localId, intent, dt);
+    // Hazard animation/lifetimes only (fire damage is applied by the server).
+    this.world.update(dt);
+    for (const p of Object.values(this.players)) p.updateVisual(dt);
+  }
+
   _handleHackKeys() {
     if (!this._cheatsEnabled) return;
     if (this.state !== 'PLAY') return;
 
+    if (this.input.wasPressed('Digit1')) this._matchCommand({ type: 'hack', n: 1 });
+    if (this.input.wasPressed('Digit2')) this._matchCommand({ type: 'hack', n: 2 });
+
+    // (3) add hack weather item (inventory only, not part of the match)
+    if (this.input.wasPressed('Digit3')) {
+      this.weather.grantHackWeather?.();
+      this._showToast('HACK (3): hack hava durumu eklendi');
+    }
+  }
+
+  _runHack(n) {
     // (1) give both sniper
-    if (this.input.wasPressed('Digit1')) {
-      this.players.p1.taskLevel = 3;
-      this.players.p2.taskLevel = 3;
-      this.weapons.p1.setWeapon(WeaponType.SNIPER);
-      this.weapons.p2.setWeapon(WeaponType.SNIPER);
-      this.weaponViews.p1.setWeapon(this.weapons.p1.type);
-      this.weaponViews.p2.setWeapon(this.weapons.p2.type);
-      this._showToast('HACK (1): iki oyuncuya da SNIPER verildi');
+    if (n === 1) {
+      for (const id of this.sim.playerIds) {
+        this.players[id].taskLevel = 3;
+        this.sim.setWeapon(id, WeaponType.SNIPER);
+      }
+      if (!this._fxMuted) this._showToast('HACK (1): iki oyuncuya da SNIPER verildi');
     }
 
     // (2) meteor + fire
-    if (this.input.wasPressed('Digit2')) {
+    if (n === 2) {
       const line = 'ooooooooaaaaaaaa meteor gelioooo';
-      this._showToast(line);
-      this.audio.speak(line, { lang: 'tr-TR', rate: 1.0, pitch: 1.0, volume: 1.0 });
+      if (!this._fxMuted) {
+        this._showToast(line);
+        this.audio.speak(line, { lang: 'tr-TR', rate: 1.0, pitch: 1.0, volume: 1.0 });
+      }
       // Use existing bomber-style bomb but heavier: spawn a few bombs quickly.
       for (let i = 0; i < 3; i++) {
-        const x = randRange(-this.world.roomW / 2 + 20, this.world.roomW / 2 - 20);
-        const z = randRange(-this.world.roomD / 2 + 16, this.world.roomD / 2 - 16);
+        const x = randRange(-this.world.roomW / 2 + 20, this.world.roomW / 2 - 20, this.world.rng);
+        const z = randRange(-this.world.roomD / 2 + 16, this.world.roomD / 2 - 16, this.world.rng);
         this.world.spawnBomb?.(x, z);
       }
     }
+  }
 
-    // (3) add hack weather item
-    if (this.input.wasPressed('Digit3')) {
-      this.weather.grantHackWeather?.();
-      this._showToast('HACK (3): hack hava durumu eklendi');
+  _readIntents(dt) {
+    // One intent per player, from whatever device they claimed in the lobby (this.devices).
+    const intents = {};
+    for (const id of this.sim.playerIds) {
+      if (this.bots[id]) {
+        intents[id] = this.bots[id].intent(dt);
+        continue;
+      }
+      const pad = padIndexOf(this.devices[id]);
+      intents[id] = pad != null ? this._readPadIntent(id, pad, dt) : this._readKeysIntent(this.devices[id], dt);
+    }
+    return intents;
+  }
+
+  // Keyboard-side layouts through the action map (Bindings.js). Device.MOUSE also looks with the mouse.
+  // Mouse Fire -> Both: Mouse Left also fires the Device.KEYBOARD layout (see Input.js).
+  _readKeysIntent(device, dt) {
+    const input = this.input;
+    const codes = (action) => this.bindings.codes(device, action);
+    const held = (action) => (input.anyDown(codes(action)) ? 1 : 0);
+    const intent = emptyIntent();
+    const yawSpeed = 2.2;
+    const pitchSpeed = 1.8;
+    intent.moveX = held('moveRight') - held('moveLeft');
+    intent.moveZ = held('moveForward') - held('moveBack');
+    // Yaw decreases when turning right (same as mouse look); look-right is a bit faster (old H tuning).
+    intent.lookYaw = (held('lookLeft') - held('lookRight') * 1.45) * yawSpeed * dt;
+    intent.lookPitch = (held('lookUp') - held('lookDown')) * pitchSpeed * dt;
+    if (device === Device.MOUSE && input.pointerLocked) {
+      const sens = 0.0021;
+      intent.lookYaw += -input.mouse.dx * sens;
+      intent.lookPitch += -input.mouse.dy * sens;
+      intent.weaponNext = input.mouse.wheel > 0;
+      intent.weaponPrev = input.mouse.wheel < 0;
+    }
+    intent.jump = input.anyPressed(codes('jump'));
+    intent.crouch = input.anyDown(codes('crouch'));
+    intent.sprint = input.anyDown(codes('sprint'));
+    intent.reload = input.anyPressed(codes('reload'));
+    intent.use = input.anyPressed(codes('use'));
+    intent.weaponNext ||= input.anyPressed(codes('weaponNext'));
+    intent.weaponPrev ||= input.anyPressed(codes('weaponPrev'));
+    for (let i = 1; i <= 4; i++) if (input.anyPressed(codes(`slot${i}`))) intent.weaponSlot = i;
+    const fire = device === Device.KEYBOARD && this.config.mouseFireMode === 'both' ? [...codes('fire'), 'Mouse0'] : codes('fire');
+    intent.fireDown = input.anyDown(fire);
+    intent.firePressed = input.anyPressed(fire);
+    intent.fireReleased = input.anyReleased(fire) && !intent.fireDown;
+    return intent;
+  }
+
+  _readPadIntent(playerId, pad, dt) {
+    // Left stick move, right stick look, buttons from PAD_BINDINGS (RT fire, LT sniper zoom, A jump, RB crouch, LB sprint, X reload, B use).
+    const input = this.input;
+    const intent = emptyIntent();
+    if (!input.padConnected(pad)) {
+      // Unplugged mid-match: stand still until it's back.
+      if (!this._lostPads.has(pad)) {
+        this._lostPads.add(pad);
+        this._showToast(`${playerId.toUpperCase()}: ${deviceLabel(padDevice(pad))} bağlantısı koptu`);
+      }
+      return intent;
     }
+    if (this._lostPads.delete(pad)) this._showToast(`${playerId.toUpperCase()}: ${deviceLabel(padDevice(pad))} geri geldi`);
+
+    const move = input.padStick(pad, 'left');
+    intent.moveX = move.x;
+    intent.moveZ = -move.y;
+    const look = input.padStick(pad, 'right');
+    intent.lookYaw = -look.x * Math.abs(look.x) * PAD_YAW_SPEED * dt;
+    intent.lookPitch = -look.y * Math.abs(look.y) * PAD_PITCH_SPEED * dt;
+    intent.jump = input.padPressed(pad, PAD_BINDINGS.jump.button);
+    intent.crouch = input.padDown(pad, PAD_BINDINGS.crouch.button);
+    intent.sprint = input.padDown(pad, PAD_BINDINGS.sprint.button);
+    intent.reload = input.padPressed(pad, PAD_BINDINGS.reload.button);
+    intent.use = input.padPressed(pad, PAD_BINDINGS.use.button);
+    intent.firePressed = input.padPressed(pad, PAD_BINDINGS.fire.button);
+    intent.fireReleased = input.padReleased(pad, PAD_BINDINGS.fire.button);
+    intent.fireDown = input.padDown(pad, PAD_BINDINGS.fire.button);
+    intent.aim = input.padDown(pad, PAD_BINDINGS.aim.button);
+    intent.weaponNext = input.padPressed(pad, PAD_BINDINGS.weaponNext.button);
+    intent.weaponPrev = input.padPressed(pad, PAD_BINDINGS.weaponPrev.button);
+    return intent;
+  }
+
+  _readOnlineIntent(dt) {
+    // One player per browser: a claimed pad, or else both keyboard layouts + mouse look are yours.
+    const pad = this._onlinePad();
+    if (pad != null) return this._readPadIntent(this.net.localId, pad, dt);
+    const a = this._readKeysIntent(Device.KEYBOARD, dt);
+    const b = this._readKeysIntent(Device.MOUSE, dt);
+    const intent = emptyIntent();
+    intent.moveX = clamp(a.moveX + b.moveX, -1, 1);
+    intent.moveZ = clamp(a.moveZ + b.moveZ, -1, 1);
+    intent.lookYaw = a.lookYaw + b.lookYaw;
+    intent.lookPitch = a.lookPitch + b.lookPitch;
+    for (const k of ['jump', 'crouch', 'sprint', 'firePressed', 'fireDown', 'reload', 'use', 'weaponNext', 'weaponPrev']) intent[k] = a[k] || b[k];
+    intent.weaponSlot = a.weaponSlot || b.weaponSlot;
+    intent.fireReleased = (a.fireReleased || b.fireReleased) && !intent.fireDown;
+    return intent;
+  }
+
+  _createSimObserver() {
+    const sfx = (file, volume, fallback) => {
+      if (this._fxMuted) return;
+      this.audio.playOneShot(assetUrl(`assets/audio/sfx/${file}`), { volume, fallback });
+    };
+    // Cosmetic handlers are skipped while the replay viewer fast-forwards.
+    const fx = (fn) => (payload) => {
+      if (!this._fxMuted) fn(payload);
+    };
+    // Shot / swing sound from the weapon registry (a melee whiff is quieter).
+    const weaponSfx = (type, hit = true) => {
+      const def = weaponDef(type).sfx;
+      if (!def) return;
+      if (hit) sfx(def.file, def.volume, def.fallback);
+      else sfx(def.file, def.missVolume ?? def.volume, def.missFallback ?? def.fallback);
+    };
+
+    return {
+      onPhase: ({ phase }) => {
+        // The replay viewer keeps its own state; the sim phase only drives live matches.
+        if (this.state === 'REPLAY') return;
+        if (phase === 'ELEVATOR') this.state = 'ELEVATOR';
+        if (phase === 'PLAY') {
+          this.state = 'PLAY';
+          this._ui.centerMsg.classList.add('hidden');
+          this.audio.stopLoop('elevator');
+        }
+      },
+      onElevatorCountdown: ({ shown }) => {
+        this._ui.centerMsg.textContent = `ELEVATOR ${shown}`;
+        // Speak intro once near the start of the elevator ride.
+        if (!this._introSpoken && this.state !== 'REPLAY') {
+          this._introSpoken = true;
+          this.audio.speak('Bu oyun tamamen Cookiez tarafından yapıldı. İyi oyunlar.', { lang: 'tr-TR', rate: 1.0, pitch: 1.0, volume: 1.0 });
+          setTimeout(() => {
+            this.audio.playOneShot(assetUrl('assets/audio/sfx/phone_hangup.ogg'), { volume: 0.6, fallback: 'hangup' });
+          }, 2600);
+        }
+      },
+      onDoorsOpening: () => {
+        sfx('elevator_door.ogg', 0.7, 'elevatorDoor');
+        // Elevator reached ground: stop hum immediately (user request).
+        this.audio.stopLoop('elevator');
+      },
+      onFight: () => {
+        this._ui.centerMsg.textContent = 'FIGHT';
+      },
+      onWeaponChanged: ({ playerId, type }) => {
+        this.weaponViews[playerId].setWeapon(type);
+      },
+      onShot: fx(({ shooterId, weaponType }) => {
+        this.weaponViews[shooterId].triggerShot({ weaponType });
+        this.players[shooterId].kickView(weaponDef(weaponType).recoil?.kick ?? 0);
+        weaponSfx(weaponType);
+      }),
+      onTracer: fx(({ shooterId, weaponType, origin, end }) => {
+        this.weaponViews[shooterId].showTracer({ weaponType, origin, end });
+      }),
+      onMelee: fx(({ shooterId, weaponType, hit }) => {
+        const view = this.weaponViews[shooterId];
+        if (hit) view.triggerKnifeHitSwing();
+        else view.triggerKnifeWhiffSwing();
+        weaponSfx(weaponType, hit);
+      }),
+      onDamage: fx(({ point, textPos, amount, blood, headshot }) => {
+        this._spawnDamageNumber(textPos, amount, headshot);
+        this._spawnBloodParticles(point, blood);
+      }),
+      onBarrelExploded: () => sfx('explosion.ogg', 0.8, 'explosion'),
+      // Molotovs shatter, the rest go bang.
+      onExplosion: ({ fire }) => {
+        if (fire) sfx('glass_break.ogg', 0.8, 'glass');
+        else sfx('explosion.ogg', 0.8, 'explosion');
+      },
+      onBottleBroken: () => sfx('glass_break.ogg', 0.75, 'glass'),
+      onPickup: () => sfx('pickup.ogg', 0.6, 'pickup'),
+      onDropTaken: () => sfx('reload.ogg', 0.6, 'reload'),
+      onReload: () => sfx('reload.ogg', 0.7, 'reload'),
+      onKill: ({ killerId, victimId, teamKill, headshot }) => {
+        this._recorder?.markKill({ killerId, victimId });
+        if (!this._fxMuted) this._onKill(killerId, victimId, teamKill, headshot);
+      },
+      onWin: ({ winnerId, team }) => {
+        // In the viewer the timeline just ends (winner shown in the replay bar).
+        if (this.state !== 'REPLAY') this._enterWin(winnerId, team);
+      },
+      onTaskOpened: ({ playerId, taskIndex }) => {
+        // Replays don't mount the task UI: its result comes from the recorded commands.
+        // Online, only your own task window exists in this browser.
+        // Bots "play" their task in BotController.
+        if (this.state !== 'REPLAY' && !this.bots[playerId] && (!this.net || playerId === this.net.localId)) {
+          // Pad players work the task with the d-pad: the mouse player keeps their pointer lock.
+          if (padIndexOf(this._deviceOf(playerId)) == null) document.exitPointerLock?.();
+          this.taskSystem.open(playerId, taskIndex);
+        }
+        // Task start SFX + shared beep loop while ANY player is in a task.
+        sfx('task_start.ogg', 0.8, 'reload');
+        this._refreshTaskBeepLoop();
+      },
+      onTaskClosed: ({ playerId }) => {
+        if (this.taskSystem.isOpen(playerId)) this.taskSystem.close(playerId);
+        this._refreshTaskBeepLoop();
+      },
+      onTaskComplete: () => {
+        sfx('task_complete.ogg', 0.9, 'taskComplete');
+        this._refreshTaskBeepLoop();
+      }
+    };
   }
 
   _updateCombatFx(dt) {
@@ -925,8 +1538,9 @@ export class GameApp {
     }
   }
 
-  _spawnDamageNumber(worldPos, amount) {
-    const text = `-${amount}`;
+  // Headshots: gold number with a target mark.
+  _spawnDamageNumber(worldPos, amount, headshot = false) {
+    const text = headshot ? `🎯 -${Math.round(amount)}` : `-${Math.round(amount)}`;
     const d =
       this._damageTextPool.pop() ??
       (() => {
@@ -967,7 +1581,7 @@ export class GameApp {
     ctx.lineWidth = 10;
     ctx.strokeStyle = 'rgba(0,0,0,0.35)';
     ctx.strokeText(text, d.canvas.width / 2, d.canvas.height / 2);
-    ctx.fillStyle = '#ff2b2b';
+    ctx.fillStyle = headshot ? '#ffd24a' : '#ff2b2b';
     ctx.fillText(text, d.canvas.width / 2, d.canvas.height / 2);
     d.tex.needsUpdate = true;
 
@@ -1032,243 +1646,27 @@ export class GameApp {
     });
   }
 
-  _handleTaskToggles() {
-    const p1 = this.players.p1;
-    const p2 = this.players.p2;
-    const near1 = this._nearestArcade(p1);
-    const near2 = this._nearestArcade(p2);
-    const bottle1 = this._nearestBottle(p1);
-    const bottle2 = this._nearestBottle(p2);
-    const gift1 = this._nearestGift(p1);
-    const gift2 = this._nearestGift(p2);
-
-    // P1 toggle: E
-    if (this.input.wasPressed('KeyE')) {
-      if (gift1) {
-        this._tryOpenGift('p1');
-        return;
-      }
-      if (bottle1) {
-        this._tryPickBottle('p1', bottle1.id);
-        return;
-      }
-      if (this.taskSystem.isOpen('p1')) {
-        this.taskSystem.close('p1');
-        p1.controlsLocked = false;
-      } else if (near1) {
-        this._tryOpenTask('p1', near1.taskIndex);
-      }
-    }
-
-    // P2 toggle: Right click
-    if (this.input.mouse.rightPressed) {
-      if (gift2) {
-        this._tryOpenGift('p2');
-        return;
-      }
-      if (bottle2) {
-        this._tryPickBottle('p2', bottle2.id);
-        return;
-      }
-      if (this.taskSystem.isOpen('p2')) {
-        this.taskSystem.close('p2');
-        p2.controlsLocked = false;
-      } else if (near2) {
-        this._tryOpenTask('p2', near2.taskIndex);
-      }
-    }
-  }
-
-  _nearestBottle(player) {
-    let best = null;
-    let bestD2 = Infinity;
-    for (const b of this.world.bottles ?? []) {
-      if (b.picked) continue;
-      const d2 = dist2(player.pos, b.position);
-      if (d2 < bestD2) {
-        bestD2 = d2;
-        best = b;
-      }
-    }
-    if (best && bestD2 <= 2.3 * 2.3) return best;
-    return null;
-  }
-
-  _nearestGift(player) {
-    // Gift is a world object; World decides if any is near.
-    // We reuse the same distance threshold as bottles.
-    for (const g of this.world.gifts ?? []) {
-      if (g.state !== 'ready') continue;
-      const d2 = dist2(player.pos, g.mesh.position);
-      if (d2 <= 2.4 * 2.4) return g;
-    }
-    return null;
-  }
-
-  _grantBonusWeapon(playerId, type) {
-    this._bonusWeapon[playerId] = type;
-    this.weapons[playerId].setWeapon(type);
-    this.weaponViews[playerId].setWeapon(type);
-  }
-
-  _tryOpenGift(playerId) {
-    const p = this.players[playerId];
-    if (p.dead || p.controlsLocked) return;
-    const ok = this.world.openGiftNear?.(p.pos);
-    if (!ok) return;
-
-    // Random weapon: Laser is normal chance now.
-    const roll = Math.random();
-    const type = roll < 0.5 ? WeaponType.LASER : WeaponType.SHOTGUN;
-    this._grantBonusWeapon(playerId, type);
-  }
-
-  _tryPickBottle(playerId, bottleId) {
-    const p = this.players[playerId];
-    if (p.dead) return;
-    if (p.controlsLocked) return;
-    if (this.weapons[playerId].type === WeaponType.BOTTLE) return;
-
-    const ok = this.world.pickBottle?.(bottleId);
-    if (!ok) return;
-
-    p.hasBottle = true;
-    p.bottlePrevWeapon = this.weapons[playerId].type;
-    this.weapons[playerId].setWeapon(WeaponType.BOTTLE);
-    this.weaponViews[playerId].setWeapon(WeaponType.BOTTLE);
-  }
-
-  _tryOpenTask(playerId, taskIndex) {
-    const p = this.players[playerId];
-    if (p.dead) return;
-
-    // Task gating: must do Task 1 -> Task 2 -> Task 3.
-    if (taskIndex !== p.taskLevel) {
-      // Locked: show a brief hint via prompt (HUD update will keep it visible near arcade).
-      return;
-    }
-
-    document.exitPointerLock?.();
-    p.controlsLocked = true;
-    this.taskSystem.open(playerId, taskIndex);
-    // Task start SFX + shared beep loop while ANY player is in a task.
-    this.audio.playOneShot(assetUrl('assets/audio/sfx/task_start.ogg'), { volume: 0.8, fallback: 'reload' });
-    this._refreshTaskBeepLoop();
-  }
-
-  _onTaskComplete(playerId, taskIndex) {
-    const p = this.players[playerId];
-    if (taskIndex !== p.taskLevel) return;
-    p.taskLevel = clamp(p.taskLevel + 1, 0, 3);
-    this.weapons[playerId].setWeapon(weaponForTaskLevel(p.taskLevel));
-    this.weaponViews[playerId].setWeapon(this.weapons[playerId].type);
-    this.audio.playOneShot(assetUrl('assets/audio/sfx/task_complete.ogg'), { volume: 0.9, fallback: 'taskComplete' });
-    this._refreshTaskBeepLoop();
-  }
-
   _refreshTaskBeepLoop() {
-    const anyOpen = this.taskSystem.isOpen('p1') || this.taskSystem.isOpen('p2');
-    if (anyOpen) this.audio.startLoop('taskBeep', 'taskBeep', { volume: 0.12 });
+    if (this._anyTaskOpen()) this.audio.startLoop('taskBeep', 'taskBeep', { volume: 0.12 });
     else this.audio.stopLoop('taskBeep');
   }
 
-  _nearestArcade(player) {
-    // Only check XZ distance.
-    let best = null;
-    let bestD2 = Infinity;
-    for (const a of this.world.arcades) {
-      const d2 = dist2(player.pos, a.position);
-      if (d2 < bestD2) {
-        bestD2 = d2;
-        best = a;
-      }
-    }
-    // threshold ~ 2.2 units
-    if (best && bestD2 <= 2.2 * 2.2) return best;
-    return null;
-  }
-
-  _updatePlayers(dt) {
-    const p1 = this.players.p1;
-    const p2 = this.players.p2;
-
-    // Reduce timers.
-    for (const p of [p1, p2]) {
-      if (p.invulnTimer > 0) p.invulnTimer = Math.max(0, p.invulnTimer - dt);
-      if (p.dead) p.deathTimer = Math.max(0, p.deathTimer - dt);
-    }
-
-    // Respawns.
-    this._maybeRespawn('p1', 'p2');
-    this._maybeRespawn('p2', 'p1');
-
-    // Weapon updates (cooldown/reload/zoom).
-    this.weapons.p1.update(dt);
-    this.weapons.p2.update(dt);
-
-    // Aim/look:
-    // P1 look uses keyboard (Q/F/T/G).
-    this._updateLookP1(dt);
-    // P2 look uses mouse delta (pointer lock).
-    this._updateLookP2(dt);
-
-    // Movement.
-    this._updateMovement('p1', dt);
-    this._updateMovement('p2', dt);
-
-    // Fire hazards (from exploded barrels).
-    this._updateHazards(dt);
-
-    // Footsteps (placeholder synth if no asset).
-    this._updateFootsteps(dt);
-
-    // Combat.
-    this._handleReloads();
-    this._handleFiring(dt);
-
-    // Visual updates (mesh/camera).
-    p1.updateVisual(dt);
-    p2.updateVisual(dt);
-
-    // Sniper camera FOV zoom blending.
-    this._applySniperZoom('p1');
-    this._applySniperZoom('p2');
-
-    // Weapon visuals (first-person models + fx).
-    this.weaponViews.p1.update(dt, { weaponType: this.weapons.p1.type, sniperZoom01: this.weapons.p1.sniperZoom01 });
-    this.weaponViews.p2.update(dt, { weaponType: this.weapons.p2.type, sniperZoom01: this.weapons.p2.sniperZoom01 });
-  }
-
-  _updateHazards(dt) {
-    // Update hazard visuals/lifetimes.
-    this.world.update(dt);
-
-    // Damage: 25 HP per second while touching a fire block.
-    // Volcano request: lava is visual only (no damage).
-    const dps = this.weather?.selected === 'volcano' ? 0 : 25;
-    const fires = this.world.fireBlocks;
-    const anyNear =
-      fires.length &&
-      (this._isAnyPlayerNearFire(this.players.p1, fires) || this._isAnyPlayerNearFire(this.players.p2, fires));
-
+  _updatePlayerPresentation(dt) {
     // Fire crackle loop if any player is near any fire.
+    const fires = this.world.fireBlocks;
+    const anyNear = fires.length && this.sim.playerIds.some((id) => this._isAnyPlayerNearFire(this.players[id], fires));
     if (anyNear) this.audio.startLoop('fire', 'fireCrackle', { volume: 0.12 });
     else this.audio.stopLoop('fire');
 
-    for (const id of ['p1', 'p2']) {
-      const p = this.players[id];
-      if (p.dead) continue;
-      // Simple AABB overlap against fire boxes using player radius.
-      for (const f of fires) {
-        const b = f.box;
-        const px = p.pos.x;
-        const pz = p.pos.z;
-        const withinX = px >= b.min.x - PLAYER_RADIUS && px <= b.max.x + PLAYER_RADIUS;
-        const withinZ = pz >= b.min.z - PLAYER_RADIUS && pz <= b.max.z + PLAYER_RADIUS;
-        if (withinX && withinZ) {
-          p.takeDamage(dps * dt);
-        }
-      }
+    // Footsteps (placeholder synth if no asset).
+    this._updateFootsteps(dt);
+
+    for (const id of this.sim.playerIds) {
+      // Sniper camera FOV zoom blending.
+      this._applySniperZoom(id);
+      // Weapon visuals (first-person models + fx).
+      const w = this.weapons[id];
+      this.weaponViews[id].update(dt, { weaponType: w.type, sniperZoom01: w.sniperZoom01 });
     }
   }
 
@@ -1282,201 +1680,8 @@ export class GameApp {
     return false;
   }
 
-  _maybeRespawn(deadId, enemyId) {
-    const p = this.players[deadId];
-    if (!p.dead) return;
-    if (p.deathTimer > 0) return;
-
-    const spawn = this._pickSpawnFarFromEnemy(this.players[enemyId]);
-    p.respawnAt(spawn);
-    p.setYawPitch(randRange(-Math.PI, Math.PI), 0);
-
-    // Re-equip based on tasks completed (or bonus weapon).
-    const bonus = this._bonusWeapon[deadId];
-    this.weapons[deadId].setWeapon(bonus ?? weaponForTaskLevel(p.taskLevel));
-    this.weaponViews[deadId].setWeapon(this.weapons[deadId].type);
-    // Drop bottle on death.
-    p.hasBottle = false;
-    p.bottlePrevWeapon = null;
-  }
-
-  _pickSpawnFarFromEnemy(enemy) {
-    // Pick the farthest among a random subset of spawn points.
-    const pts = this.world.spawnPoints;
-    let best = pts[0];
-    let bestD2 = -Infinity;
-    for (let i = 0; i < 8; i++) {
-      const p = pts[Math.floor(Math.random() * pts.length)];
-      const d2 = dist2(p, enemy.pos);
-      if (d2 > bestD2) {
-        bestD2 = d2;
-        best = p;
-      }
-    }
-    return new THREE.Vector3(best.x, 0, best.z);
-  }
-
-  _updateLookP1(dt) {
-    const p = this.players.p1;
-    if (p.dead) return;
-    const yawSpeed = 2.2;
-    const pitchSpeed = 1.8;
-    // Align with mouse look (P2): yaw decreases when turning right.
-    if (this.input.isDown('KeyQ')) p.yaw += yawSpeed * dt; // left
-    if (this.input.isDown('KeyF')) p.yaw += yawSpeed * dt; // left (user request)
-    if (this.input.isDown('KeyH')) p.yaw -= yawSpeed * dt * 1.45; // right (strong)
-    if (this.input.isDown('KeyT')) p.pitch += pitchSpeed * dt;
-    if (this.input.isDown('KeyG')) p.pitch -= pitchSpeed * dt;
-    p.pitch = clamp(p.pitch, -1.35, 1.35);
-  }
-
-  _updateLookP2(dt) {
-    const p = this.players.p2;
-    if (p.dead) return;
-    if (!this.input.pointerLocked) return;
-    const sens = 0.0021;
-    p.yaw -= this.input.mouse.dx * sens;
-    p.pitch -= this.input.mouse.dy * sens;
-    p.pitch = clamp(p.pitch, -1.35, 1.35);
-  }
-
-  _updateMovement(playerId, dt) {
-    const p = this.players[playerId];
-    if (p.dead) return;
-    if (p.controlsLocked) return; // tasks freeze movement (but player can still be killed)
-
-    const w = this.weapons[playerId];
-
-    let speed = 6.0;
-    if (w.type === WeaponType.BOTTLE || p.hasBottle) speed *= 1.15;
-    if (w.type === WeaponType.SNIPER && w.sniperZoom01 > 0.2) speed *= 0.55;
-
-    // Input mapping.
-    const forward = playerId === 'p1' ? this.input.isDown('KeyW') : this.input.isDown('ArrowUp');
-    const back = playerId === 'p1' ? this.input.isDown('KeyS') : this.input.isDown('ArrowDown');
-    const left = playerId === 'p1' ? this.input.isDown('KeyA') : this.input.isDown('ArrowLeft');
-    const right = playerId === 'p1' ? this.input.isDown('KeyD') : this.input.isDown('ArrowRight');
-
-    const moveX = (right ? 1 : 0) - (left ? 1 : 0);
-    const moveZ = (forward ? 1 : 0) - (back ? 1 : 0);
-
-    const len = Math.hypot(moveX, moveZ);
-    const mx = len > 0 ? moveX / len : 0;
-    const mz = len > 0 ? moveZ / len : 0;
-
-    // Convert local movement to world using yaw.
-    const sy = Math.sin(p.yaw);
-    const cy = Math.cos(p.yaw);
-    // Three.js camera forward at yaw=0 is -Z.
-    const forwardX = -sy;
-    const forwardZ = -cy;
-    const rightX = cy;
-    const rightZ = -sy;
-    const dirX = rightX * mx + forwardX * mz;
-    const dirZ = rightZ * mx + forwardZ * mz;
-
-    // Simple acceleration.
-    const accel = 24;
-    p.vel.x += dirX * accel * dt;
-    p.vel.z += dirZ * accel * dt;
-
-    // Damping.
-    const damp = Math.exp(-10 * dt);
-    p.vel.x *= damp;
-    p.vel.z *= damp;
-
-    // Clamp max speed.
-    const flatSpeed = Math.hypot(p.vel.x, p.vel.z);
-    if (flatSpeed > speed) {
-      const s = speed / flatSpeed;
-      p.vel.x *= s;
-      p.vel.z *= s;
-    }
-
-    // Gravity.
-    p.vel.y -= 18 * dt;
-
-    // Jump (only specified for P1).
-    if (playerId === 'p1' && this.input.wasPressed('Space') && p.onGround) {
-      p.vel.y = 7.5;
-      p.onGround = false;
-    }
-
-    // Integrate.
-    p.pos.x += p.vel.x * dt;
-    p.pos.y += p.vel.y * dt;
-    p.pos.z += p.vel.z * dt;
-
-    // Ground plane.
-    if (p.pos.y < 0) {
-      p.pos.y = 0;
-      p.vel.y = 0;
-      p.onGround = true;
-    }
-
-    // Collide with world boxes in XZ.
-    this._resolveWorldCollisions(p);
-  }
-
-  _resolveWorldCollisions(p) {
-    const r = PLAYER_RADIUS;
-    const h = PLAYER_HEIGHT;
-    const playerMin = this._tmpV;
-    const playerMax = this._tmpV2;
-
-    for (const c of this.world.colliders) {
-      if (c.disabled) continue;
-      const b = c.box;
-      playerMin.set(p.pos.x - r, p.pos.y, p.pos.z - r);
-      playerMax.set(p.pos.x + r, p.pos.y + h, p.pos.z + r);
-      if (
-        playerMax.x < b.min.x ||
-        playerMin.x > b.max.x ||
-        playerMax.y < b.min.y ||
-        playerMin.y > b.max.y ||
-        playerMax.z < b.min.z ||
-        playerMin.z > b.max.z
-      ) {
-        continue;
-      }
-
-      // Compute overlap in X and Z and push out along the smaller axis.
-      const boxCx = (b.min.x + b.max.x) * 0.5;
-      const boxCz = (b.min.z + b.max.z) * 0.5;
-      const dx1 = playerMax.x - b.min.x;
-      const dx2 = b.max.x - playerMin.x;
-      const overlapX = Math.min(dx1, dx2);
-      const dz1 = playerMax.z - b.min.z;
-      const dz2 = b.max.z - playerMin.z;
-      const overlapZ = Math.min(dz1, dz2);
-
-      if (overlapX < overlapZ) {
-        const dir = p.pos.x < boxCx ? -1 : 1;
-        p.pos.x += dir * overlapX;
-        p.vel.x = 0;
-      } else {
-        const dir = p.pos.z < boxCz ? -1 : 1;
-        p.pos.z += dir * overlapZ;
-        p.vel.z = 0;
-      }
-    }
-  }
-
-  _handleReloads() {
-    // P1 reload: R
-    if (this.input.wasPressed('KeyR') && !this.players.p1.controlsLocked && !this.players.p1.dead) {
-      const ok = this.weapons.p1.startReload();
-      if (ok) this.audio.playOneShot(assetUrl('assets/audio/sfx/reload.ogg'), { volume: 0.7, fallback: 'reload' });
-    }
-    // P2 reload: Middle click
-    if (this.input.mouse.middlePressed && !this.players.p2.controlsLocked && !this.players.p2.dead) {
-      const ok = this.weapons.p2.startReload();
-      if (ok) this.audio.playOneShot(assetUrl('assets/audio/sfx/reload.ogg'), { volume: 0.7, fallback: 'reload' });
-    }
-  }
-
   _updateFootsteps(dt) {
-    for (const id of ['p1', 'p2']) {
+    for (const id of this.sim.playerIds) {
       const p = this.players[id];
       if (p.dead) continue;
       if (!p.onGround) continue;
@@ -1495,317 +1700,18 @@ export class GameApp {
     }
   }
 
-  _handleFiring(dt) {
-    // Fire input sources:
-    // - P2: Mouse Left
-    // - P1: ShiftLeft (always) + optional Mouse Left when mouseFireMode === 'both'
-    const p1FirePressed = this.input.wasPressed('ShiftLeft') || (this.config.mouseFireMode === 'both' && this.input.mouse.leftPressed);
-    const p1FireReleased = this.input.wasReleased('ShiftLeft') || (this.config.mouseFireMode === 'both' && this.input.mouse.leftReleased);
-    const p1FireDown = this.input.isDown('ShiftLeft') || (this.config.mouseFireMode === 'both' && this.input.mouse.leftDown);
-
-    const p2FirePressed = this.input.mouse.leftPressed;
-    const p2FireReleased = this.input.mouse.leftReleased;
-    const p2FireDown = this.input.mouse.leftDown;
-
-    this._processFire('p1', 'p2', p1FirePressed, p1FireReleased, p1FireDown);
-    if (this.config.mouseFireMode === 'p2') {
-      this._processFire('p2', 'p1', p2FirePressed, p2FireReleased, p2FireDown);
-    } else {
-      // In "both", P2 still fires from mouse, but P1 already consumed mouse for its own handling too.
-      this._processFire('p2', 'p1', p2FirePressed, p2FireReleased, p2FireDown);
-    }
-  }
-
-  _processFire(shooterId, targetId, pressed, released, down) {
-    const shooter = this.players[shooterId];
-    const target = this.players[targetId];
-    const w = this.weapons[shooterId];
-    if (shooter.dead) return;
-    if (shooter.controlsLocked) return; // tasks: stand still; still killable.
-
-    // Sniper: hold to zoom, release to fire (release-to-fire).
-    if (w.type === WeaponType.SNIPER) {
-      if (pressed) w.sniperAiming = true;
-      if (released) {
-        if (w.sniperAiming) {
-          w.sniperAiming = false;
-          this._shootHitscan(shooterId, targetId);
-        }
-      }
-      return;
-    }
-
-    // Vandal: full auto while held.
-    if (w.type === WeaponType.VANDAL) {
-      if (down) this._shootHitscan(shooterId, targetId);
-      return;
-    }
-
-    // Laser: fire on press (rare).
-    if (w.type === WeaponType.LASER) {
-      if (!pressed) return;
-      this._shootLaser(shooterId, targetId);
-      return;
-    }
-
-    // Shotgun: fire on press.
-    if (w.type === WeaponType.SHOTGUN) {
-      if (!pressed) return;
-      this._shootShotgun(shooterId, targetId);
-      return;
-    }
-
-    // Other weapons: fire on press.
-    if (!pressed) return;
-    if (w.type === WeaponType.KNIFE) {
-      this._knifeAttack(shooterId, targetId);
-    } else if (w.type === WeaponType.BOTTLE) {
-      this._bottleAttack(shooterId, targetId);
-    } else {
-      this._shootHitscan(shooterId, targetId);
-    }
-  }
-
-  _shootShotgun(shooterId, targetId) {
-    const shooter = this.players[shooterId];
-    const target = this.players[targetId];
-    const w = this.weapons[shooterId];
-    if (!w.canShoot()) {
-      if (w.mag === 0) w.startReload();
-      return;
-    }
-
-    const origin = shooter.getEyePosition(this._tmpV);
-    const baseDir = shooter.getAimDir(this._tmpV2).clone();
-
-    this.weaponViews[shooterId].triggerShot({ weaponType: w.type });
-
-    // 7 pellets
-    const pellets = 7;
-    let hitTarget = false;
-    let bestHitPoint = null;
-    for (let i = 0; i < pellets; i++) {
-      const dir = baseDir.clone();
-      dir.x += randRange(-0.06, 0.06);
-      dir.y += randRange(-0.04, 0.04);
-      dir.z += randRange(-0.06, 0.06);
-      dir.normalize();
-
-      this._raycaster.set(origin, dir);
-      this._raycaster.far = 40;
-      const rayTargets = [...this.world.raycastMeshes];
-      if (!target.dead) rayTargets.unshift(target.hitbox);
-      const hit = this._raycaster.intersectObjects(rayTargets, true)[0];
-      const end = hit ? hit.point : origin.clone().addScaledVector(dir, 40);
-      this.weaponViews[shooterId].showTracer({ weaponType: w.type, origin, end });
-      if (hit && hit.object === target.hitbox) {
-        hitTarget = true;
-        bestHitPoint = bestHitPoint ?? hit.point.clone();
-      }
-    }
-
-    if (hitTarget && !target.dead && target.invulnTimer <= 0) {
-      // Close vs far damage.
-      const dist = origin.distanceTo(target.getEyePosition(this._tmpV2));
-      const dmg = dist <= 8 ? 60 : 30;
-      target.flashRed(1.0);
-      this._spawnDamageNumber(target.getEyePosition(this._tmpV2).add(new THREE.Vector3(0, 0.18, 0)), dmg);
-      if (bestHitPoint) this._spawnBloodParticles(bestHitPoint, 12);
-      if (target.takeDamage(dmg)) this._onKill(shooterId, targetId);
-    }
-
-    w.consumeShot();
-    // SFX uses existing pistol fallback if no asset.
-    this.audio.playOneShot(assetUrl('assets/audio/sfx/shotgun.ogg'), { volume: 0.65, fallback: 'vandal' });
-  }
-
-  _shootLaser(shooterId, targetId) {
-    const shooter = this.players[shooterId];
-    const target = this.players[targetId];
-    const w = this.weapons[shooterId];
-    if (!w.canShoot()) {
-      if (w.mag === 0) w.startReload();
-      return;
-    }
-
-    const origin = shooter.getEyePosition(this._tmpV);
-    const dir = shooter.getAimDir(this._tmpV2);
-    this._raycaster.set(origin, dir);
-    this._raycaster.far = 120;
-
-    const rayTargets = [...this.world.raycastMeshes];
-    if (!target.dead) rayTargets.unshift(target.hitbox);
-    const hit = this._raycaster.intersectObjects(rayTargets, true)[0];
-    const end = hit ? hit.point : origin.clone().addScaledVector(dir, 120);
-
-    // Visual: red long laser.
-    this.weaponViews[shooterId].triggerShot({ weaponType: w.type });
-    this.weaponViews[shooterId].showTracer({ weaponType: WeaponType.SNIPER, origin, end });
-
-    // Small explosion visual + 2 lava blocks.
-    this.world._spawnFireBlock?.(end.x + 0.6, end.z, { lifetime: 9.0, withLight: false });
-    this.world._spawnFireBlock?.(end.x - 0.6, end.z, { lifetime: 9.0, withLight: false });
-
-    // Direct hit damage + small blast damage.
-    if (hit && hit.object === target.hitbox) {
-      const dmg = 60;
-      if (!target.dead && target.invulnTimer <= 0) {
-        target.flashRed(1.0);
-        this._spawnDamageNumber(target.getEyePosition(this._tmpV2).add(new THREE.Vector3(0, 0.18, 0)), dmg);
-        this._spawnBloodParticles(end, 14);
-      }
-      const died = target.takeDamage(dmg);
-      // splash
-      if (!died) {
-        const splash = 10;
-        target.takeDamage(splash);
-      }
-      if (died) this._onKill(shooterId, targetId);
-    }
-
-    w.consumeShot();
-    this.audio.playOneShot(assetUrl('assets/audio/sfx/laser.ogg'), { volume: 0.55, fallback: 'sniper' });
-  }
-
-  _breakBottle(shooterId) {
-    const p = this.players[shooterId];
-    const prev = p.bottlePrevWeapon ?? WeaponType.KNIFE;
-    p.hasBottle = false;
-    p.bottlePrevWeapon = null;
-    this.weapons[shooterId].setWeapon(prev);
-    this.weaponViews[shooterId].setWeapon(this.weapons[shooterId].type);
-  }
-
-  _bottleAttack(shooterId, targetId) {
-    const shooter = this.players[shooterId];
-    const target = this.players[targetId];
-    const w = this.weapons[shooterId];
-    if (!w.canShoot()) return;
-
-    const origin = shooter.getEyePosition(this._tmpV);
-    const dir = shooter.getAimDir(this._tmpV2);
-
-    this._raycaster.set(origin, dir);
-    this._raycaster.far = 2.0;
-
-    const rayTargets = [...this.world.raycastMeshes];
-    if (!target.dead) rayTargets.unshift(target.hitbox);
-    const hit = this._raycaster.intersectObjects(rayTargets, true)[0];
-
-    if (hit && hit.object === target.hitbox) {
-      const dmg = damageForWeapon(WeaponType.BOTTLE);
-      if (!target.dead && target.invulnTimer <= 0) {
-        target.flashRed(1.0);
-        this._spawnDamageNumber(target.getEyePosition(this._tmpV2).add(new THREE.Vector3(0, 0.18, 0)), dmg);
-        this._spawnBloodParticles(hit.point, 14);
-      }
-      const died = target.takeDamage(dmg);
-      this.audio.playOneShot(assetUrl('assets/audio/sfx/glass_break.ogg'), { volume: 0.75, fallback: 'glass' });
-      this._breakBottle(shooterId);
-      this.weaponViews[shooterId].triggerKnifeHitSwing();
-      if (died) this._onKill(shooterId, targetId);
-    } else {
-      this.weaponViews[shooterId].triggerKnifeWhiffSwing();
-    }
-    w.consumeShot();
-  }
-
-  _shootHitscan(shooterId, targetId) {
-    const shooter = this.players[shooterId];
-    const target = this.players[targetId];
-    const w = this.weapons[shooterId];
-    if (!w.canShoot()) {
-      // Auto-reload hint: if empty and have reserve, start reload.
-      if (w.mag === 0) w.startReload();
-      return;
-    }
-
-    // Raycast: nearest intersection among world blockers and the target hitbox.
-    const origin = shooter.getEyePosition(this._tmpV);
-    const dir = shooter.getAimDir(this._tmpV2);
-
-    this._raycaster.set(origin, dir);
-    this._raycaster.far = 120;
-
-    const rayTargets = [...this.world.raycastMeshes];
-    if (!target.dead) rayTargets.unshift(target.hitbox);
-    const hits = this._raycaster.intersectObjects(rayTargets, true);
-    const hit = hits[0];
-    const end = this._tmpHitEnd;
-    if (hit) end.copy(hit.point);
-    else end.copy(origin).addScaledVector(dir, 120);
-
-    // Visual: muzzle flash + tracer
-    this.weaponViews[shooterId].triggerShot({ weaponType: w.type });
-    this.weaponViews[shooterId].showTracer({ weaponType: w.type, origin, end });
-
-    if (hit?.object?.userData?.isBarrel) {
-      const pos = this.world.explodeBarrel(hit.object.userData.barrelId);
-      if (pos) this.audio.playOneShot(assetUrl('assets/audio/sfx/explosion.ogg'), { volume: 0.8, fallback: 'explosion' });
-    } else if (hit && hit.object === target.hitbox) {
-      const dmg = damageForWeapon(w.type);
-      if (!target.dead && target.invulnTimer <= 0) {
-        target.flashRed(1.0);
-        this._spawnDamageNumber(target.getEyePosition(this._tmpV2).add(new THREE.Vector3(0, 0.18, 0)), dmg);
-        this._spawnBloodParticles(hit.point, w.type === WeaponType.SNIPER ? 16 : 10);
-      }
-      const died = target.takeDamage(dmg);
-      if (died) this._onKill(shooterId, targetId);
-    }
-
-    w.consumeShot();
-
-    // SFX.
-    if (w.type === WeaponType.PISTOL) this.audio.playOneShot(assetUrl('assets/audio/sfx/pistol.ogg'), { volume: 0.6, fallback: 'pistol' });
-    if (w.type === WeaponType.VANDAL) this.audio.playOneShot(assetUrl('assets/audio/sfx/vandal.ogg'), { volume: 0.55, fallback: 'vandal' });
-    if (w.type === WeaponType.SNIPER) this.audio.playOneShot(assetUrl('assets/audio/sfx/sniper.ogg'), { volume: 0.7, fallback: 'sniper' });
-  }
-
-  _knifeAttack(shooterId, targetId) {
-    const shooter = this.players[shooterId];
-    const target = this.players[targetId];
-    const w = this.weapons[shooterId];
-    if (!w.canShoot()) return;
-
-    const origin = shooter.getEyePosition(this._tmpV);
-    const dir = shooter.getAimDir(this._tmpV2);
-
-    this._raycaster.set(origin, dir);
-    this._raycaster.far = 2.0;
-    const rayTargets = [...this.world.raycastMeshes];
-    if (!target.dead) rayTargets.unshift(target.hitbox);
-    const hits = this._raycaster.intersectObjects(rayTargets, true);
-    const hit = hits[0];
-    if (hit?.object?.userData?.isBarrel) {
-      this.weaponViews[shooterId].triggerKnifeHitSwing();
-      const pos = this.world.explodeBarrel(hit.object.userData.barrelId);
-      if (pos) this.audio.playOneShot(assetUrl('assets/audio/sfx/explosion.ogg'), { volume: 0.8, fallback: 'explosion' });
-      this.audio.playOneShot(assetUrl('assets/audio/sfx/knife.ogg'), { volume: 0.6, fallback: 'pistol' });
-    } else if (hit && hit.object === target.hitbox) {
-      this.weaponViews[shooterId].triggerKnifeHitSwing();
-      const dmg = damageForWeapon(WeaponType.KNIFE);
-      if (!target.dead && target.invulnTimer <= 0) {
-        target.flashRed(1.0);
-        this._spawnDamageNumber(target.getEyePosition(this._tmpV2).add(new THREE.Vector3(0, 0.18, 0)), dmg);
-        this._spawnBloodParticles(hit.point, 12);
-      }
-      const died = target.takeDamage(dmg);
-      if (died) this._onKill(shooterId, targetId);
-      this.audio.playOneShot(assetUrl('assets/audio/sfx/knife.ogg'), { volume: 0.6, fallback: 'pistol' });
-    } else {
-      this.weaponViews[shooterId].triggerKnifeWhiffSwing();
-      this.audio.playOneShot(assetUrl('assets/audio/sfx/knife.ogg'), { volume: 0.35, fallback: 'step' });
-    }
-    w.consumeShot();
-  }
-
-  _onKill(killerId, victimId) {
+  _onKill(killerId, victimId, teamKill = false, headshot = false) {
     // Death SFX (everyone hears).
     this.audio.playOneShot(assetUrl('assets/audio/sfx/death.ogg'), { volume: 0.7, fallback: 'death' });
     // Spawn a temporary corpse (ragdoll-ish) at the death position.
     this._spawnCorpseFromPlayer(victimId);
+    // Teamkills score nothing: no skull, just a callout.
+    if (teamKill) {
+      this._showToast(`${killerId.toUpperCase()} takım arkadaşını vurdu (${victimId.toUpperCase()})`);
+      return;
+    }
     // UI: skull pop for the killer.
-    this._showKillPop(killerId);
+    this._showKillPop(killerId, headshot);
     // UI: global skull at bottom (always visible).
     this._showGlobalKillPop();
 
@@ -1816,22 +1722,22 @@ export class GameApp {
       this._showToast(line);
       this.audio.speak(line, { lang: 'tr-TR', rate: 1.02, pitch: 1.0, volume: 1.0 });
     }
-    this.scores[killerId] += 1;
-    if (this.scores[killerId] >= WIN_KILLS) {
-      this._enterWin(killerId);
-    }
   }
 
-  _enterWin(winnerId) {
+  _enterWin(winnerId, team = null) {
     document.exitPointerLock?.();
     this.state = 'WIN';
-    this._ui.winTitle.textContent = winnerId === 'p1' ? 'P1 WINS' : 'P2 WINS';
+    if (this._recorder) {
+      this._recorder.finish({ winnerId });
+      this.lastReplay = this._recorder;
+      this._recorder = null;
+    }
+    this._ui.replaySaveBtn?.classList.toggle('hidden', !this.lastReplay);
+    this._ui.replayWatchBtn?.classList.toggle('hidden', !this.lastReplay);
+    this._ui.winTitle.textContent = team ? `${TEAMS[team].label} TEAM WINS` : `${winnerId.toUpperCase()} WINS`;
     this._ui.win.classList.remove('hidden');
     this._ui.centerMsg.classList.add('hidden');
-    this.taskSystem.close('p1');
-    this.taskSystem.close('p2');
-    this.players.p1.controlsLocked = false;
-    this.players.p2.controlsLocked = false;
+    this._closeTasks();
 
     // Talk + ask for rating.
     const line = 'ohaaa kazanmışsın inanılmazzzz altaki yıldızdan bizi deyerlendirin lütfen oynadığınız için teşekkürler.';
@@ -1844,77 +1750,68 @@ export class GameApp {
     const p = this.players[playerId];
     const w = this.weapons[playerId];
     const base = 75;
-    if (w.type !== WeaponType.SNIPER) {
+    const zoom = w.def.zoom;
+    if (!zoom) {
       if (p.camera.fov !== base) {
         p.camera.fov = base;
         p.camera.updateProjectionMatrix();
       }
       return;
     }
-    const zoomFov = 30;
-    const fov = base + (zoomFov - base) * w.sniperZoom01;
+    const fov = base + (zoom.fov - base) * w.sniperZoom01;
     p.camera.fov = fov;
     p.camera.updateProjectionMatrix();
   }
 
   _updateScoreboard() {
-    this._ui.scoreboard.textContent = `P1: ${this.scores.p1} | P2: ${this.scores.p2}`;
-  }
-
-  _updateHUD() {
-    const p1 = this.players.p1;
-    const p2 = this.players.p2;
-    const w1 = this.weapons.p1;
-    const w2 = this.weapons.p2;
-
-    // HP bars.
-    this._ui.p1.hp.style.width = `${(p1.hp / p1.maxHp) * 100}%`;
-    this._ui.p2.hp.style.width = `${(p2.hp / p2.maxHp) * 100}%`;
-
-    // Death effect (blackout) on the player's half.
-    this._ui.p1.hud.classList.toggle('dead', p1.dead && p1.deathTimer > 0);
-    this._ui.p2.hud.classList.toggle('dead', p2.dead && p2.deathTimer > 0);
-
-    // Invulnerability HUD.
-    this._ui.p1.invuln.textContent = p1.invulnTimer > 0 ? `INVULN ${Math.ceil(p1.invulnTimer)}…` : '';
-    this._ui.p2.invuln.textContent = p2.invulnTimer > 0 ? `INVULN ${Math.ceil(p2.invulnTimer)}…` : '';
-
-    // Weapon HUD.
-    this._ui.p1.weapon.textContent = this._weaponHudText('p1', w1);
-    this._ui.p2.weapon.textContent = this._weaponHudText('p2', w2);
-
-    // Sniper scope overlay (per-player half only).
-    const scope1 = w1.type === WeaponType.SNIPER && (w1.sniperAiming || w1.sniperZoom01 > 0.65);
-    const scope2 = w2.type === WeaponType.SNIPER && (w2.sniperAiming || w2.sniperZoom01 > 0.65);
-    this._ui.p1.scope?.classList.toggle('hidden', !scope1);
-    this._ui.p2.scope?.classList.toggle('hidden', !scope2);
-
-    // Prompts (only when not in task UI).
-    this._ui.p1.prompt.textContent = '';
-    this._ui.p2.prompt.textContent = '';
-    if ((this.state === 'ELEVATOR' || this.state === 'PLAY') && !this._ui.win.classList.contains('hidden')) {
-      // winner screen showing; suppress prompts
+    const players = this.sim.playerIds.map((id) => `${id.toUpperCase()}: ${this.scores[id]}`).join(' | ');
+    if (this.sim.config.teamMode === 'ffa') {
+      this._ui.scoreboard.textContent = players;
       return;
     }
+    const teams = Object.keys(TEAMS).map((t) => `${TEAMS[t].label} ${this.sim.teamScores[t]}`).join(' : ');
+    this._ui.scoreboard.textContent = `${teams}  ·  ${players}`;
+  }
 
-    if (this.state === 'ELEVATOR' || this.state === 'PLAY') {
-      if (!this.taskSystem.isOpen('p1') && !p1.dead) {
-        const a = this._nearestArcade(p1);
-        if (a) {
-          const locked = a.taskIndex !== p1.taskLevel;
-          const label = locked ? 'LOCKED' : 'Use Arcade';
-          const next = p1.taskLevel + 1;
-          this._ui.p1.prompt.textContent = `E - ${label} (Task ${next})`;
-        }
+  _updateHUD() {
+    const live = this.state === 'ELEVATOR' || this.state === 'PLAY';
+    // Winner screen showing: no prompts.
+    const prompts = live && this._ui.win.classList.contains('hidden');
+    for (const id of this._humanIds()) {
+      const p = this.players[id];
+      const w = this.weapons[id];
+      const hud = this._huds[id];
+
+      hud.hp.style.width = `${(p.hp / p.maxHp) * 100}%`;
+      hud.armor.style.width = `${(p.armor / p.maxArmor) * 100}%`;
+      hud.stamina.style.width = `${(p.stamina / p.maxStamina) * 100}%`;
+      hud.stamina.classList.toggle('winded', p.winded);
+      hud.root.dataset.team = this.sim.teamOf(id) ?? '';
+      // Death effect (blackout) on the player's view.
+      hud.root.classList.toggle('dead', p.dead && p.deathTimer > 0);
+      hud.invuln.textContent = p.invulnTimer > 0 ? `INVULN ${Math.ceil(p.invulnTimer)}…` : '';
+      hud.weapon.textContent = this._weaponHudText(id, w);
+      this._updateWeaponStrip(hud, w);
+
+      // Sniper scope overlay (per-player view only).
+      const scope = !!w.def.zoom && (w.sniperAiming || w.sniperZoom01 > 0.65);
+      hud.scope?.classList.toggle('hidden', !scope);
+      this._updateCrosshair(id, hud);
+
+      // Prompts (only when not in task UI).
+      hud.prompt.textContent = '';
+      if (!prompts || this.taskSystem.isOpen(id) || p.dead) continue;
+      const drop = this.sim.usableDrop(p);
+      if (drop) {
+        hud.prompt.textContent = `${this.bindings.actionLabel(this._deviceOf(id), 'use')} - Pick up ${drop.type} (${drop.mag}/${drop.reserve})`;
+        continue;
       }
-      if (!this.taskSystem.isOpen('p2') && !p2.dead) {
-        const a = this._nearestArcade(p2);
-        if (a) {
-          const locked = a.taskIndex !== p2.taskLevel;
-          const label = locked ? 'LOCKED' : 'Use Arcade';
-          const next = p2.taskLevel + 1;
-          this._ui.p2.prompt.textContent = `Right Click - ${label} (Task ${next})`;
-        }
+      const a = this.sim.nearestArcade(p);
+      if (a) {
+        const locked = a.taskIndex !== p.taskLevel;
+        const label = locked ? 'LOCKED' : 'Use Arcade';
+        const next = p.taskLevel + 1;
+        hud.prompt.textContent = `${this.bindings.actionLabel(this._deviceOf(id), 'use')} - ${label} (Task ${next})`;
       }
     }
   }
@@ -1967,35 +1864,76 @@ export class GameApp {
       ctx.restore();
     };
 
-    draw('p1', this._ui.p1.radar, this._ui.p1.radarCtx);
-    draw('p2', this._ui.p2.radar, this._ui.p2.radarCtx);
+    for (const id of this._humanIds()) draw(id, this._huds[id].radar, this._huds[id].radarCtx);
+  }
+
+  // Crosshair arms open up to the edge of the current spread cone (sim.spreadOf) on this view.
+  _updateCrosshair(playerId, hud) {
+    if (!hud.crosshair) return;
+    const cam = this.players[playerId].camera;
+    const cone = this.sim.spreadOf(playerId);
+    const px = (Math.tan(cone) / Math.tan(THREE.MathUtils.degToRad(cam.fov) / 2)) * (hud.root.clientHeight / 2);
+    hud.crosshair.style.setProperty('--gap', `${(3 + px).toFixed(1)}px`);
+  }
+
+  // Owned weapons by slot (key number + name + ammo), the one in hand highlighted.
+  _updateWeaponStrip(hud, w) {
+    WEAPON_SLOTS.forEach((slot, i) => {
+      const cell = hud.slots[i];
+      const e = w.slots[slot];
+      const ammo = e && !weaponDef(e.type).melee ? ` ${e.mag}/${e.reserve}` : '';
+      const text = e ? `${i + 1} ${e.type}${ammo}` : `${i + 1} —`;
+      if (cell.textContent !== text) cell.textContent = text;
+      cell.classList.toggle('active', slot === w.slot);
+      cell.classList.toggle('empty', !e);
+    });
   }
 
   _weaponHudText(playerId, w) {
-    if (w.type === WeaponType.KNIFE) return `Knife`;
+    if (w.def.melee) return w.type;
     const ammo = `${w.mag}/${w.reserve}`;
     const re = w.reloadTimer > 0 ? ` RELOADING…` : '';
-    if (w.type === WeaponType.SNIPER) {
+    if (w.def.zoom) {
       const mode = w.sniperAiming ? ' (ZOOM)' : '';
       return `${w.type}${mode} ${ammo}${re}`;
     }
     return `${w.type} ${ammo}${re}`;
   }
 
-  _render() {
+  _render(alpha = 1) {
     const w = this.canvas.clientWidth;
     const h = this.canvas.clientHeight;
     if (w === 0 || h === 0) return;
 
+    // Interpolated transforms for models + cameras (simulation state stays untouched).
+    if (this.state === 'REPLAY') alpha = this.replayViewer.renderAlpha(alpha);
+    for (const p of Object.values(this.players)) p.applyRenderTransform(alpha);
+
     // Ensure renderer is sized (ResizeObserver can lag 1 frame).
     this.renderer.setSize(w, h, false);
 
-    const halfW = Math.floor(w / 2);
+    // Replay viewer: one full-screen view (P1 POV / P2 POV / fly camera).
+    if (this.state === 'REPLAY') {
+      const mode = this.replayViewer.cameraMode;
+      const cam = mode === ReplayCamera.FREE ? this.replayViewer.flyCamera : this.players[mode].camera;
+      this._renderViewport(0, 0, w, h, cam);
+      return;
+    }
 
-    // Left viewport (P1)
-    this._renderViewport(0, 0, halfW, h, this.players.p1.camera);
-    // Right viewport (P2)
-    this._renderViewport(halfW, 0, w - halfW, h, this.players.p2.camera);
+    // One viewport per shown player (_layoutViews). 3 players leave a quarter empty: clear it first.
+    if (this._viewLayout.length === 3) {
+      this.renderer.setViewport(0, 0, w, h);
+      this.renderer.setScissor(0, 0, w, h);
+      this.renderer.clear();
+    }
+    for (const { id, rect } of this._viewLayout) {
+      // Rects are top-left based; WebGL viewports start bottom-left.
+      const x0 = Math.floor(rect[0] * w);
+      const x1 = Math.floor((rect[0] + rect[2]) * w);
+      const y0 = Math.floor((1 - rect[1] - rect[3]) * h);
+      const y1 = Math.floor((1 - rect[1]) * h);
+      this._renderViewport(x0, y0, x1 - x0, y1 - y0, this.players[id].camera);
+    }
   }
 
   _renderViewport(x, y, w, h, camera) {
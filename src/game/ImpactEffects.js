@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+// Where shots land: decals (bullet holes, scorch marks) laid flat on the hit surface along its normal, plus a
+// quick burst of sparks or dust picked by the surface (World SURFACES / 'floor').
+// Everything is allocated up front and recycled oldest-first, so a long firefight costs no more than a short
+// one: one InstancedMesh per decal kind and one Points buffer for all particles. World owns it (spawnImpact()).
+
+// Particle look per surface: burst size, colour, launch speed along the normal, gravity, lifetime (s).
+export const IMPACT_STYLES = {
+  wall: { count: 6, color: 0x8d8f96, speed: 1.6, gravity: 4, life: 0.5 },
+  floor: { count: 6, color: 0x7a7f8a, speed: 1.8, gravity: 6, life: 0.45 },
+  panel: { count: 6, color: 0x6f7a92, speed: 1.8, gravity: 6, life: 0.45 },
+  prop: { count: 7, color: 0x9a7451, speed: 2.0, gravity: 7, life: 0.5 },
+  crate: { count: 8, color: 0xb08657, speed: 2.2, gravity: 8, life: 0.55 },
+  arcade: { count: 9, color: 0xffd24a, speed: 4.5, gravity: 9, life: 0.35 },
+  barrel: { count: 10, color: 0xffa24a, speed: 5, gravity: 9, life: 0.35 },
+  elevatorDoor: { count: 8, color: 0xdfe7f2, speed: 4, gravity: 9, life: 0.3 },
+  elevatorWall: { count: 8, color: 0xdfe7f2, speed: 4, gravity: 9, life: 0.3 }
+};
+
+// Decal kinds: size (radius, m) and how many of them can be on the map at once.
+const DECALS = {
+  hole: { radius: 0.06, cap: 1, color: 0x050608, opacity: 0.95 },
+  scorch: { radius: 1, cap: 0.25, color: 0x050302, opacity: 0.7 }
+};
+
+const _m = new THREE.Matrix4();
+const _q = new THREE.Quaternion();
+const _s = new THREE.Vector3();
+const _p = new THREE.Vector3();
+const _z = new THREE.Vector3(0, 0, 1);
+const _spin = new THREE.Quaternion();
+const _c = new THREE.Color();
+const _zero = new THREE.Matrix4().makeScale(0, 0, 0);
+
+export class ImpactEffects {
+  // `maxDecals`: bullet holes kept (scorch marks get a quarter of that); `maxParticles`: sparks / dust alive at once.
+  constructor(scene, { maxDecals = 96, maxParticles = 256 } = {}) {
+    this.scene = scene;
+
+    this._decals = {};
+    const geo = new THREE.CircleGeometry(1, 12);
+    for (const [kind, d] of Object.entries(DECALS)) {
+      const cap = Math.max(1, Math.round(maxDecals * d.cap));
+      const mat = new THREE.MeshBasicMaterial({
+        color: d.color,
+        transparent: true,
+        opacity: d.opacity,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -2
+      });
+      const mesh = new THREE.InstancedMesh(geo, mat, cap);
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      // Instances are all over the hall; the geometry's own bounds would cull them wrongly.
+      mesh.frustumCulled = false;
+      for (let i = 0; i < cap; i++) mesh.setMatrixAt(i, _zero);
+      scene.add(mesh);
+      this._decals[kind] = { mesh, cap, next: 0, radius: d.radius };
+    }
+
+    // Particles: ring buffer, dead ones are black (additive blending makes them invisible).
+    this._max = maxParticles;
+    this._next = 0;
+    this._alive = 0;
+    this._pos = new Float32Array(maxParticles * 3);
+    this._col = new Float32Array(maxParticles * 3);
+    this._base = new Float32Array(maxParticles * 3);
+    this._vel = new Float32Array(maxParticles * 3);
+    this._life = new Float32Array(maxParticles);
+    this._maxLife = new Float32Array(maxParticles);
+    this._gravity = new Float32Array(maxParticles);
+    const pgeo = new THREE.BufferGeometry();
+    pgeo.setAttribute('position', new THREE.BufferAttribute(this._pos, 3).setUsage(THREE.DynamicDrawUsage));
+    pgeo.setAttribute('color', new THREE.BufferAttribute(this._col, 3).setUsage(THREE.DynamicDrawUsage));
+    this._points = new THREE.Points(
+      pgeo,
+      new THREE.PointsMaterial({ size: 0.07, vertexColors: true, transparent: true, blending: THREE.AdditiveBlending, depthWrite: false })
+    );
+    this._points.frustumCulled = false;
+    scene.add(this._points);
+  }
+
+  // Decal of `kind` (DECALS) at `pos` on a surface facing `normal`; `scale` multiplies its radius.
+  addDecal(kind, pos, normal, scale = 1) {
+    const d = this._decals[kind];
+    _q.setFromUnitVectors(_z, normal);
+    // Random spin so repeated holes don't look stamped.
+    _q.multiply(_spin.setFromAxisAngle(_z, Math.random() * Math.PI * 2));
+    _p.copy(pos).addScaledVector(normal, 0.01);
+    _s.setScalar(d.radius * scale);
+    d.mesh.setMatrixAt(d.next, _m.compose(_p, _q, _s));
+    d.mesh.instanceMatrix.needsUpdate = true;
+    d.next = (d.next + 1) % d.cap;
+  }
+
+  // Burst of particles thrown off the surface, looking like `surface` (IMPACT_STYLES, wall if unknown).
+  burst(surface, pos, normal) {
+    const st = IMPACT_STYLES[surface] ?? IMPACT_STYLES.wall;
+    _c.set(st.color);
+    for (let n = 0; n < st.count; n++) {
+      const i = this._next;
+      this._next = (this._next + 1) % this._max;
+      const j = i * 3;
+      this._pos[j] = pos.x + normal.x * 0.03;
+      this._pos[j + 1] = pos.y + normal.y * 0.03;
+      this._pos[j + 2] = pos.z + normal.z * 0.03;
+      const sp = st.speed * (0.5 + Math.random() * 0.7);
+      this._vel[j] = (normal.x + (Math.random() - 0.5) * 1.4) * sp;
+      this._vel[j + 1] = (normal.y + Math.random() * 0.8) * sp;
+      this._vel[j + 2] = (normal.z + (Math.random() - 0.5) * 1.4) * sp;
+      this._base[j] = _c.r;
+      this._base[j + 1] = _c.g;
+      this._base[j + 2] = _c.b;
+      if (this._life[i] <= 0) this._alive++;
+      this._life[i] = this._maxLife[i] = st.life * (0.7 + Math.random() * 0.6);
+      this._gravity[i] = st.gravity;
+    }
+  }
+
+  update(dt) {
+    if (!this._alive) return;
+    for (let i = 0; i < this._max; i++) {
+      if (this._life[i] <= 0) continue;
+      const j = i * 3;
+      this._life[i] -= dt;
+      const k = Math.max(0, this._life[i] / this._maxLife[i]);
+      if (this._life[i] <= 0) this._alive--;
+      this._vel[j + 1] -= this._gravity[i] * dt;
+      this._pos[j] += this._vel[j] * dt;
+      this._pos[j + 1] = Math.max(0.01, this._pos[j + 1] + this._vel[j + 1] * dt);
+      this._pos[j + 2] += this._vel[j + 2] * dt;
+      this._col[j] = this._base[j] * k;
+      this._col[j + 1] = this._base[j + 1] * k;
+      this._col[j + 2] = this._base[j + 2] * k;
+    }
+    const attrs = this._points.geometry.attributes;
+    attrs.position.needsUpdate = true;
+    attrs.color.needsUpdate = true;
+  }
+
+  // New round / rebuilt map: no holes in walls that aren't there any more.
+  clear() {
+    for (const d of Object.values(this._decals)) {
+      for (let i = 0; i < d.cap; i++) d.mesh.setMatrixAt(i, _zero);
+      d.mesh.instanceMatrix.needsUpdate = true;
+      d.next = 0;
+    }
+    this._life.fill(0);
+    this._col.fill(0);
+    this._alive = 0;
+    this._points.geometry.attributes.color.needsUpdate = true;
+  }
+}
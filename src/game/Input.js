@@ -7,6 +7,54 @@
 //   we offer a toggle: Mouse Fire -> "P2 only" (default) / "Both".
 //   When set to "Both", mouse left will also trigger P1 fire.
 //   P1 ALWAYS has an alternate fire key: Left Shift.
+//
+// Mouse buttons also show up as key codes ('Mouse0' left, 'Mouse1' middle, 'Mouse2' right), so they can be
+// bound to actions like any key (see Bindings.js).
+//
+// Gamepads (Gamepad API) are polled once per tick (pollGamepads) and give each player their own device.
+// Which player uses which device is picked in the lobby (GameApp.devices).
+
+// Input devices a player can claim: one of the two layouts on the shared keyboard (Device.MOUSE also
+// looks with the mouse) or pad N.
+export const Device = Object.freeze({
+  KEYBOARD: 'keyboard',
+  MOUSE: 'mouse'
+});
+export const MAX_PADS = 4;
+export const padDevice = (index) => `pad${index}`;
+export function padIndexOf(device) {
+  const m = /^pad(\d)$/.exec(device ?? '');
+  return m ? Number(m[1]) : null;
+}
+export function deviceLabel(device) {
+  if (device === Device.KEYBOARD) return 'Klavye 1';
+  if (device === Device.MOUSE) return 'Klavye 2 + Mouse';
+  const i = padIndexOf(device);
+  return i == null ? '—' : `Pad ${i + 1}`;
+}
+
+// "Standard" gamepad mapping (Xbox names).
+export const PadButton = Object.freeze({
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  BACK: 8,
+  START: 9,
+  UP: 12,
+  DOWN: 13,
+  LEFT: 14,
+  RIGHT: 15
+});
+const STICK_DEADZONE = 0.18;
+const TRIGGER_THRESHOLD = 0.35;
+// Left stick pushed this far counts as a d-pad press for menus (see padDirPressed).
+const STICK_MENU_THRESHOLD = 0.6;
+
 export class Input {
   constructor({ canvas }) {
     this.canvas = canvas;
@@ -24,24 +72,25 @@ export class Input {
       rightDown: false,
       rightPressed: false,
       rightReleased: false,
-      middlePressed: false
+      middlePressed: false,
+      // Wheel notches since the last tick (+ = scrolled down).
+      wheel: 0
     };
 
     this.pointerLocked = false;
 
+    // Per pad index: { id, connected, axes, down, pressed, released } (refreshed by pollGamepads).
+    this.pads = [];
+
     this._onKeyDown = (e) => {
-      if (!this.keysDown.has(e.code)) this.keysPressed.add(e.code);
-      this.keysDown.add(e.code);
+      this._press(e.code);
       // Prevent page scroll on arrows/space.
       if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space'].includes(e.code)) {
         e.preventDefault();
       }
     };
 
-    this._onKeyUp = (e) => {
-      this.keysDown.delete(e.code);
-      this.keysReleased.add(e.code);
-    };
+    this._onKeyUp = (e) => this._release(e.code);
 
     this._onMouseMove = (e) => {
       if (!this.pointerLocked) return;
@@ -52,6 +101,7 @@ export class Input {
     this._onMouseDown = (e) => {
       // We want right click to be usable for tasks: prevent context menu.
       if (e.button === 2) e.preventDefault();
+      this._press(`Mouse${e.button}`);
       if (e.button === 0) {
         if (!this.mouse.leftDown) this.mouse.leftPressed = true;
         this.mouse.leftDown = true;
@@ -64,6 +114,7 @@ export class Input {
     };
 
     this._onMouseUp = (e) => {
+      this._release(`Mouse${e.button}`);
       if (e.button === 0) {
         this.mouse.leftDown = false;
         this.mouse.leftReleased = true;
@@ -73,6 +124,11 @@ export class Input {
       }
     };
 
+    this._onWheel = (e) => {
+      if (!this.pointerLocked) return;
+      this.mouse.wheel += Math.sign(e.deltaY);
+    };
+
     this._onContextMenu = (e) => e.preventDefault();
 
     this._onPointerLockChange = () => {
@@ -80,12 +136,23 @@ export class Input {
     };
   }
 
+  _press(code) {
+    if (!this.keysDown.has(code)) this.keysPressed.add(code);
+    this.keysDown.add(code);
+  }
+
+  _release(code) {
+    this.keysDown.delete(code);
+    this.keysReleased.add(code);
+  }
+
   mount() {
     window.addEventListener('keydown', this._onKeyDown, { passive: false });
     window.addEventListener('keyup', this._onKeyUp);
     window.addEventListener('mousemove', this._onMouseMove);
     window.addEventListener('mousedown', this._onMouseDown);
     window.addEventListener('mouseup', this._onMouseUp);
+    window.addEventListener('wheel', this._onWheel, { passive: true });
     window.addEventListener('contextmenu', this._onContextMenu);
     document.addEventListener('pointerlockchange', this._onPointerLockChange);
   }
@@ -96,6 +163,7 @@ export class Input {
     window.removeEventListener('mousemove', this._onMouseMove);
     window.removeEventListener('mousedown', this._onMouseDown);
     window.removeEventListener('mouseup', this._onMouseUp);
+    window.removeEventListener('wheel', this._onWheel);
     window.removeEventListener('contextmenu', this._onContextMenu);
     document.removeEventListener('pointerlockchange', this._onPointerLockChange);
   }
@@ -111,6 +179,79 @@ export class Input {
     this.mouse.rightPressed = false;
     this.mouse.rightReleased = false;
     this.mouse.middlePressed = false;
+    this.mouse.wheel = 0;
+  }
+
+  // Reads every connected pad and derives pressed/released edges since the previous poll.
+  pollGamepads() {
+    const list = navigator.getGamepads?.() ?? [];
+    for (let i = 0; i < MAX_PADS; i++) {
+      const gp = list[i];
+      const prev = this.pads[i];
+      if (!gp || !gp.connected) {
+        if (prev) prev.connected = false;
+        continue;
+      }
+      const pad = prev ?? { id: '', connected: false, axes: [0, 0, 0, 0], down: [], pressed: [], released: [], stickDir: null, stickDirPressed: null };
+      pad.id = gp.id;
+      pad.connected = true;
+      for (let a = 0; a < 4; a++) pad.axes[a] = gp.axes[a] ?? 0;
+      for (let b = 0; b < gp.buttons.length; b++) {
+        const btn = gp.buttons[b];
+        const isTrigger = b === PadButton.LT || b === PadButton.RT;
+        const down = isTrigger ? btn.value > TRIGGER_THRESHOLD : btn.pressed;
+        const was = !!pad.down[b];
+        pad.pressed[b] = down && !was;
+        pad.released[b] = !down && was;
+        pad.down[b] = down;
+      }
+      const [x, y] = pad.axes;
+      let dir = null;
+      if (Math.max(Math.abs(x), Math.abs(y)) > STICK_MENU_THRESHOLD) {
+        dir = Math.abs(x) > Math.abs(y) ? (x > 0 ? 'right' : 'left') : y > 0 ? 'down' : 'up';
+      }
+      pad.stickDirPressed = dir !== pad.stickDir ? dir : null;
+      pad.stickDir = dir;
+      this.pads[i] = pad;
+    }
+  }
+
+  padConnected(index) {
+    return !!this.pads[index]?.connected;
+  }
+  connectedPads() {
+    const out = [];
+    for (let i = 0; i < MAX_PADS; i++) if (this.padConnected(i)) out.push(i);
+    return out;
+  }
+  padDown(index, button) {
+    return !!(this.padConnected(index) && this.pads[index].down[button]);
+  }
+  padPressed(index, button) {
+    return !!(this.padConnected(index) && this.pads[index].pressed[button]);
+  }
+  padReleased(index, button) {
+    return !!(this.padConnected(index) && this.pads[index].released[button]);
+  }
+  // Menu navigation: d-pad press or a left stick flick. Returns 'up' | 'down' | 'left' | 'right' | null.
+  padDirPressed(index) {
+    if (!this.padConnected(index)) return null;
+    if (this.padPressed(index, PadButton.UP)) return 'up';
+    if (this.padPressed(index, PadButton.DOWN)) return 'down';
+    if (this.padPressed(index, PadButton.LEFT)) return 'left';
+    if (this.padPressed(index, PadButton.RIGHT)) return 'right';
+    return this.pads[index].stickDirPressed;
+  }
+  // Stick with a radial deadzone, rescaled so it still reaches 1 at full tilt. stick: 'left' | 'right'.
+  padStick(index, stick) {
+    if (!this.padConnected(index)) return { x: 0, y: 0 };
+    const axes = this.pads[index].axes;
+    const x = stick === 'left' ? axes[0] : axes[2];
+    const y = stick === 'left' ? axes[1] : axes[3];
+    const len = Math.hypot(x, y);
+    if (len < STICK_DEADZONE) return { x: 0, y: 0 };
+    const k = Math.min(1, (len - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / len;
+    return { x: x * k, y: y * k };
   }
 
   isDown(code) {
@@ -122,5 +263,15 @@ export class Input {
   wasReleased(code) {
     return this.keysReleased.has(code);
   }
+  // Any of several codes (an action's bindings).
+  anyDown(codes) {
+    return codes.some((c) => this.keysDown.has(c));
+  }
+  anyPressed(codes) {
+    return codes.some((c) => this.keysPressed.has(c));
+  }
+  anyReleased(codes) {
+    return codes.some((c) => this.keysReleased.has(c));
+  }
 }
 
@@ -0,0 +1,1324 @@
+import * as THREE from 'three';
+import { Player, PLAYER_HEIGHT, PLAYER_RADIUS, STEP_HEIGHT } from './Player.js';
+import {
+  GIFT_WEAPONS,
+  SWITCH_TIME,
+  WEAPON_SLOTS,
+  WeaponState,
+  WeaponType,
+  falloffScale,
+  loadoutForTaskLevel,
+  slotOf,
+  weaponDef,
+  weaponForTaskLevel,
+  zoneMultiplier
+} from './Weapons.js';
+import { Projectile } from './Projectiles.js';
+import { SURFACES } from './World.js';
+import { choice, clamp, dist2, lerp, randRange, yawPitchToDir } from './math.js';
+import { createRng } from './Random.js';
+
+export const WIN_KILLS = 10;
+
+// Fixed-rate simulation: gameplay always advances in SIM_DT steps (independent of display Hz).
+export const SIM_HZ = 60;
+export const SIM_DT = 1 / SIM_HZ;
+export const ELEVATOR_SECONDS = 16;
+
+// Matches have 2..MAX_PLAYERS players, ids 'p1'..'pN' (the slot number is also the player's render layer).
+export const MAX_PLAYERS = 6;
+export const PLAYER_COLORS = [0x63b3ff, 0xff4fd7, 0x37e6a1, 0xffb13b, 0xa77bff, 0xf2ee5c];
+export const playerIdsFor = (count) => Array.from({ length: clamp(count, 2, MAX_PLAYERS) }, (_, i) => `p${i + 1}`);
+
+// Team modes: free-for-all, or two teams with a fixed player count.
+// Odd slots play blue, even slots red (p1, p3, p5 vs p2, p4, p6), so each team starts on its own side of the hall.
+export const TEAM_MODES = {
+  ffa: { label: 'Herkes herkese', players: null },
+  '2v2': { label: '2v2', players: 4 },
+  '3v3': { label: '3v3', players: 6 }
+};
+export const TEAMS = {
+  blue: { label: 'BLUE', color: 0x3f8cff },
+  red: { label: 'RED', color: 0xff4a4a }
+};
+// Damage multiplier for hits on teammates. 'off' also lets shots pass through them.
+export const FRIENDLY_FIRE = { off: 0, reduced: 0.35, full: 1 };
+
+// Top walking speed (m/s) before weapon modifiers; full speed = full movement inaccuracy (more when sprinting).
+const RUN_SPEED = 6.0;
+// Crouch (held): speed scale, how fast you get down / up (full crouch per s) and spread scale crouched on the ground.
+const CROUCH_SPEED = 0.5;
+const CROUCH_RATE = 7;
+const CROUCH_ACCURACY = 0.65;
+// Sprint (held; forward only, not crouched or scoped): speed scale and stamina it burns per s (full bar = 1).
+const SPRINT_SPEED = 1.45;
+const SPRINT_DRAIN = 0.25;
+// Stamina comes back at STAMINA_REGEN per s, STAMINA_DELAY s after the last sprint / jump. A jump costs
+// JUMP_STAMINA and needs that much left; running dry leaves you winded (no sprint) until STAMINA_RECOVER.
+const STAMINA_REGEN = 0.3;
+const STAMINA_DELAY = 0.8;
+const JUMP_STAMINA = 0.15;
+const STAMINA_RECOVER = 0.3;
+// How close (m, on the floor plane) a player has to walk to a medkit / armor vest to take it.
+const PICKUP_RADIUS = 1.3;
+
+// Menu background spots per player slot: [x, z, yaw].
+const MENU_SPOTS = [
+  [-10, 0, Math.PI / 2],
+  [10, 0, -Math.PI / 2],
+  [0, 10, 0],
+  [0, -10, Math.PI],
+  [-10, 10, Math.PI / 2],
+  [10, -10, -Math.PI / 2]
+];
+
+// The white cabin fades away as the doors open so the arena becomes visible.
+const cabinAlpha = (doorOpen01) => clamp(1 - doorOpen01 * 1.15, 0, 1);
+
+// One player's input for one simulation tick.
+// Everything that drives a player (keyboard, mouse, recordings, scripts) is turned into this shape,
+// so the rules below never touch DOM events directly.
+export function emptyIntent() {
+  return {
+    moveX: 0, // -1..1 (right)
+    moveZ: 0, // -1..1 (forward)
+    lookYaw: 0, // radians to add this tick
+    lookPitch: 0,
+    jump: false,
+    crouch: false, // held
+    sprint: false, // held
+    firePressed: false,
+    fireReleased: false,
+    fireDown: false,
+    reload: false,
+    use: false,
+    aim: false, // sniper zoom held on its own button (gamepad LT); fire then shoots on press
+    weaponSlot: 0, // 1..4: take that inventory slot (WEAPON_SLOTS order), 0 = no change
+    weaponNext: false,
+    weaponPrev: false
+  };
+}
+
+// Pure match rules: players, weapons, scores, tasks, pickups, hazards and combat.
+// No renderer, HUD or audio in here — those subscribe as observers (see addObserver) and the
+// whole thing can be stepped headless in Node.
+export class MatchSimulation {
+  constructor({ world, winKills = WIN_KILLS }) {
+    this.world = world;
+    this.winKills = winKills;
+
+    // Per-player maps. They are only ever edited in place (setPlayerCount), so callers may keep references.
+    this.players = {};
+    this.weapons = {};
+    this.scores = {};
+    // Which arcade task each player has open (null = none).
+    this.activeTask = {};
+    // Team per player ('blue' | 'red', null in FFA) and kills per team (see setTeamMode).
+    this.teams = {};
+    this.teamScores = { blue: 0, red: 0 };
+    // Same players as the world has elevators for.
+    this.playerIds = world.playerIds.slice();
+    this.lineup = this.playerIds.slice();
+    for (const id of this.playerIds) this._addPlayer(id);
+    // Grenades / rockets / molotovs in flight (Projectiles.js).
+    this.projectiles = [];
+
+    // IDLE (menu background) -> ELEVATOR -> PLAY -> OVER
+    this.phase = 'IDLE';
+    this.elevator = {
+      t: ELEVATOR_SECONDS,
+      doorOpen01: 0,
+      fightMsgTimer: 0,
+      _lastShownInt: ELEVATOR_SECONDS,
+      doorSfxPlayed: false
+    };
+
+    this.config = {
+      fireDps: 25, // fire block damage per second (0 = visual only)
+      teamMode: 'ffa', // key of TEAM_MODES
+      friendlyFire: 'off' // key of FRIENDLY_FIRE
+    };
+
+    // Match randomness (pellet spread, gift rolls, respawns). Reseeded by startMatch().
+    this.seed = world.seed;
+    this.rng = createRng(`${this.seed}/match`);
+
+    // Online server only: (shooterId, targetId) => restore fn, called for every opponent of the shooter.
+    // Moves the target's hitbox back to where the shooter saw it for the duration of one shot
+    // (lag compensation, see server/duel-server.js).
+    this.lagCompensation = null;
+
+    /** @type {Array<Record<string, Function>>} */
+    this._observers = [];
+
+    this._raycaster = new THREE.Raycaster();
+    this._tmpV = new THREE.Vector3();
+    this._tmpV2 = new THREE.Vector3();
+    this._tmpHitEnd = new THREE.Vector3();
+    this._bulletFrom = new THREE.Vector3();
+    this._exitRay = new THREE.Raycaster();
+    this._exitDir = new THREE.Vector3();
+    this._impactNormal = new THREE.Vector3();
+    this._losFrom = new THREE.Vector3();
+    this._losTo = new THREE.Vector3();
+    this._losDir = new THREE.Vector3();
+  }
+
+  // Observers are plain objects with optional onXxx(payload) methods
+  // (onShot, onTracer, onMelee, onDamage, onKill, onWin, onPhase, ...).
+  addObserver(observer) {
+    this._observers.push(observer);
+    return () => {
+      this._observers = this._observers.filter((o) => o !== observer);
+    };
+  }
+
+  _emit(name, payload = {}) {
+    for (const o of this._observers) o[name]?.(payload);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Players
+
+  // Changes the number of players (2..MAX_PLAYERS) between matches; p1..pN keep their objects.
+  // The world gets matching elevators. Returns true if anything changed.
+  setPlayerCount(count) {
+    const ids = playerIdsFor(count);
+    if (ids.length === this.playerIds.length) return false;
+    for (const id of this.playerIds) if (!ids.includes(id)) this._removePlayer(id);
+    for (const id of ids) if (!this.players[id]) this._addPlayer(id);
+    this.playerIds = ids;
+    this._assignTeams();
+    return true;
+  }
+
+  // Team mode + friendly fire for the next match. The player count is the caller's job
+  // (TEAM_MODES[mode].players, see GameApp / DeviceLobby).
+  // `lineup` orders the players for teams and elevators: even positions play blue, odd ones red
+  // (default p1, p2, p3, ... = odd slots blue; see lineupWithBots in Bots.js for humans vs bots).
+  setTeamMode(mode, friendlyFire = this.config.friendlyFire, lineup = this.playerIds) {
+    this.config.teamMode = mode in TEAM_MODES ? mode : 'ffa';
+    this.config.friendlyFire = friendlyFire in FRIENDLY_FIRE ? friendlyFire : 'off';
+    this.lineup = lineup.slice();
+    this._assignTeams();
+  }
+
+  _assignTeams() {
+    // Players missing from the lineup (count changed since) go at the end.
+    const lineup = this.lineup.filter((id) => this.playerIds.includes(id));
+    for (const id of this.playerIds) if (!lineup.includes(id)) lineup.push(id);
+    this.lineup = lineup;
+    const teamPlay = this.config.teamMode !== 'ffa';
+    lineup.forEach((id, i) => {
+      const team = teamPlay ? (i % 2 === 0 ? 'blue' : 'red') : null;
+      this.teams[id] = team;
+      const slot = Number(id.slice(1)) - 1;
+      this.players[id].setColor(team ? TEAMS[team].color : PLAYER_COLORS[slot % PLAYER_COLORS.length]);
+    });
+    // Elevators follow the lineup, so teammates start on the same end of the hall.
+    this.world.setPlayerIds(lineup);
+  }
+
+  _addPlayer(id) {
+    const slot = Number(id.slice(1)) - 1;
+    const p = new Player({ id, color: PLAYER_COLORS[slot % PLAYER_COLORS.length] });
+    p.addToScene(this.world.scene);
+    this.players[id] = p;
+    this.weapons[id] = new WeaponState();
+    this.scores[id] = 0;
+    this.activeTask[id] = null;
+    this.teams[id] = null;
+  }
+
+  _removePlayer(id) {
+    this.players[id].removeFromScene(this.world.scene);
+    delete this.players[id];
+    delete this.weapons[id];
+    delete this.scores[id];
+    delete this.activeTask[id];
+    delete this.teams[id];
+  }
+
+  teamOf(playerId) {
+    return this.teams[playerId] ?? null;
+  }
+
+  // FFA: everyone else is an enemy.
+  isEnemy(a, b) {
+    const team = this.teamOf(a);
+    return a !== b && (!team || team !== this.teamOf(b));
+  }
+
+  opponentsOf(playerId) {
+    return this.playerIds.filter((id) => this.isEnemy(playerId, id));
+  }
+
+  teammatesOf(playerId) {
+    return this.playerIds.filter((id) => id !== playerId && !this.isEnemy(playerId, id));
+  }
+
+  // Everyone `playerId`'s shots can hit: enemies, plus teammates unless friendly fire is off.
+  _hittableBy(playerId) {
+    return this.config.friendlyFire === 'off' ? this.opponentsOf(playerId) : this.playerIds.filter((id) => id !== playerId);
+  }
+
+  _damageScale(shooterId, targetId) {
+    return this.isEnemy(shooterId, targetId) ? 1 : FRIENDLY_FIRE[this.config.friendlyFire];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Match flow
+
+  resetMatch() {
+    this.phase = 'IDLE';
+    this._clearProjectiles();
+    this.world.clearDrops?.();
+    this.teamScores.blue = 0;
+    this.teamScores.red = 0;
+    for (const id of this.playerIds) {
+      this.scores[id] = 0;
+      // Task progression persists for the whole round (otherwise tasks feel pointless).
+      // If you want "every respawn resets to knife", reset taskLevel on respawn instead.
+      this.players[id].taskLevel = 0;
+      this.players[id].controlsLocked = false;
+      this.activeTask[id] = null;
+      this._resetLoadout(id);
+    }
+
+    // Place players somewhere safe for menu background.
+    this.playerIds.forEach((id, i) => {
+      const [x, z, yaw] = MENU_SPOTS[i % MENU_SPOTS.length];
+      this.players[id].respawnAt(new THREE.Vector3(x, 0, z));
+      this.players[id].setYawPitch(yaw, 0);
+    });
+  }
+
+  // Starts the elevator countdown (or drops straight into PLAY for headless runs).
+  // `seed` defaults to the world seed, so the same seed + same inputs replay the same match.
+  startMatch({ skipElevator = false, seed = this.world.seed } = {}) {
+    this.seed = seed;
+    this.rng = createRng(`${seed}/match`);
+    this._clearProjectiles();
+    this.world.clearDrops?.();
+    const e = this.elevator;
+    e.t = skipElevator ? 0 : ELEVATOR_SECONDS;
+    e.doorOpen01 = skipElevator ? 1 : 0;
+    e.fightMsgTimer = 0;
+    e._lastShownInt = Math.ceil(e.t);
+    e.doorSfxPlayed = skipElevator;
+    for (const id of this.playerIds) {
+      this.world.setElevatorDoorOpen(id, e.doorOpen01);
+      this.world.setElevatorCabinAlpha(id, skipElevator ? 0 : 1);
+      this.world.setElevatorDisplay(id, String(e._lastShownInt));
+    }
+
+    this._spawnInElevator();
+    this._setPhase(skipElevator ? 'PLAY' : 'ELEVATOR');
+  }
+
+  _setPhase(phase) {
+    if (this.phase === phase) return;
+    this.phase = phase;
+    this._emit('onPhase', { phase });
+  }
+
+  _spawnInElevator() {
+    for (const id of this.playerIds) {
+      const e = this.world.elevators[id];
+      this.players[id].respawnAt(new THREE.Vector3(e.anchor.x, 0, e.anchor.z));
+      this.players[id].setYawPitch((e.doorDir * Math.PI) / 2, 0);
+    }
+
+    // Ensure correct weapons for current task progression.
+    for (const id of this.playerIds) this._resetLoadout(id);
+  }
+
+  isLive() {
+    return this.phase === 'ELEVATOR' || this.phase === 'PLAY';
+  }
+
+  // Advance one fixed step. `intents` maps playerId -> intent (missing = idle).
+  tick(dt, intents = {}) {
+    if (!this.isLive()) return;
+
+    if (this.phase === 'ELEVATOR') this._updateElevator(dt);
+
+    for (const id of this.playerIds) {
+      const intent = intents[id] ?? emptyIntent();
+      if (intent.use) this._handleUse(id);
+      this._handleSwitch(id, intent);
+    }
+
+    // Close tasks if a player is dead.
+    for (const id of this.playerIds) {
+      if (this.players[id].dead && this.activeTask[id] != null) this.closeTask(id);
+    }
+
+    this._updatePlayers(dt, intents);
+  }
+
+  _updateElevator(dt) {
+    const e = this.elevator;
+    e.t = Math.max(0, e.t - dt);
+    const shown = Math.ceil(e.t);
+    if (shown !== e._lastShownInt) {
+      e._lastShownInt = shown;
+      for (const id of this.playerIds) this.world.setElevatorDisplay(id, String(shown));
+      this._emit('onElevatorCountdown', { shown });
+    }
+
+    // Door stays closed until 0.
+    if (e.t > 0) return;
+
+    // Animate door open.
+    e.doorOpen01 = Math.min(1, e.doorOpen01 + dt * 1.2);
+    if (!e.doorSfxPlayed) {
+      e.doorSfxPlayed = true;
+      this._emit('onDoorsOpening');
+    }
+    const alpha = cabinAlpha(e.doorOpen01);
+    for (const id of this.playerIds) {
+      this.world.setElevatorDoorOpen(id, e.doorOpen01);
+      this.world.setElevatorCabinAlpha(id, alpha);
+    }
+
+    if (e.fightMsgTimer <= 0) {
+      e.fightMsgTimer = 1.6;
+      this._emit('onFight');
+    }
+    e.fightMsgTimer = Math.max(0, e.fightMsgTimer - dt);
+    if (e.doorOpen01 >= 1 && e.fightMsgTimer <= 0) this._setPhase('PLAY');
+  }
+
+  // Online clients don't run the elevator themselves; they copy the server's timer/doors
+  // (the countdown/door/fight events arrive separately).
+  mirrorElevator(t, doorOpen01) {
+    const e = this.elevator;
+    e.t = t;
+    const shown = Math.ceil(t);
+    if (shown !== e._lastShownInt) {
+      e._lastShownInt = shown;
+      for (const id of this.playerIds) this.world.setElevatorDisplay(id, String(shown));
+    }
+    if (doorOpen01 === e.doorOpen01) return;
+    e.doorOpen01 = doorOpen01;
+    for (const id of this.playerIds) {
+      this.world.setElevatorDoorOpen(id, doorOpen01);
+      this.world.setElevatorCabinAlpha(id, cabinAlpha(doorOpen01));
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Weapons / tasks / pickups
+
+  // Hands `type` (full ammo) to the player, in place of whatever was in its slot.
+  setWeapon(playerId, type) {
+    this.weapons[playerId].give(type);
+    this._equip(playerId, slotOf(type));
+  }
+
+  _equip(playerId, slot) {
+    const w = this.weapons[playerId];
+    if (!w.equip(slot)) return false;
+    this._emit('onWeaponChanged', { playerId, type: w.type });
+    return true;
+  }
+
+  // Fresh task loadout (respawn, new match); anything picked up is gone.
+  _resetLoadout(playerId) {
+    const w = this.weapons[playerId];
+    w.reset(loadoutForTaskLevel(this.players[playerId].taskLevel));
+    this._emit('onWeaponChanged', { playerId, type: w.type });
+  }
+
+  // Picked up / earned: goes in its slot and in hand. A different gun already in that slot drops to the floor.
+  _giveWeapon(playerId, type, ammo) {
+    const w = this.weapons[playerId];
+    const slot = slotOf(type);
+    if (w.slots[slot] && w.slots[slot].type !== type) this._dropWeapon(playerId, this.players[playerId].pos, slot);
+    w.give(type, ammo);
+    this._equip(playerId, slot);
+  }
+
+  // Empties a slot (out of throwables, bottle broke); if it was in hand, switches to `next` or the best one left.
+  _removeWeapon(playerId, slot, next = null) {
+    const w = this.weapons[playerId];
+    w.take(slot);
+    if (w.slot !== slot) return;
+    if (!next || !w.slots[next]) next = w.slots[slot] ? slot : w.bestSlot();
+    this._equip(playerId, next);
+  }
+
+  // Slot keys / cycling. Switching by hand takes SWITCH_TIME before the new weapon can fire.
+  _handleSwitch(playerId, intent) {
+    let slot = null;
+    if (intent.weaponSlot) slot = WEAPON_SLOTS[intent.weaponSlot - 1];
+    else if (intent.weaponNext || intent.weaponPrev) slot = this.weapons[playerId].cycle(intent.weaponNext ? 1 : -1);
+    if (!slot) return;
+    const p = this.players[playerId];
+    const w = this.weapons[playerId];
+    if (p.dead || p.controlsLocked || slot === w.slot) return;
+    if (this._equip(playerId, slot)) w.cooldown = SWITCH_TIME;
+  }
+
+  _handleUse(playerId) {
+    const p = this.players[playerId];
+    const gift = this.nearestGift(p);
+    if (gift) {
+      this._tryOpenGift(playerId);
+      return;
+    }
+    const drop = this.usableDrop(p);
+    if (drop) {
+      this._tryTakeDrop(playerId, drop.id);
+      return;
+    }
+    const bottle = this.nearestBottle(p);
+    if (bottle) {
+      this._tryPickBottle(playerId, bottle.id);
+      return;
+    }
+    if (this.activeTask[playerId] != null) {
+      this.closeTask(playerId);
+      return;
+    }
+    const arcade = this.nearestArcade(p);
+    if (arcade) this.openTask(playerId, arcade.taskIndex);
+  }
+
+  openTask(playerId, taskIndex) {
+    const p = this.players[playerId];
+    if (p.dead) return false;
+    // Task gating: must do Task 1 -> Task 2 -> Task 3.
+    if (taskIndex !== p.taskLevel) return false;
+    p.controlsLocked = true;
+    this.activeTask[playerId] = taskIndex;
+    this._emit('onTaskOpened', { playerId, taskIndex });
+    return true;
+  }
+
+  closeTask(playerId) {
+    if (this.activeTask[playerId] == null) return;
+    this.activeTask[playerId] = null;
+    this.players[playerId].controlsLocked = false;
+    this._emit('onTaskClosed', { playerId });
+  }
+
+  completeTask(playerId, taskIndex) {
+    const p = this.players[playerId];
+    if (taskIndex !== p.taskLevel) return;
+    p.taskLevel = clamp(p.taskLevel + 1, 0, 3);
+    this._giveWeapon(playerId, weaponForTaskLevel(p.taskLevel));
+    this._emit('onTaskComplete', { playerId, taskIndex });
+    this.closeTask(playerId);
+  }
+
+  nearestBottle(player) {
+    let best = null;
+    let bestD2 = Infinity;
+    for (const b of this.world.bottles ?? []) {
+      if (b.picked) continue;
+      const d2 = dist2(player.pos, b.position);
+      if (d2 < bestD2) {
+        bestD2 = d2;
+        best = b;
+      }
+    }
+    if (best && bestD2 <= 2.3 * 2.3) return best;
+    return null;
+  }
+
+  nearestDrop(player) {
+    let best = null;
+    let bestD2 = Infinity;
+    for (const d of this.world.drops ?? []) {
+      const d2 = dist2(player.pos, d.position);
+      if (d2 < bestD2) {
+        bestD2 = d2;
+        best = d;
+      }
+    }
+    if (best && bestD2 <= 2.3 * 2.3) return best;
+    return null;
+  }
+
+  // The drop `use` would pick up. The arcade of the player's next task wins when both are in reach,
+  // otherwise a gun holder would keep swapping with the gun they just put down.
+  usableDrop(player) {
+    const drop = this.nearestDrop(player);
+    if (!drop) return null;
+    if (this.nearestArcade(player)?.taskIndex === player.taskLevel) return null;
+    return drop;
+  }
+
+  nearestGift(player) {
+    // Gift is a world object; World decides if any is near.
+    // We reuse the same distance threshold as bottles.
+    for (const g of this.world.gifts ?? []) {
+      if (g.state !== 'ready') continue;
+      const d2 = dist2(player.pos, g.mesh.position);
+      if (d2 <= 2.4 * 2.4) return g;
+    }
+    return null;
+  }
+
+  nearestArcade(player) {
+    // Only check XZ distance.
+    let best = null;
+    let bestD2 = Infinity;
+    for (const a of this.world.arcades) {
+      const d2 = dist2(player.pos, a.position);
+      if (d2 < bestD2) {
+        bestD2 = d2;
+        best = a;
+      }
+    }
+    // threshold ~ 2.2 units
+    if (best && bestD2 <= 2.2 * 2.2) return best;
+    return null;
+  }
+
+  _tryOpenGift(playerId) {
+    const p = this.players[playerId];
+    if (p.dead || p.controlsLocked) return;
+    const ok = this.world.openGiftNear?.(p.pos);
+    if (!ok) return;
+
+    // Random weapon, all gift weapons equally likely.
+    this._giveWeapon(playerId, choice(GIFT_WEAPONS, this.rng));
+  }
+
+  _tryPickBottle(playerId, bottleId) {
+    const p = this.players[playerId];
+    if (p.dead) return;
+    if (p.controlsLocked) return;
+    if (this.weapons[playerId].has(WeaponType.BOTTLE)) return;
+
+    const ok = this.world.pickBottle?.(bottleId);
+    if (!ok) return;
+
+    this._emit('onBottlePicked', { playerId, bottleId });
+    this._giveWeapon(playerId, WeaponType.BOTTLE);
+  }
+
+  // Picking up a dropped weapon swaps it with the one in the same slot (which goes on the floor in its place).
+  _tryTakeDrop(playerId, dropId) {
+    const p = this.players[playerId];
+    if (p.dead || p.controlsLocked) return;
+    const drop = this.world.takeDrop(dropId);
+    if (!drop) return;
+
+    this._dropWeapon(playerId, drop.position, slotOf(drop.type));
+    this._giveWeapon(playerId, drop.type, drop);
+    this._emit('onDropTaken', { playerId, dropId, type: drop.type });
+  }
+
+  // Puts the weapon in `slot` on the floor at `pos` with the ammo left in it and empties the slot
+  // (melee weapons and empty guns stay). Doesn't pick another weapon for the hand.
+  _dropWeapon(playerId, pos, slot = this.weapons[playerId].slot) {
+    const w = this.weapons[playerId];
+    const entry = w.slots[slot];
+    if (!entry || weaponDef(entry.type).melee || entry.mag + entry.reserve <= 0) return;
+    const { type, mag, reserve } = w.take(slot);
+    const drop = this.world.spawnDrop(type, pos, { mag, reserve });
+    this._emit('onWeaponDropped', { dropId: drop.id, type, pos: drop.position.clone(), mag, reserve });
+  }
+
+  // Walking over a medkit / armor vest / ammo box takes it, but only when it would actually help.
+  _updatePickups() {
+    const pickups = this.world.pickups;
+    if (!pickups?.length) return;
+    for (const id of this.playerIds) {
+      const p = this.players[id];
+      if (p.dead) continue;
+      for (const pk of pickups) {
+        if (Math.hypot(p.pos.x - pk.position.x, p.pos.z - pk.position.z) > PICKUP_RADIUS) continue;
+        if (Math.abs(p.pos.y - pk.position.y) > STEP_HEIGHT) continue;
+        if (!this.pickupHelps(id, pk)) continue;
+        if (!this.world.takePickup(pk.id)) continue;
+        this._applyPickup(id, pk);
+        this._emit('onPickup', { playerId: id, pickupId: pk.id, kind: pk.kind });
+      }
+    }
+  }
+
+  // A pickup is there and would do the player some good (hp missing for a medkit, room for armor / ammo).
+  pickupHelps(playerId, pk) {
+    if (pk.taken) return false;
+    const p = this.players[playerId];
+    if (pk.kind === 'medkit') return p.hp < p.maxHp;
+    if (pk.kind === 'armor') return p.armor < p.maxArmor;
+    // Ammo: guns only (not melee, not throwables), and only if the reserve isn't full.
+    const w = this.weapons[playerId];
+    return !w.def.melee && !w.def.consumable && w.reserve < (w.def.reserve ?? 0);
+  }
+
+  _applyPickup(playerId, pk) {
+    const p = this.players[playerId];
+    if (pk.kind === 'medkit') p.heal(pk.amount);
+    else if (pk.kind === 'armor') p.addArmor(pk.amount);
+    else {
+      const w = this.weapons[playerId];
+      w.reserve = Math.min(w.def.reserve, w.reserve + Math.ceil(w.def.reserve * pk.amount));
+    }
+  }
+
+  // Back to the knife, and to whatever was in hand before the bottle.
+  _breakBottle(shooterId) {
+    this._removeWeapon(shooterId, 'melee', this.weapons[shooterId].prevSlot);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Per-tick player update
+
+  _updatePlayers(dt, intents) {
+    // Reduce timers.
+    for (const id of this.playerIds) {
+      const p = this.players[id];
+      if (p.invulnTimer > 0) p.invulnTimer = Math.max(0, p.invulnTimer - dt);
+      if (p.dead) p.deathTimer = Math.max(0, p.deathTimer - dt);
+    }
+
+    // Respawns.
+    for (const id of this.playerIds) this._maybeRespawn(id);
+
+    // Weapon updates (cooldown/reload/zoom).
+    for (const id of this.playerIds) this.weapons[id].update(dt);
+
+    for (const id of this.playerIds) {
+      const intent = intents[id] ?? emptyIntent();
+      this._updateLook(id, intent);
+      this._updateMovement(id, intent, dt);
+    }
+    this._updatePickups();
+
+    // Fire hazards (from exploded barrels).
+    this._updateHazards(dt);
+    this._updateProjectiles(dt);
+
+    // Combat.
+    for (const id of this.playerIds) {
+      const intent = intents[id];
+      if (intent?.reload) this._tryReload(id);
+    }
+    for (const id of this.playerIds) this._processFire(id, intents[id] ?? emptyIntent());
+
+    // Guns of players who died this tick fall where they lay; the rest of the inventory is lost.
+    for (const id of this.playerIds) {
+      const p = this.players[id];
+      if (!p.dead || this.weapons[id].def.melee) continue;
+      this._dropWeapon(id, p.pos);
+      this.weapons[id].reset([]);
+    }
+
+    // Timers + hitbox sync.
+    for (const id of this.playerIds) this.players[id].updateVisual(dt);
+  }
+
+  // Look + movement only, for one player (online client-side prediction replays inputs through this).
+  stepPlayerMovement(playerId, intent, dt) {
+    this._updateLook(playerId, intent);
+    this._updateMovement(playerId, intent, dt);
+  }
+
+  _updateLook(playerId, intent) {
+    const p = this.players[playerId];
+    if (p.dead) return;
+    p.yaw += intent.lookYaw;
+    p.pitch = clamp(p.pitch + intent.lookPitch, -1.35, 1.35);
+  }
+
+  _updateMovement(playerId, intent, dt) {
+    const p = this.players[playerId];
+    if (p.dead) return;
+
+    const w = this.weapons[playerId];
+    const zoomed = w.def.zoom && w.sniperZoom01 > 0.2;
+
+    // Digital input arrives as -1/0/1 per axis; normalize diagonals but keep analog magnitudes.
+    const moveX = clamp(intent.moveX, -1, 1);
+    const moveZ = clamp(intent.moveZ, -1, 1);
+    const len = Math.hypot(moveX, moveZ);
+    const mx = len > 1 ? moveX / len : moveX;
+    const mz = len > 1 ? moveZ / len : moveZ;
+
+    // Sprint + stamina. Runs before the task lock so the meter keeps recovering while movement is frozen.
+    if (p.winded && p.stamina >= STAMINA_RECOVER) p.winded = false;
+    p.sprinting = !p.controlsLocked && !!intent.sprint && mz > 0.3 && p.crouch01 < 0.5 && !zoomed && !p.winded;
+    if (p.sprinting) {
+      p.stamina = Math.max(0, p.stamina - SPRINT_DRAIN * dt);
+      p.staminaDelay = STAMINA_DELAY;
+      if (p.stamina === 0) p.winded = true;
+    } else if (p.staminaDelay > 0) {
+      p.staminaDelay -= dt;
+    } else {
+      p.stamina = Math.min(p.maxStamina, p.stamina + STAMINA_REGEN * dt);
+    }
+
+    if (p.controlsLocked) return; // tasks freeze movement (but player can still be killed)
+
+    // Crouch; getting back up needs headroom.
+    const down = intent.crouch || (p.crouch01 > 0 && !this._canStand(p));
+    p.crouch01 = clamp(p.crouch01 + (down ? 1 : -1) * CROUCH_RATE * dt, 0, 1);
+
+    // Crouch / sprint scale the push as well as the cap (walking tops out on the damping, not RUN_SPEED).
+    const stance = lerp(1, CROUCH_SPEED, p.crouch01) * (p.sprinting ? SPRINT_SPEED : 1);
+    let speed = RUN_SPEED * stance;
+    if (w.has(WeaponType.BOTTLE)) speed *= 1.15;
+    if (zoomed) speed *= w.def.zoom.moveScale;
+
+    // Convert local movement to world using yaw.
+    const sy = Math.sin(p.yaw);
+    const cy = Math.cos(p.yaw);
+    // Three.js camera forward at yaw=0 is -Z.
+    const forwardX = -sy;
+    const forwardZ = -cy;
+    const rightX = cy;
+    const rightZ = -sy;
+    const dirX = rightX * mx + forwardX * mz;
+    const dirZ = rightZ * mx + forwardZ * mz;
+
+    // Simple acceleration.
+    const accel = 24 * stance;
+    p.vel.x += dirX * accel * dt;
+    p.vel.z += dirZ * accel * dt;
+
+    // Damping.
+    const damp = Math.exp(-10 * dt);
+    p.vel.x *= damp;
+    p.vel.z *= damp;
+
+    // Clamp max speed.
+    const flatSpeed = Math.hypot(p.vel.x, p.vel.z);
+    if (flatSpeed > speed) {
+      const s = speed / flatSpeed;
+      p.vel.x *= s;
+      p.vel.z *= s;
+    }
+
+    // Gravity.
+    p.vel.y -= 18 * dt;
+
+    // Jump.
+    if (intent.jump && p.onGround && p.stamina >= JUMP_STAMINA) {
+      p.vel.y = 7.5;
+      p.onGround = false;
+      p.stamina -= JUMP_STAMINA;
+      p.staminaDelay = STAMINA_DELAY;
+    }
+
+    // Integrate.
+    const wasGrounded = p.onGround;
+    p.pos.x += p.vel.x * dt;
+    p.pos.y += p.vel.y * dt;
+    p.pos.z += p.vel.z * dt;
+
+    // Land / step / bump into the world.
+    this._resolveWorldCollisions(p, wasGrounded, dt);
+  }
+
+  // Nothing overhead between a crouching player's head and full standing height.
+  _canStand(p) {
+    const r = PLAYER_RADIUS;
+    const head = p.pos.y + p.height;
+    const top = p.pos.y + PLAYER_HEIGHT;
+    return !this.world.colliders.some(
+      ({ box: b, disabled }) =>
+        !disabled &&
+        b.min.y > head - 0.05 &&
+        b.min.y < top &&
+        p.pos.x + r > b.min.x &&
+        p.pos.x - r < b.max.x &&
+        p.pos.z + r > b.min.z &&
+        p.pos.z - r < b.max.z
+    );
+  }
+
+  // Vertical first: stand on the highest surface under the feet (floor, prop top, deck, ramp slope). Walking
+  // steps up ledges to STEP_HEIGHT and follows the ground down as far, falling lands on anything the feet
+  // passed this tick. Then whatever is still in the way: bump the head on a ceiling, or get pushed out in XZ.
+  _resolveWorldCollisions(p, wasGrounded, dt) {
+    const r = PLAYER_RADIUS;
+    const world = this.world;
+    const colliders = world.colliders;
+    const overlapsXZ = (b) => p.pos.x + r > b.min.x && p.pos.x - r < b.max.x && p.pos.z + r > b.min.z && p.pos.z - r < b.max.z;
+
+    const reachUp = p.vel.y > 0 ? 0 : wasGrounded ? STEP_HEIGHT : -p.vel.y * dt + 0.01;
+    let ground = 0;
+    for (const c of colliders) {
+      if (c.disabled || !overlapsXZ(c.box)) continue;
+      const top = world.surfaceTop(c, p.pos.x, p.pos.z);
+      if (top <= p.pos.y + reachUp && top > ground) ground = top;
+    }
+    const snapDown = wasGrounded && p.vel.y <= 0 ? STEP_HEIGHT : 0;
+    if (p.pos.y <= ground + snapDown && p.vel.y <= 0) {
+      p.pos.y = ground;
+      p.vel.y = 0;
+      p.onGround = true;
+    } else {
+      p.onGround = false;
+    }
+
+    const h = p.height;
+    for (const c of colliders) {
+      if (c.disabled) continue;
+      const b = c.box;
+      if (!overlapsXZ(b)) continue;
+      // Under our feet (what we stand on) or above our head.
+      if (world.surfaceTop(c, p.pos.x, p.pos.z) <= p.pos.y + 0.01 || b.min.y >= p.pos.y + h) continue;
+
+      // Jumped into the underside of something.
+      if (p.vel.y > 0 && b.min.y > p.pos.y + STEP_HEIGHT) {
+        p.pos.y = b.min.y - h;
+        p.vel.y = 0;
+        continue;
+      }
+
+      // Compute overlap in X and Z and push out along the smaller axis.
+      const boxCx = (b.min.x + b.max.x) * 0.5;
+      const boxCz = (b.min.z + b.max.z) * 0.5;
+      const overlapX = Math.min(p.pos.x + r - b.min.x, b.max.x - (p.pos.x - r));
+      const overlapZ = Math.min(p.pos.z + r - b.min.z, b.max.z - (p.pos.z - r));
+
+      if (overlapX < overlapZ) {
+        const dir = p.pos.x < boxCx ? -1 : 1;
+        p.pos.x += dir * overlapX;
+        p.vel.x = 0;
+      } else {
+        const dir = p.pos.z < boxCz ? -1 : 1;
+        p.pos.z += dir * overlapZ;
+        p.vel.z = 0;
+      }
+    }
+  }
+
+  _updateHazards(dt) {
+    // Update hazard visuals/lifetimes.
+    this.world.update(dt);
+
+    // Damage while touching a fire block (config.fireDps, 0 for visual-only lava).
+    const dps = this.config.fireDps;
+    const fires = this.world.fireBlocks;
+    for (const id of this.playerIds) {
+      const p = this.players[id];
+      if (p.dead) continue;
+      // Simple AABB overlap against fire boxes using player radius.
+      for (const f of fires) {
+        const b = f.box;
+        const px = p.pos.x;
+        const pz = p.pos.z;
+        const withinX = px >= b.min.x - PLAYER_RADIUS && px <= b.max.x + PLAYER_RADIUS;
+        const withinZ = pz >= b.min.z - PLAYER_RADIUS && pz <= b.max.z + PLAYER_RADIUS;
+        // Only a body reaching the fire's height burns: not someone on a deck above it, nor under a deck fire.
+        if (withinX && withinZ && p.pos.y <= b.max.y && p.pos.y + p.height >= b.min.y) {
+          p.takeDamage(dps * dt);
+        }
+      }
+    }
+  }
+
+  _maybeRespawn(deadId) {
+    const p = this.players[deadId];
+    if (!p.dead) return;
+    if (p.deathTimer > 0) return;
+
+    const spawn = this._pickSpawn(
+      this.opponentsOf(deadId).map((id) => this.players[id]),
+      this.teammatesOf(deadId).map((id) => this.players[id])
+    );
+    p.respawnAt(spawn);
+    p.setYawPitch(randRange(-Math.PI, Math.PI, this.rng), 0);
+
+    // Re-equip based on tasks completed (a bottle doesn't survive death either).
+    this._resetLoadout(deadId);
+  }
+
+  _pickSpawn(enemies, allies = []) {
+    // Among a random subset of spawn points: far from the nearest enemy, and (team modes)
+    // not too far from the nearest living teammate.
+    const pts = this.world.spawnPoints;
+    const liveAllies = allies.filter((a) => !a.dead);
+    let best = pts[0];
+    let bestScore = -Infinity;
+    for (let i = 0; i < 8; i++) {
+      const p = choice(pts, this.rng);
+      let score = Math.sqrt(Math.min(...enemies.map((e) => dist2(p, e.pos))));
+      if (liveAllies.length) score -= 0.5 * Math.sqrt(Math.min(...liveAllies.map((a) => dist2(p, a.pos))));
+      if (score > bestScore) {
+        bestScore = score;
+        best = p;
+      }
+    }
+    return new THREE.Vector3(best.x, 0, best.z);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Combat
+
+  _tryReload(playerId) {
+    const p = this.players[playerId];
+    if (p.controlsLocked || p.dead) return;
+    if (this.weapons[playerId].startReload()) this._emit('onReload', { playerId });
+  }
+
+  _processFire(shooterId, intent) {
+    const shooter = this.players[shooterId];
+    if (shooter.dead) return;
+    if (shooter.controlsLocked) return; // tasks: stand still; still killable.
+
+    const restores = this.lagCompensation ? this._hittableBy(shooterId).map((id) => this.lagCompensation(shooterId, id)) : [];
+    this._fireWeapon(shooterId, intent);
+    for (const restore of restores) restore?.();
+  }
+
+  // Trigger handling per fire mode (see WEAPONS in Weapons.js).
+  _fireWeapon(shooterId, { firePressed: pressed, fireReleased: released, fireDown: down, aim }) {
+    const w = this.weapons[shooterId];
+    const def = w.def;
+
+    switch (def.fireMode) {
+      // Hold to zoom, release to fire.
+      // With a separate aim button (pad LT) it's the usual scheme instead: hold aim, press fire.
+      case 'release':
+        if (aim) {
+          w.sniperAiming = true;
+          w.aimHeld = true;
+          if (pressed) this._attack(shooterId);
+          return;
+        }
+        if (w.aimHeld) {
+          w.aimHeld = false;
+          if (!down) w.sniperAiming = false;
+        }
+        if (pressed) w.sniperAiming = true;
+        if (released && w.sniperAiming) {
+          w.sniperAiming = false;
+          this._attack(shooterId);
+        }
+        return;
+      // Full auto while held.
+      case 'auto':
+        if (down) this._attack(shooterId);
+        return;
+      // A press starts the burst, the rest of it fires by itself.
+      case 'burst':
+        if (pressed && w.burstLeft === 0 && w.canShoot()) w.burstLeft = def.burst ?? 3;
+        if (w.burstLeft > 0) this._attack(shooterId);
+        return;
+      // 'semi': one attack per press.
+      default:
+        if (pressed) this._attack(shooterId);
+    }
+  }
+
+  _attack(shooterId) {
+    const def = this.weapons[shooterId].def;
+    if (def.melee) this._meleeAttack(shooterId);
+    else if (def.projectile) this._launch(shooterId);
+    else this._shoot(shooterId);
+  }
+
+  // Nearest hit among world blockers and every live opponent of the shooter.
+  _raycastFrom(shooterId, origin, dir, far) {
+    this._raycaster.set(origin, dir);
+    this._raycaster.far = far;
+    const rayTargets = [...this.world.raycastMeshes];
+    for (const id of this._hittableBy(shooterId)) {
+      if (!this.players[id].dead) rayTargets.unshift(this.players[id].hitbox);
+    }
+    return this._raycaster.intersectObjects(rayTargets, true)[0] ?? null;
+  }
+
+  // Hitscan ray that carries on through penetrable props (SURFACES) while the weapon's penetration lasts.
+  // Every surface it touches (floor included) gets an impact, penetrated ones on both sides. Returns the hit
+  // it finally stopped at (player, barrel, solid surface, floor or null) and the share of the damage that made it there.
+  _traceBullet(shooterId, origin, dir, def) {
+    const from = this._bulletFrom.copy(origin);
+    let power = def.penetration ?? 0;
+    let scale = 1;
+    for (;;) {
+      const far = def.range - origin.distanceTo(from);
+      if (far <= 0) return { hit: null, scale };
+      const floor = this._floorHit(from, dir, far);
+      const hit = this._raycastFrom(shooterId, from, dir, floor?.distance ?? far) ?? floor;
+      if (!hit || this._hitPlayerId(hit)) return { hit, scale };
+      const surface = hit.object ? hit.object.userData.surface : 'floor';
+      this._impact(hit, surface);
+      const mat = power ? SURFACES[surface] : null;
+      const depth = mat ? power / mat.density : 0;
+      if (!(depth > 0)) return { hit, scale };
+
+      // Look back from as deep as the round could get: if that lands on the same prop, it came out there.
+      const ray = this._exitRay;
+      ray.set(from.copy(hit.point).addScaledVector(dir, depth), this._exitDir.copy(dir).negate());
+      ray.far = depth;
+      const exit = ray.intersectObject(hit.object, false)[0];
+      if (!exit) return { hit, scale };
+      this._impact(exit, surface);
+      power -= (depth - exit.distance) * mat.density;
+      scale *= mat.keep;
+      from.copy(exit.point).addScaledVector(dir, 0.01);
+    }
+  }
+
+  // Where a ray meets the floor (y = 0) within `far` m, shaped like a raycast hit (no object).
+  _floorHit(from, dir, far) {
+    if (dir.y >= 0) return null;
+    const distance = -from.y / dir.y;
+    return distance <= far ? { point: from.clone().addScaledVector(dir, distance), distance, object: null, face: null } : null;
+  }
+
+  // Bullet hole + sparks / dust where a round hit a surface (World.spawnImpact).
+  _impact(hit, surface) {
+    const normal = this._impactNormal;
+    if (hit.face) normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+    else normal.set(0, 1, 0);
+    this.world.spawnImpact(hit.point, normal, surface);
+    this._emit('onImpact', { pos: hit.point.clone(), normal: normal.clone(), surface });
+  }
+
+  // True if no world geometry blocks the line between two players' eyes (bots, see Bots.js).
+  lineOfSight(fromId, toId) {
+    const from = this.players[fromId].getEyePosition(this._losFrom);
+    const to = this.players[toId].getEyePosition(this._losTo);
+    return !this.sightHit(from, to);
+  }
+
+  // First world hit (raycast intersection) on the segment from -> to, or null when it is clear.
+  sightHit(from, to) {
+    const dir = this._losDir.subVectors(to, from);
+    const dist = dir.length();
+    if (dist < 1e-3) return null;
+    this._raycaster.set(from, dir.divideScalar(dist));
+    this._raycaster.far = dist;
+    return this._raycaster.intersectObjects(this.world.raycastMeshes, true)[0] ?? null;
+  }
+
+  // Id of the player a raycast hit landed on (null for world hits / misses).
+  _hitPlayerId(hit) {
+    return hit?.object?.userData?.isPlayerHitbox ? hit.object.userData.playerId : null;
+  }
+
+  // Applies damage (scaled down for teammates, see FRIENDLY_FIRE) + emits feedback. Returns true if the target died.
+  // `zone` is the hit zone the damage already includes (headshot feedback).
+  _applyDamage(shooterId, targetId, dmg, point, { blood = 10, zone = null } = {}) {
+    const target = this.players[targetId];
+    dmg *= this._damageScale(shooterId, targetId);
+    if (!target.dead && target.invulnTimer <= 0) {
+      target.flashRed(1.0);
+      this._emit('onDamage', {
+        attackerId: shooterId,
+        targetId,
+        amount: dmg,
+        point: point.clone(),
+        textPos: target.getEyePosition(new THREE.Vector3()).add(new THREE.Vector3(0, 0.18, 0)),
+        blood,
+        headshot: zone === 'head'
+      });
+    }
+    return target.takeDamage(dmg);
+  }
+
+  // Hitscan shot: `pellets` rays (jittered by `spread`) out to `range`. Every player hit takes one damage
+  // roll at their first pellet's hit point / zone; a pellet that hits a barrel sets it off instead.
+  _shoot(shooterId) {
+    const shooter = this.players[shooterId];
+    const w = this.weapons[shooterId];
+    const def = w.def;
+    if (!w.canShoot()) {
+      // Auto-reload hint: if empty and have reserve, start reload.
+      if (w.mag === 0) w.startReload();
+      return;
+    }
+
+    const origin = shooter.getEyePosition(this._tmpV);
+    const aimDir = this._inaccurateAim(shooterId, this._tmpV2);
+    const end = this._tmpHitEnd;
+
+    // Visual: muzzle flash + a tracer per pellet.
+    this._emit('onShot', { shooterId, weaponType: w.type });
+
+    const hits = new Map();
+    for (let i = 0; i < (def.pellets ?? 1); i++) {
+      const dir = def.spread ? this._spreadDir(aimDir, def.spread) : aimDir;
+      const { hit, scale } = this._traceBullet(shooterId, origin, dir, def);
+      if (hit) end.copy(hit.point);
+      else end.copy(origin).addScaledVector(dir, def.range);
+      this._emit('onTracer', { shooterId, weaponType: w.type, origin, end });
+
+      // Laser: small explosion visual + 2 lava blocks where it lands.
+      if (def.blast) {
+        this.world.spawnLaserBlast(end.x, end.z);
+        this._emit('onLaserBlast', { pos: end.clone() });
+      }
+
+      const targetId = this._hitPlayerId(hit);
+      if (hit?.object?.userData?.isBarrel) this._explodeBarrel(hit.object.userData.barrelId);
+      else if (targetId && !hits.has(targetId)) hits.set(targetId, { point: hit.point.clone(), zone: hit.object.userData.zone, dist: origin.distanceTo(hit.point), scale });
+    }
+
+    for (const [targetId, { point, zone, dist, scale }] of hits) {
+      const target = this.players[targetId];
+      if (target.dead || target.invulnTimer > 0) continue;
+      const dmg = def.damage * zoneMultiplier(w.type, zone) * falloffScale(w.type, dist) * scale;
+      const died = this._applyDamage(shooterId, targetId, dmg, point, { blood: def.blood ?? 10, zone });
+      // Blast splash on top of a direct hit.
+      if (def.blast && !died) target.takeDamage(def.blast.splash * this._damageScale(shooterId, targetId));
+      if (died) this._onKill(shooterId, targetId, { headshot: zone === 'head' });
+    }
+
+    w.consumeShot();
+  }
+
+  // Current spread cone half-angle (rad) of a player's weapon: base (tighter when zoomed) + sustained fire
+  // bloom + movement + airborne (WEAPONS[type].accuracy). Also drives the HUD crosshair.
+  spreadOf(playerId) {
+    const p = this.players[playerId];
+    const w = this.weapons[playerId];
+    const acc = w.def.accuracy;
+    if (!acc) return 0;
+    const base = acc.zoomBase === undefined ? acc.base : lerp(acc.base, acc.zoomBase, w.sniperZoom01);
+    const moving = clamp(Math.hypot(p.vel.x, p.vel.z) / RUN_SPEED, 0, SPRINT_SPEED);
+    const crouch = p.onGround ? lerp(1, CROUCH_ACCURACY, p.crouch01) : 1;
+    return (base + w.bloom) * crouch + acc.move * moving + (p.onGround ? 0 : acc.air);
+  }
+
+  // Aim direction knocked off by a random angle inside the spread cone (uniform over the disc),
+  // `lift` rad above the crosshair (lobbed throws).
+  _inaccurateAim(shooterId, out, lift = 0) {
+    const p = this.players[shooterId];
+    const cone = this.spreadOf(shooterId);
+    if (cone <= 0) return yawPitchToDir(p.yaw, p.pitch + lift, out);
+    const a = this.rng() * Math.PI * 2;
+    const r = cone * Math.sqrt(this.rng());
+    return yawPitchToDir(p.yaw + Math.cos(a) * r, p.pitch + lift + Math.sin(a) * r, out);
+  }
+
+  _spreadDir(aimDir, [spreadXZ, spreadY]) {
+    const dir = aimDir.clone();
+    dir.x += randRange(-spreadXZ, spreadXZ, this.rng);
+    dir.y += randRange(-spreadY, spreadY, this.rng);
+    dir.z += randRange(-spreadXZ, spreadXZ, this.rng);
+    return dir.normalize();
+  }
+
+  // Knife / bottle: a short ray in front of the eyes. Barrels go up, a breakable weapon (bottle) is gone after a hit.
+  _meleeAttack(shooterId) {
+    const shooter = this.players[shooterId];
+    const w = this.weapons[shooterId];
+    const def = w.def;
+    if (!w.canShoot()) return;
+
+    const origin = shooter.getEyePosition(this._tmpV);
+    const dir = shooter.getAimDir(this._tmpV2);
+    const hit = this._raycastFrom(shooterId, origin, dir, def.range);
+    const targetId = this._hitPlayerId(hit);
+    const weaponType = w.type;
+
+    if (hit?.object?.userData?.isBarrel) {
+      this._emit('onMelee', { shooterId, weaponType, hit: true });
+      this._explodeBarrel(hit.object.userData.barrelId);
+    } else if (targetId) {
+      this._emit('onMelee', { shooterId, weaponType, hit: true });
+      const died = this._applyDamage(shooterId, targetId, def.damage, hit.point, { blood: def.blood ?? 10 });
+      if (def.breaks) {
+        this._emit('onBottleBroken', { playerId: shooterId });
+        this._breakBottle(shooterId);
+      }
+      if (died) this._onKill(shooterId, targetId);
+    } else {
+      this._emit('onMelee', { shooterId, weaponType, hit: false });
+    }
+    w.consumeShot();
+  }
+
+  // Throws / fires the weapon's projectile from the eyes (a little above the aim for a lob).
+  _launch(shooterId) {
+    const shooter = this.players[shooterId];
+    const w = this.weapons[shooterId];
+    const def = w.def;
+    if (!w.canShoot()) {
+      if (w.mag === 0) w.startReload();
+      return;
+    }
+
+    const dir = this._inaccurateAim(shooterId, this._tmpV2, def.projectile.lob ?? 0);
+    const origin = shooter.getEyePosition(this._tmpV).addScaledVector(dir, 0.4);
+    this.projectiles.push(new Projectile({ ownerId: shooterId, type: w.type, def: def.projectile, origin, dir, root: this.world.root }));
+    this._emit('onShot', { shooterId, weaponType: w.type });
+
+    w.consumeShot();
+    if (w.mag > 0) return;
+    // Throwables: pull out the next one, or go back to the normal weapon after the last.
+    if (w.reserve > 0) w.startReload();
+    else if (def.consumable) this._removeWeapon(shooterId, w.slot);
+  }
+
+  _clearProjectiles() {
+    for (const p of this.projectiles) p.dispose();
+    this.projectiles = [];
+  }
+
+  _updateProjectiles(dt) {
+    if (!this.projectiles.length) return;
+    for (const p of this.projectiles) {
+      const hit = p.step(dt, (origin, dir, far) => this._raycastFrom(p.ownerId, origin, dir, far));
+      if (hit || p.age >= p.def.fuse) this._detonate(p);
+    }
+    this.projectiles = this.projectiles.filter((p) => !p.done);
+  }
+
+  // Area damage around the projectile, falling off linearly to `minScale` at the edge of the blast.
+  // Walls shield players; barrels inside the blast go up too. The owner's own blast doesn't hurt them.
+  _detonate(p) {
+    p.done = true;
+    p.dispose();
+    const def = p.def;
+    const pos = p.pos;
+    const weapon = weaponDef(p.type);
+    this.world.spawnBlastFx(pos, def.blast);
+    // The burn zone starts from the surface the bottle broke on (pos is `radius` off it).
+    const fire = def.fire ? { ...def.fire, y: pos.y - def.radius } : null;
+    if (fire) this.world.spawnFirePatch(pos.x, pos.z, fire);
+    this._emit('onExplosion', { ownerId: p.ownerId, weaponType: p.type, pos: pos.clone(), radius: def.blast, fire });
+
+    const chest = this._tmpHitEnd;
+    for (const id of this._hittableBy(p.ownerId)) {
+      const target = this.players[id];
+      if (target.dead || target.invulnTimer > 0) continue;
+      chest.set(target.pos.x, target.pos.y + 1.1, target.pos.z);
+      const dist = pos.distanceTo(chest);
+      if (dist > def.blast || this.sightHit(pos, chest)) continue;
+      // Splash by distance to the blast, range falloff by how far the projectile flew.
+      const dmg = weapon.damage * lerp(1, def.minScale, dist / def.blast) * falloffScale(p.type, p.origin.distanceTo(pos));
+      if (this._applyDamage(p.ownerId, id, dmg, chest, { blood: weapon.blood ?? 10 })) this._onKill(p.ownerId, id);
+    }
+    for (const b of this.world.barrels) {
+      if (!b.exploded && b.mesh.position.distanceTo(pos) <= def.blast) this._explodeBarrel(b.id);
+    }
+  }
+
+  _explodeBarrel(barrelId) {
+    const pos = this.world.explodeBarrel(barrelId);
+    if (pos) this._emit('onBarrelExploded', { barrelId, pos });
+    return pos;
+  }
+
+  // Kills count for the killer and their team; teamkills count for nobody.
+  // FFA is won by the first player, team modes by the first team to reach winKills.
+  _onKill(killerId, victimId, { headshot = false } = {}) {
+    const team = this.teamOf(killerId);
+    const teamKill = !this.isEnemy(killerId, victimId);
+    if (!teamKill) {
+      this.scores[killerId] += 1;
+      if (team) this.teamScores[team] += 1;
+    }
+    this._emit('onKill', { killerId, victimId, teamKill, headshot });
+    const score = team ? this.teamScores[team] : this.scores[killerId];
+    if (!teamKill && score >= this.winKills && this.phase !== 'OVER') {
+      this._setPhase('OVER');
+      for (const id of this.playerIds) this.closeTask(id);
+      this._emit('onWin', { winnerId: killerId, team });
+    }
+  }
+}
@@ -0,0 +1,453 @@
+import * as THREE from 'three';
+import { PLAYER_HEIGHT, PLAYER_RADIUS, STEP_HEIGHT } from './Player.js';
+import { clamp } from './math.js';
+
+const SQRT2 = Math.SQRT2;
+// 8 neighbours: [dx, dz, cost]. Diagonals only when both side cells are free (no corner cutting).
+const NEIGHBOURS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, SQRT2],
+  [1, -1, SQRT2],
+  [-1, 1, SQRT2],
+  [-1, -1, SQRT2]
+];
+// Same layer first, then across (floor <-> deck layer).
+const SWAPS = [false, true];
+
+// Level geometry a bot walks on (World._addMezzanines). Props stay obstacles: bots don't jump.
+const DECK_TAGS = ['platform', 'ramp'];
+
+// Walkable grid over the hall, baked from world.colliders, in two layers over the same cells: the floor
+// and the top of the decks / ramps (so the floor under a mezzanine and the mezzanine itself are separate
+// nodes). A node is index `layer * cells + cell`. A cell is blocked when its center is within PLAYER_RADIUS
+// of a collider that gets in the way at that height (more than STEP_HEIGHT up, not overhead), so a path
+// through free nodes is one a player body fits through. Neighbouring nodes connect when their heights are
+// within a step, which is how the low end of a ramp joins the floor. Elevator doors are ignored: they are
+// open for the whole fight.
+//
+// World bakes it after build() and re-bakes the cells under a barrel when it explodes (World.findPath etc.).
+export class NavGrid {
+  constructor({ world, cellSize = 0.5, agentRadius = PLAYER_RADIUS }) {
+    this.world = world;
+    this.cellSize = cellSize;
+    this.agentRadius = agentRadius;
+    this.cols = 0;
+    this.rows = 0;
+    this.minX = 0;
+    this.minZ = 0;
+    // Cells per layer.
+    this.cells = 0;
+    /** @type {Uint8Array} per node, 1 = blocked (deck layer: also where there is no deck) */
+    this.blocked = new Uint8Array(0);
+    /** @type {Float32Array} per node, height of what you stand on */
+    this.height = new Float32Array(0);
+    /** @type {Int32Array} connected area per free node (-1 = blocked); the hall floor is mainRegion */
+    this.region = new Int32Array(0);
+    this.mainRegion = -1;
+    /** @type {number[]} cells with a floor <-> deck link (A* heuristic) */
+    this.portals = [];
+
+    // A* scratch, reused between searches (a search stamp instead of clearing the arrays).
+    this._g = new Float32Array(0);
+    this._from = new Int32Array(0);
+    this._stamp = new Uint32Array(0);
+    this._closed = new Uint32Array(0);
+    this._search = 0;
+    this._heap = [];
+  }
+
+  bake() {
+    const { roomW, roomD } = this.world;
+    const cs = this.cellSize;
+    this.cols = Math.ceil(roomW / cs);
+    this.rows = Math.ceil(roomD / cs);
+    this.minX = -roomW / 2;
+    this.minZ = -roomD / 2;
+    this.cells = this.cols * this.rows;
+    const n = this.cells * 2;
+    this.blocked = new Uint8Array(n);
+    this.height = new Float32Array(n);
+    this.region = new Int32Array(n);
+    this._g = new Float32Array(n);
+    this._from = new Int32Array(n);
+    this._stamp = new Uint32Array(n);
+    this._closed = new Uint32Array(n);
+    this._search = 0;
+    this._bakeWindow(0, 0, this.cols - 1, this.rows - 1);
+    this._labelRegions();
+  }
+
+  // Re-bakes the cells a box covered (a collider there was disabled or moved).
+  rebake(box) {
+    const r = this.agentRadius;
+    const c0 = this._col(box.min.x - r);
+    const r0 = this._row(box.min.z - r);
+    const c1 = this._col(box.max.x + r);
+    const r1 = this._row(box.max.z + r);
+    this._bakeWindow(c0, r0, c1, r1);
+    this._labelRegions();
+  }
+
+  // (Re)builds both layers for the cells in the c0..c1 / r0..r1 window.
+  _bakeWindow(c0, r0, c1, r1) {
+    const { cols, cells, blocked, height } = this;
+    for (let row = r0; row <= r1; row++) {
+      const a = row * cols + c0;
+      const b = row * cols + c1 + 1;
+      blocked.fill(0, a, b);
+      blocked.fill(1, cells + a, cells + b);
+      height.fill(0, cells + a, cells + b);
+    }
+    const colliders = this.world.colliders.filter((c) => !c.disabled && c.tag !== 'elevatorDoor');
+    // Deck layer: the highest deck / ramp surface over each cell center.
+    for (const c of colliders) {
+      if (!DECK_TAGS.includes(c.tag)) continue;
+      this._forCells(c.box, 0, c0, r0, c1, r1, (i, x, z) => {
+        const top = this.world.surfaceTop(c, x, z);
+        if (blocked[cells + i] || top > height[cells + i]) {
+          height[cells + i] = top;
+          blocked[cells + i] = 0;
+        }
+      });
+    }
+    for (const c of colliders) {
+      this._forCells(c.box, this.agentRadius, c0, r0, c1, r1, (i, x, z) => {
+        if (this._obstructs(c, x, z, 0)) blocked[i] = 1;
+        const u = cells + i;
+        if (!blocked[u] && this._obstructs(c, x, z, height[u])) blocked[u] = 1;
+      });
+    }
+  }
+
+  // Does collider `c` get in the way of a body standing at height `h` near (x, z)? Overhead decks and
+  // ledges low enough to step onto (like the low end of a ramp) don't.
+  _obstructs(c, x, z, h) {
+    const b = c.box;
+    const top = this.world.surfaceTop(c, clamp(x, b.min.x, b.max.x), clamp(z, b.min.z, b.max.z));
+    return b.min.y < h + PLAYER_HEIGHT && top > h + STEP_HEIGHT;
+  }
+
+  // Calls fn(cell, x, z) for every cell (inside the window) whose center is within `pad` of `box`.
+  _forCells(box, pad, c0, r0, c1, r1, fn) {
+    const cs = this.cellSize;
+    const ca = Math.max(c0, Math.ceil((box.min.x - pad - this.minX) / cs - 0.5));
+    const cb = Math.min(c1, Math.floor((box.max.x + pad - this.minX) / cs - 0.5));
+    const ra = Math.max(r0, Math.ceil((box.min.z - pad - this.minZ) / cs - 0.5));
+    const rb = Math.min(r1, Math.floor((box.max.z + pad - this.minZ) / cs - 0.5));
+    for (let row = ra; row <= rb; row++) {
+      for (let col = ca; col <= cb; col++) {
+        fn(row * this.cols + col, this.minX + (col + 0.5) * cs, this.minZ + (row + 0.5) * cs);
+      }
+    }
+  }
+
+  // Node one cell over from node `i`, in the same layer (`swap` false) or the other one (floor <-> ramp),
+  // if it's free and within a step of `i`; else -1.
+  _link(i, dc, dr, swap) {
+    const { cols, rows, cells, blocked, height } = this;
+    const cell = i % cells;
+    const col = cell % cols;
+    const row = (cell - col) / cols;
+    const nc = col + dc;
+    const nr = row + dr;
+    if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) return -1;
+    const j = (swap ? (i < cells ? cells : 0) : i - cell) + nr * cols + nc;
+    return !blocked[j] && Math.abs(height[j] - height[i]) <= STEP_HEIGHT ? j : -1;
+  }
+
+  _canStep(i, dc, dr) {
+    return this._link(i, dc, dr, false) >= 0 || this._link(i, dc, dr, true) >= 0;
+  }
+
+  // Flood fill of the free nodes; the biggest area is the hall floor + decks (the rest: pockets behind props).
+  _labelRegions() {
+    const { blocked, region } = this;
+    region.fill(-1);
+    const queue = new Int32Array(region.length);
+    let label = 0;
+    let bestSize = 0;
+    this.mainRegion = -1;
+    for (let start = 0; start < region.length; start++) {
+      if (blocked[start] || region[start] !== -1) continue;
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = start;
+      region[start] = label;
+      while (head < tail) {
+        const i = queue[head++];
+        for (let k = 0; k < 8; k++) {
+          const j = this._link(i, NEIGHBOURS[k & 3][0], NEIGHBOURS[k & 3][1], k > 3);
+          if (j < 0 || region[j] !== -1) continue;
+          region[j] = label;
+          queue[tail++] = j;
+        }
+      }
+      if (tail > bestSize) {
+        bestSize = tail;
+        this.mainRegion = label;
+      }
+      label++;
+    }
+
+    // Cells where you can cross between floor and deck layer (the low ends of the ramps).
+    const portals = new Set();
+    for (let i = 0; i < this.cells; i++) {
+      if (blocked[i]) continue;
+      for (let k = 0; k < 4; k++) {
+        const j = this._link(i, NEIGHBOURS[k][0], NEIGHBOURS[k][1], true);
+        if (j >= 0) portals.add(i).add(j % this.cells);
+      }
+    }
+    this.portals = [...portals];
+  }
+
+  // Grid distance between two cells (8-way moves).
+  _octile(a, b) {
+    const { cols } = this;
+    const dc = Math.abs((a % cols) - (b % cols));
+    const dr = Math.abs(Math.floor(a / cols) - Math.floor(b / cols));
+    return Math.max(dc, dr) + (SQRT2 - 1) * Math.min(dc, dr);
+  }
+
+  _col(x) {
+    return Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.minX) / this.cellSize)));
+  }
+
+  _row(z) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor((z - this.minZ) / this.cellSize)));
+  }
+
+  _cellOf(x, z) {
+    return this._row(z) * this.cols + this._col(x);
+  }
+
+  // Node for a body at (x, y, z): the deck / ramp layer when standing on (or above) it, else the floor.
+  _nodeAt(x, y, z) {
+    const i = this._cellOf(x, z);
+    const u = this.cells + i;
+    return !this.blocked[u] && y >= this.height[u] - STEP_HEIGHT ? u : i;
+  }
+
+  _center(i, out = new THREE.Vector3()) {
+    const cell = i % this.cells;
+    const col = cell % this.cols;
+    const row = (cell - col) / this.cols;
+    return out.set(this.minX + (col + 0.5) * this.cellSize, this.height[i], this.minZ + (row + 0.5) * this.cellSize);
+  }
+
+  isWalkable(x, z, y = 0) {
+    return !this.blocked[this._nodeAt(x, y, z)];
+  }
+
+  // True if (x, z) is free and connected to the main hall floor (spawns, drops).
+  isOpenFloor(x, z) {
+    const i = this._cellOf(x, z);
+    return !this.blocked[i] && this.region[i] === this.mainRegion;
+  }
+
+  // Closest open-floor cell center to (x, z) within `maxDist` (null if none); (x, z) itself when it is open.
+  nearestOpen(x, z, maxDist = 8) {
+    if (this.isOpenFloor(x, z)) return new THREE.Vector3(x, 0, z);
+    const j = this._nearestNode(this._cellOf(x, z), maxDist, (k) => this.region[k] === this.mainRegion);
+    return j < 0 ? null : this._center(j);
+  }
+
+  // Ring search around node `i` (in its layer) for the closest node passing `ok`; -1 if none.
+  _nearestNode(i, maxDist, ok) {
+    const base = i - (i % this.cells);
+    const col = (i - base) % this.cols;
+    const row = (i - base - col) / this.cols;
+    const maxRing = Math.ceil(maxDist / this.cellSize);
+    for (let ring = 1; ring <= maxRing; ring++) {
+      let best = -1;
+      let bestD2 = Infinity;
+      for (let dr = -ring; dr <= ring; dr++) {
+        for (let dc = -ring; dc <= ring; dc++) {
+          if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+          const nc = col + dc;
+          const nr = row + dr;
+          if (nc < 0 || nr < 0 || nc >= this.cols || nr >= this.rows) continue;
+          const j = base + nr * this.cols + nc;
+          if (!ok(j)) continue;
+          const d2 = dc * dc + dr * dr;
+          if (d2 < bestD2) {
+            bestD2 = d2;
+            best = j;
+          }
+        }
+      }
+      if (best !== -1) return best;
+    }
+    return -1;
+  }
+
+  // A* from `from` to `to` (anything with x / z). Returns the waypoints after `from`, ending at `to`
+  // (or the closest free spot to it), straightened so consecutive points see each other; [] when
+  // already there, null when there is no way through.
+  // Heights (`y`, 0 if missing) pick the layer, so a goal up on a mezzanine routes over the ramp.
+  findPath(from, to) {
+    let start = this._nodeAt(from.x, from.y ?? 0, from.z);
+    let goal = this._nodeAt(to.x, to.y ?? 0, to.z);
+    // Pressed against a wall / goal inside a prop (arcade machines): use the nearest free node.
+    if (this.blocked[start]) {
+      start = this._nearestNode(start, 3, (j) => !this.blocked[j]);
+      if (start < 0) return null;
+    }
+    const goalFree = !this.blocked[goal];
+    if (!goalFree || this.region[goal] !== this.region[start]) {
+      const reg = this.region[start];
+      goal = this._nearestNode(goal, 4, (j) => this.region[j] === reg);
+      if (goal < 0) return null;
+    }
+    const end = goalFree ? new THREE.Vector3(to.x, this.height[goal], to.z) : this._center(goal);
+    if (start === goal) return goalFree ? [end] : [];
+
+    const nodes = this._astar(start, goal);
+    if (!nodes) return null;
+    return this._smooth(from, nodes, end);
+  }
+
+  _astar(start, goal) {
+    const { cells, portals } = this;
+    const g = this._g;
+    const fromCell = this._from;
+    const stamp = this._stamp;
+    const closed = this._closed;
+    const search = ++this._search;
+    const goalCell = goal % cells;
+    // Changing layers means going through a portal, so the straight-line guess goes via the best one
+    // (otherwise a goal right above us floods the whole floor before finding the ramp).
+    const viaGoal = portals.map((p) => this._octile(p, goalCell));
+    const h = (i) => {
+      if (i < cells === goal < cells) return this._octile(i % cells, goalCell);
+      let best = Infinity;
+      for (let k = 0; k < portals.length; k++) best = Math.min(best, this._octile(i % cells, portals[k]) + viaGoal[k]);
+      return best;
+    };
+
+    const heap = this._heap;
+    heap.length = 0;
+    g[start] = 0;
+    fromCell[start] = -1;
+    stamp[start] = search;
+    heapPush(heap, [h(start), start]);
+    while (heap.length) {
+      const [, i] = heapPop(heap);
+      if (closed[i] === search) continue;
+      closed[i] = search;
+      if (i === goal) break;
+      for (const [dc, dr, cost] of NEIGHBOURS) {
+        if (dc && dr && (!this._canStep(i, dc, 0) || !this._canStep(i, 0, dr))) continue;
+        for (const swap of SWAPS) {
+          const j = this._link(i, dc, dr, swap);
+          if (j < 0 || closed[j] === search) continue;
+          const ng = g[i] + cost;
+          if (stamp[j] === search && ng >= g[j]) continue;
+          stamp[j] = search;
+          g[j] = ng;
+          fromCell[j] = i;
+          heapPush(heap, [ng + h(j), j]);
+        }
+      }
+    }
+    if (closed[goal] !== search) return null;
+    const nodes = [];
+    for (let i = goal; i !== -1; i = fromCell[i]) nodes.push(i);
+    return nodes.reverse();
+  }
+
+  // String pulling: from each kept point, skip ahead to the farthest node still in a straight walkable line.
+  _smooth(from, nodes, end) {
+    const points = [];
+    let anchor = new THREE.Vector3(from.x, this.height[nodes[0]], from.z);
+    let node = nodes[0];
+    let k = 0;
+    while (k < nodes.length - 1) {
+      let next = k + 1;
+      for (let j = nodes.length - 1; j > next; j--) {
+        if (this._walkLine(node, anchor, this._center(nodes[j])) === nodes[j]) {
+          next = j;
+          break;
+        }
+      }
+      node = nodes[next];
+      anchor = this._center(node);
+      points.push(anchor);
+      k = next;
+    }
+    points[points.length - 1] = end;
+    return points;
+  }
+
+  // True if a player can walk the straight line a -> b (heights as in findPath).
+  clearLine(a, b) {
+    const end = this._walkLine(this._nodeAt(a.x, a.y ?? 0, a.z), a, b);
+    return end >= 0 && end % this.cells === this._cellOf(b.x, b.z);
+  }
+
+  // Follows the line a -> b from node `i` (samples every half cell), keeping to surfaces within a step of
+  // each other; where both layers would do, the one closer to the a -> b height. Returns the node it ends
+  // on, -1 if something is in the way.
+  _walkLine(i, a, b) {
+    const { blocked, height, cells } = this;
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const ay = a.y ?? 0;
+    const dy = (b.y ?? 0) - ay;
+    const steps = Math.ceil(Math.hypot(dx, dz) / (this.cellSize * 0.5));
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const cell = this._cellOf(a.x + dx * t, a.z + dz * t);
+      if (cell === i % cells) continue;
+      const y = ay + dy * t;
+      let best = -1;
+      for (let j = cell; j < cells * 2; j += cells) {
+        if (blocked[j] || Math.abs(height[j] - height[i]) > STEP_HEIGHT) continue;
+        if (best < 0 || Math.abs(height[j] - y) < Math.abs(height[best] - y)) best = j;
+      }
+      if (best < 0) return -1;
+      i = best;
+    }
+    return i;
+  }
+}
+
+// Min-heap on entry[0].
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= entry[0]) break;
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = entry;
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let m = i;
+      let mv = last[0];
+      if (l < heap.length && heap[l][0] < mv) {
+        m = l;
+        mv = heap[l][0];
+      }
+      if (r < heap.length && heap[r][0] < mv) m = r;
+      if (m === i) break;
+      heap[i] = heap[m];
+      i = m;
+    }
+    heap[i] = last;
+  }
+  return top;
+}
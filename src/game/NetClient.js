@@ -0,0 +1,193 @@
+// Browser side of online 1v1 (server: server/duel-server.js, wire format: NetProtocol.js).
+//
+// The local player is predicted: each tick its intent is sent to the server AND applied locally right away.
+// When a snapshot arrives the local player is reset to the server's state after the last input the server
+// acknowledged, and the inputs still in flight are replayed on top (reconciliation).
+// The remote player is drawn INTERP_TICKS behind the server, interpolated between snapshots; that
+// "view tick" goes out with every input so the server can rewind hitboxes to what we actually saw.
+import { SIM_DT, SIM_HZ } from './MatchSimulation.js';
+import { packIntent, unpackIntent } from './Replay.js';
+import { INTERP_TICKS, NET_DEFAULT_PORT, applyPlayerState, decodeEvent, snapshotPose } from './NetProtocol.js';
+import { clamp } from './math.js';
+
+export const defaultServerUrl = () => `ws://${location.hostname || 'localhost'}:${NET_DEFAULT_PORT}`;
+
+// Inputs the server hasn't acknowledged yet (beyond ~2 s the connection is as good as dead anyway).
+const MAX_PENDING_INPUTS = SIM_HZ * 2;
+const MAX_REMOTE_POSES = 32;
+
+export class NetClient {
+  constructor({ url, room, seed, sim, onWelcome, onStart, onEvent, onClosed }) {
+    this.url = url;
+    this.room = room;
+    this.seed = seed;
+    this.sim = sim;
+    this.onWelcome = onWelcome; // ({ playerId, room, seed }) => void
+    this.onStart = onStart; // ({ seed, playerId }) => void
+    this.onEvent = onEvent; // (name, payload) => void, same as a sim observer
+    this.onClosed = onClosed; // (reason) => void
+
+    this.localId = null;
+    this.remoteId = null;
+    this.started = false;
+
+    /** @type {WebSocket|null} */
+    this._ws = null;
+    this._closeReason = null;
+    this._inbox = [];
+
+    this._seq = 0;
+    /** @type {Array<{seq:number, intent:object}>} */
+    this._pending = [];
+    /** @type {Array<{tick:number, x:number, y:number, z:number, yaw:number, pitch:number, dead:boolean}>} */
+    this._remotePoses = [];
+
+    // Estimate of the server's current tick (advanced locally, nudged by snapshots).
+    this.serverTick = 0;
+    this._clockSynced = false;
+    // Server tick the remote player is currently drawn at.
+    this.viewTick = null;
+  }
+
+  connect() {
+    const ws = new WebSocket(this.url);
+    this._ws = ws;
+    ws.addEventListener('open', () => this._send({ t: 'join', room: this.room, seed: this.seed }));
+    ws.addEventListener('message', (e) => this._onMessage(e.data));
+    ws.addEventListener('error', () => {
+      this._closeReason = this._closeReason ?? `Sunucuya bağlanılamadı (${this.url})`;
+    });
+    ws.addEventListener('close', () => {
+      // close() was called by us: nobody to tell.
+      if (this._ws !== ws) return;
+      this._ws = null;
+      this.onClosed?.(this._closeReason ?? 'Sunucu bağlantısı koptu.');
+    });
+  }
+
+  close() {
+    const ws = this._ws;
+    this._ws = null;
+    ws?.close();
+  }
+
+  _send(msg) {
+    if (this._ws?.readyState === WebSocket.OPEN) this._ws.send(JSON.stringify(msg));
+  }
+
+  _onMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (msg.t === 'snap') {
+      // Applied on the next game tick (never in the middle of one).
+      if (this.started) this._inbox.push(msg);
+    } else if (msg.t === 'welcome') {
+      this.localId = msg.playerId;
+      this.remoteId = this.sim.playerIds.find((id) => id !== msg.playerId);
+      this.seed = msg.seed;
+      this.onWelcome?.(msg);
+    } else if (msg.t === 'start') {
+      this.started = true;
+      this.onStart?.(msg);
+    } else if (msg.t === 'left') {
+      this._closeReason = 'Rakip oyundan çıktı.';
+      this._ws?.close();
+    } else if (msg.t === 'error') {
+      this._closeReason = msg.message;
+      this._ws?.close();
+    }
+  }
+
+  // Once per game tick, before the local intent for this tick is predicted.
+  update() {
+    this.serverTick += 1;
+    const snaps = this._inbox;
+    this._inbox = [];
+    for (const snap of snaps) this._applySnapshot(snap);
+    this._updateRemote();
+  }
+
+  // Sends this tick's intent and returns the quantized copy to predict with (the exact numbers the server runs).
+  sendInput(intent) {
+    const packed = packIntent(intent);
+    const seq = ++this._seq;
+    const quantized = unpackIntent(packed);
+    this._pending.push({ seq, intent: quantized });
+    if (this._pending.length > MAX_PENDING_INPUTS) this._pending.shift();
+    const view = this.viewTick == null ? null : Math.round(this.viewTick * 100) / 100;
+    this._send({ t: 'input', seq, view, i: packed });
+    return quantized;
+  }
+
+  sendCommand(cmd) {
+    this._send({ t: 'cmd', cmd });
+  }
+
+  _applySnapshot(snap) {
+    const sim = this.sim;
+    if (!this._clockSynced || Math.abs(snap.tick - this.serverTick) > SIM_HZ / 2) {
+      this.serverTick = snap.tick;
+      this._clockSynced = true;
+    } else {
+      this.serverTick += (snap.tick - this.serverTick) * 0.1;
+    }
+
+    sim.phase = snap.phase;
+    sim.mirrorElevator(snap.elev[0], snap.elev[1]);
+    Object.assign(sim.scores, snap.scores);
+
+    // Remote: everything but the pose, which is interpolated in _updateRemote().
+    const remote = snap.players[this.remoteId];
+    applyPlayerState(sim.players[this.remoteId], sim.weapons[this.remoteId], remote, { movement: false });
+    this._remotePoses.push({ tick: snap.tick, ...snapshotPose(remote) });
+    if (this._remotePoses.length > MAX_REMOTE_POSES) this._remotePoses.shift();
+
+    // Local: server truth after the acknowledged input, then replay what is still in flight.
+    applyPlayerState(sim.players[this.localId], sim.weapons[this.localId], snap.players[this.localId]);
+    this._pending = this._pending.filter((p) => p.seq > snap.ack);
+    for (const p of this._pending) sim.stepPlayerMovement(this.localId, p.intent, SIM_DT);
+
+    for (const e of snap.events) this._applyEvent(...decodeEvent(e));
+  }
+
+  _applyEvent(name, payload) {
+    // World changes the local copy can't see happen (it doesn't run the combat rules).
+    const world = this.sim.world;
+    if (name === 'onBarrelExploded') world.explodeBarrel(payload.barrelId);
+    else if (name === 'onBottlePicked') world.pickBottle(payload.bottleId);
+    else if (name === 'onPickup') world.takePickup(payload.pickupId);
+    else if (name === 'onWeaponDropped') world.spawnDrop(payload.type, payload.pos, payload, payload.dropId);
+    else if (name === 'onDropTaken') world.takeDrop(payload.dropId);
+    else if (name === 'onImpact') world.spawnImpact(payload.pos, payload.normal, payload.surface);
+    else if (name === 'onLaserBlast') world.spawnLaserBlast(payload.pos.x, payload.pos.z);
+    else if (name === 'onExplosion') {
+      world.spawnBlastFx(payload.pos, payload.radius);
+      if (payload.fire) world.spawnFirePatch(payload.pos.x, payload.pos.z, payload.fire);
+    }
+    else if (name === 'onDamage') this.sim.players[payload.targetId].flashRed(1.0);
+    this.onEvent?.(name, payload);
+  }
+
+  _updateRemote() {
+    const poses = this._remotePoses;
+    if (!poses.length) return;
+    const at = this.serverTick - INTERP_TICKS;
+    let i = poses.length - 1;
+    while (i > 0 && poses[i].tick > at) i--;
+    const a = poses[i];
+    const b = poses[Math.min(i + 1, poses.length - 1)];
+    let k = b.tick > a.tick ? clamp((at - a.tick) / (b.tick - a.tick), 0, 1) : 0;
+    // Death -> respawn is a teleport: snap instead of sliding across the map.
+    if (a.dead !== b.dead) k = Math.round(k);
+
+    const p = this.sim.players[this.remoteId];
+    p.pos.set(a.x + (b.x - a.x) * k, a.y + (b.y - a.y) * k, a.z + (b.z - a.z) * k);
+    p.yaw = a.yaw + (b.yaw - a.yaw) * k;
+    p.pitch = a.pitch + (b.pitch - a.pitch) * k;
+    this.viewTick = a.tick + (b.tick - a.tick) * k;
+  }
+}
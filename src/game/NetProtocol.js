@@ -0,0 +1,131 @@
+// Online 1v1 wire format, shared by the browser client (NetClient.js) and the Node server (server/duel-server.js).
+//
+// Messages are small JSON objects with a `t` (type) field:
+//   client -> server  join {room, seed} | input {seq, view, i} | cmd {cmd}
+//   server -> client  welcome {playerId, room} | start {seed, playerId} | snap {...} | left | error {message}
+// Intents travel packed (Replay.js packIntent), so client prediction and the server run the same numbers.
+import * as THREE from 'three';
+import { SIM_HZ } from './MatchSimulation.js';
+import { WEAPON_SLOTS } from './Weapons.js';
+
+export const NET_DEFAULT_PORT = 8787;
+// Snapshot every 2 ticks (30 Hz).
+export const SNAPSHOT_EVERY = 2;
+// Remote players are drawn this far behind the newest snapshot (~2 snapshots), so there is
+// nearly always a pair to interpolate between.
+export const INTERP_TICKS = Math.round(0.1 * SIM_HZ);
+// The server never rewinds hitboxes further back than this (caps what a laggy client can claim).
+export const MAX_REWIND_TICKS = Math.round(0.3 * SIM_HZ);
+
+// Sim observer events the server forwards to clients (same names/payloads as MatchSimulation._emit).
+export const NET_EVENTS = [
+  'onPhase',
+  'onElevatorCountdown',
+  'onDoorsOpening',
+  'onFight',
+  'onWeaponChanged',
+  'onShot',
+  'onTracer',
+  'onMelee',
+  'onDamage',
+  'onBarrelExploded',
+  'onBottlePicked',
+  'onBottleBroken',
+  'onPickup',
+  'onWeaponDropped',
+  'onDropTaken',
+  'onLaserBlast',
+  'onImpact',
+  'onExplosion',
+  'onReload',
+  'onKill',
+  'onWin',
+  'onTaskOpened',
+  'onTaskClosed',
+  'onTaskComplete'
+];
+
+// Vector3 payload fields go over the wire as [x, y, z].
+export function encodeEvent(name, payload) {
+  const out = {};
+  for (const [k, v] of Object.entries(payload)) out[k] = v?.isVector3 ? [v.x, v.y, v.z] : v;
+  return [name, out];
+}
+
+export function decodeEvent([name, payload]) {
+  const out = {};
+  for (const [k, v] of Object.entries(payload)) out[k] = Array.isArray(v) && v.length === 3 ? new THREE.Vector3(v[0], v[1], v[2]) : v;
+  return [name, out];
+}
+
+export function encodePlayer(p, w) {
+  return [
+    p.pos.x,
+    p.pos.y,
+    p.pos.z,
+    p.vel.x,
+    p.vel.y,
+    p.vel.z,
+    p.yaw,
+    p.pitch,
+    p.onGround ? 1 : 0,
+    p.hp,
+    p.dead ? 1 : 0,
+    p.deathTimer,
+    p.invulnTimer,
+    p.controlsLocked ? 1 : 0,
+    p.taskLevel,
+    w.slot,
+    WEAPON_SLOTS.map((slot) => {
+      const e = w.slots[slot];
+      return e ? [e.type, e.mag, e.reserve] : 0;
+    }),
+    w.cooldown,
+    w.reloadTimer,
+    w.sniperAiming ? 1 : 0,
+    w.sniperZoom01,
+    w.bloom,
+    p.armor,
+    p.crouch01,
+    p.stamina,
+    p.staminaDelay,
+    p.winded ? 1 : 0
+  ];
+}
+
+// `movement: false` leaves pos/yaw/pitch alone (remote players are interpolated separately).
+export function applyPlayerState(p, w, s, { movement = true } = {}) {
+  if (movement) {
+    p.pos.set(s[0], s[1], s[2]);
+    p.yaw = s[6];
+    p.pitch = s[7];
+  }
+  p.vel.set(s[3], s[4], s[5]);
+  p.onGround = !!s[8];
+  p.hp = s[9];
+  p.dead = !!s[10];
+  p.model.visible = !p.dead;
+  p.deathTimer = s[11];
+  p.invulnTimer = s[12];
+  p.controlsLocked = !!s[13];
+  p.taskLevel = s[14];
+  w.slot = s[15];
+  WEAPON_SLOTS.forEach((slot, i) => {
+    const e = s[16][i];
+    w.slots[slot] = e ? { type: e[0], mag: e[1], reserve: e[2] } : null;
+  });
+  w.cooldown = s[17];
+  w.reloadTimer = s[18];
+  w.sniperAiming = !!s[19];
+  w.sniperZoom01 = s[20];
+  w.bloom = s[21] ?? 0;
+  p.armor = s[22] ?? 0;
+  p.crouch01 = s[23] ?? 0;
+  p.stamina = s[24] ?? p.maxStamina;
+  p.staminaDelay = s[25] ?? 0;
+  p.winded = !!s[26];
+}
+
+export function snapshotPose(s) {
+  return { x: s[0], y: s[1], z: s[2], yaw: s[6], pitch: s[7], dead: !!s[10] };
+}
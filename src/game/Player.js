@@ -1,12 +1,22 @@
 import * as THREE from 'three';
-import { clamp, yawPitchToDir } from './math.js';
+import { clamp, lerp, yawPitchToDir } from './math.js';
 
 export const PLAYER_RADIUS = 0.45;
 export const PLAYER_HEIGHT = 1.75;
+// Standing eye height (camera, shots, bot sight lines).
+export const EYE_HEIGHT = 1.55;
+// Fully crouched: low enough for the eyes (EYE_HEIGHT below the top) to drop behind a table or bench.
+export const CROUCH_HEIGHT = 1.05;
+// Ledges up to this high (m) are walked onto without jumping; the same drop is followed down when walking off.
+export const STEP_HEIGHT = 0.45;
+// Share of incoming damage that armor soaks up (while it lasts).
+export const ARMOR_ABSORB = 0.6;
+// Hit zones are the body parts scaled up a little, so shots that graze the edge still count.
+const HIT_ZONE_PAD = 1.15;
 
 export class Player {
   constructor({ id, color }) {
-    this.id = id; // 'p1' or 'p2'
+    this.id = id; // 'p1'..'p6'
 
     this.pos = new THREE.Vector3(0, 0, 0);
     this.vel = new THREE.Vector3(0, 0, 0);
@@ -14,11 +24,29 @@ export class Player {
     this.yaw = 0;
     this.pitch = 0;
 
+    // Previous simulation tick state (render interpolation between ticks).
+    this.prevPos = new THREE.Vector3(0, 0, 0);
+    this.prevYaw = 0;
+    this.prevPitch = 0;
+
     this.onGround = false;
     this.controlsLocked = false; // used when task UI is open
 
+    // Movement state the sim keeps up: 0 standing .. 1 fully crouched (eyes, hitbox and model follow height),
+    // sprinting this tick, and stamina (0..1) that sprinting and jumping use up. Winded = ran it dry, no
+    // sprinting until it's back to STAMINA_RECOVER (MatchSimulation).
+    this.crouch01 = 0;
+    this.sprinting = false;
+    this.maxStamina = 1;
+    this.stamina = 1;
+    this.winded = false;
+    this.staminaDelay = 0;
+
     this.maxHp = 100;
     this.hp = 100;
+    // Armor vests (World pickups): absorbs ARMOR_ABSORB of each hit until it's used up. Lost on death.
+    this.maxArmor = 100;
+    this.armor = 0;
     this.dead = false;
     this.deathTimer = 0;
 
@@ -27,13 +55,11 @@ export class Player {
 
     // Hit feedback.
     this.damageFlashTimer = 0;
+    // Recoil: extra camera pitch (rad) on top of the aim, only for looks (spread is in MatchSimulation.spreadOf).
+    this.viewKick = 0;
 
     this.taskLevel = 0; // 0..3
 
-    // Bottle pickup (temporary melee).
-    this.hasBottle = false;
-    this.bottlePrevWeapon = null;
-
     this.camera = new THREE.PerspectiveCamera(75, 1, 0.05, 180);
     this.camera.position.set(0, 1.6, 0);
 
@@ -43,25 +69,18 @@ export class Player {
     this.model.name = `${id}-model`;
 
     const mainMat = new THREE.MeshStandardMaterial({
-      color,
       roughness: 0.65,
       metalness: 0.12,
       emissive: 0x000000,
       emissiveIntensity: 0.0
     });
-    // Legs: tinted (not plain dark).
-    const legColor = new THREE.Color(color).multiplyScalar(0.55).lerp(new THREE.Color(0x1a1f2a), 0.25);
     const darkMat = new THREE.MeshStandardMaterial({
-      color: legColor,
       roughness: 0.9,
       metalness: 0.05,
       emissive: 0x000000,
       emissiveIntensity: 0.0
     });
-    // Arms: slightly brighter tint for contrast.
-    const armColor = new THREE.Color(color).lerp(new THREE.Color(0xffffff), 0.12);
     const armMat = new THREE.MeshStandardMaterial({
-      color: armColor,
       roughness: 0.55,
       metalness: 0.12,
       emissive: 0x000000,
@@ -69,7 +88,8 @@ export class Player {
     });
     this._emissiveMats = [mainMat, darkMat, armMat];
     this._baseMatColors = new Map();
-    for (const m of this._emissiveMats) this._baseMatColors.set(m, m.color.clone());
+    this._bodyMats = { main: mainMat, dark: darkMat, arm: armMat };
+    this.setColor(color);
 
     this.torso = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.7, 0.25), mainMat);
     this.torso.name = `${id}-torso`;
@@ -91,7 +111,7 @@ export class Player {
     this.armL.rotation.x = 0.15; // idle
     this.armR = new THREE.Mesh(new THREE.BoxGeometry(0.13, 0.55, 0.13), armMat);
     this.armR.name = `${id}-armR`;
-    this.armR.position.x = 0.38;
+    this.armR.position.set(0.38, 1.12, 0);
     this.armR.rotation.x = -0.9; // holding pose forward
 
     // Funny face: eyes + mouth (cheap geometry, no textures).
@@ -156,23 +176,56 @@ export class Player {
     // Rendering layers:
     // Put the ENTIRE player model on a per-player layer so the owner's camera can hide it.
     // (Fixes first-person clipping where your own head/eyes can fill the screen.)
-    const playerLayer = id === 'p1' ? 1 : 2;
-    this.model.traverse((o) => o.layers.set(playerLayer));
-
-    this.hitbox = new THREE.Mesh(
-      new THREE.CapsuleGeometry(PLAYER_RADIUS, PLAYER_HEIGHT - PLAYER_RADIUS * 2, 4, 8),
-      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0 })
-    );
-    this.hitbox.userData.isPlayerHitbox = true;
-    this.hitbox.userData.playerId = id;
+    // Layer = player number (p1 -> 1, p3 -> 3); layer 0 stays the shared world.
+    this.layer = Number(id.slice(1));
+    this.model.traverse((o) => o.layers.set(this.layer));
+
+    // Invisible hit zones (head / body / limb) copied from the body parts; the group sits at mid-height
+    // like the old capsule did so lag compensation can just move it. Zone multipliers: HIT_ZONES in Weapons.js.
+    this.hitbox = new THREE.Group();
+    this.hitbox.name = `${id}-hitbox`;
+    const hitMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0 });
+    const zones = [
+      [this.head, 'head'],
+      [this.torso, 'body'],
+      [this.armL, 'limb'],
+      [this.armR, 'limb'],
+      [this.legL, 'limb'],
+      [this.legR, 'limb']
+    ];
+    for (const [part, zone] of zones) {
+      const vol = new THREE.Mesh(part.geometry, hitMat);
+      vol.position.copy(part.position);
+      vol.position.y -= PLAYER_HEIGHT / 2;
+      vol.rotation.copy(part.rotation);
+      vol.scale.setScalar(HIT_ZONE_PAD);
+      vol.userData = { isPlayerHitbox: true, playerId: id, zone };
+      this.hitbox.add(vol);
+    }
     this.hitbox.position.set(0, PLAYER_HEIGHT / 2, 0);
   }
 
+  // Body tint (player slot colour, or team colour in team modes).
+  setColor(color) {
+    const { main, dark, arm } = this._bodyMats;
+    main.color.set(color);
+    // Legs: tinted (not plain dark).
+    dark.color.set(color).multiplyScalar(0.55).lerp(new THREE.Color(0x1a1f2a), 0.25);
+    // Arms: slightly brighter tint for contrast.
+    arm.color.set(color).lerp(new THREE.Color(0xffffff), 0.12);
+    for (const m of [main, dark, arm]) this._baseMatColors.set(m, m.color.clone());
+  }
+
   addToScene(scene) {
     scene.add(this.model);
     scene.add(this.hitbox);
   }
 
+  removeFromScene(scene) {
+    scene.remove(this.model);
+    scene.remove(this.hitbox);
+  }
+
   setPosition(x, y, z) {
     this.pos.set(x, y, z);
   }
@@ -180,10 +233,25 @@ export class Player {
   setYawPitch(yaw, pitch) {
     this.yaw = yaw;
     this.pitch = clamp(pitch, -1.35, 1.35);
+    // Snap (no interpolated swing after a teleport/respawn).
+    this.prevYaw = this.yaw;
+    this.prevPitch = this.pitch;
+  }
+
+  savePrevState() {
+    // Called at the start of every simulation tick.
+    this.prevPos.copy(this.pos);
+    this.prevYaw = this.yaw;
+    this.prevPitch = this.pitch;
+  }
+
+  // Current standing height (m), lower while crouched.
+  get height() {
+    return lerp(PLAYER_HEIGHT, CROUCH_HEIGHT, this.crouch01);
   }
 
   getEyePosition(out = new THREE.Vector3()) {
-    out.set(this.pos.x, this.pos.y + 1.55, this.pos.z);
+    out.set(this.pos.x, this.pos.y + this.height - (PLAYER_HEIGHT - EYE_HEIGHT), this.pos.z);
     return out;
   }
 
@@ -191,12 +259,18 @@ export class Player {
     this.damageFlashTimer = Math.max(this.damageFlashTimer, duration);
   }
 
+  kickView(amount) {
+    this.viewKick = Math.min(0.12, this.viewKick + amount);
+  }
+
   getAimDir(out = new THREE.Vector3()) {
     return yawPitchToDir(this.yaw, this.pitch, out);
   }
 
   updateVisual(dt) {
     if (this.damageFlashTimer > 0) this.damageFlashTimer = Math.max(0, this.damageFlashTimer - dt);
+    // Camera settles back after a kick.
+    if (this.viewKick > 0) this.viewKick = this.viewKick < 1e-4 ? 0 : this.viewKick * Math.exp(-14 * dt);
 
     // Blink when invulnerable.
     if (this.invulnTimer > 0) {
@@ -229,18 +303,36 @@ export class Player {
       }
     }
 
+    // Hitbox follows the simulated position + facing + crouch (raycasts must not see interpolated state).
+    const h = this.height;
+    this.hitbox.position.set(this.pos.x, this.pos.y + h / 2, this.pos.z);
+    this.hitbox.rotation.y = this.yaw;
+    this.hitbox.scale.y = h / PLAYER_HEIGHT;
+    // Keep the matrix fresh without a renderer (headless simulation raycasts against it).
+    this.hitbox.updateMatrixWorld();
+  }
+
+  applyRenderTransform(alpha = 1) {
+    // Blend previous -> current tick so motion stays smooth at any display refresh rate.
+    const x = this.prevPos.x + (this.pos.x - this.prevPos.x) * alpha;
+    const y = this.prevPos.y + (this.pos.y - this.prevPos.y) * alpha;
+    const z = this.prevPos.z + (this.pos.z - this.prevPos.z) * alpha;
+    const yaw = this.prevYaw + (this.yaw - this.prevYaw) * alpha;
+    const pitch = this.prevPitch + (this.pitch - this.prevPitch) * alpha;
+
     // Update meshes & camera transforms.
-    this.model.position.set(this.pos.x, this.pos.y, this.pos.z);
-    this.model.rotation.y = this.yaw;
+    this.model.position.set(x, y, z);
+    this.model.rotation.y = yaw;
+    // Placeholder crouch: the whole body squashes down.
+    const h = this.height;
+    this.model.scale.y = h / PLAYER_HEIGHT;
     // Head pitch hint (small).
-    this.head.rotation.x = this.pitch * 0.4;
+    this.head.rotation.x = pitch * 0.4;
     // Right arm "aims" a bit with pitch.
-    this.armR.rotation.x = -0.9 + this.pitch * 0.5;
+    this.armR.rotation.x = -0.9 + pitch * 0.5;
 
-    this.hitbox.position.set(this.pos.x, this.pos.y + PLAYER_HEIGHT / 2, this.pos.z);
-
-    this.camera.position.set(this.pos.x, this.pos.y + 1.55, this.pos.z);
-    this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+    this.camera.position.set(x, y + h - (PLAYER_HEIGHT - EYE_HEIGHT), z);
+    this.camera.rotation.set(pitch + this.viewKick, yaw, 0, 'YXZ');
   }
 
   startInvuln() {
@@ -249,6 +341,11 @@ export class Player {
 
   takeDamage(amount) {
     if (this.invulnTimer > 0 || this.dead) return false;
+    if (this.armor > 0) {
+      const absorbed = Math.min(this.armor, amount * ARMOR_ABSORB);
+      this.armor -= absorbed;
+      amount -= absorbed;
+    }
     this.hp = Math.max(0, this.hp - amount);
     if (this.hp <= 0) {
       this.dead = true;
@@ -259,15 +356,28 @@ export class Player {
     return false;
   }
 
+  heal(amount) {
+    this.hp = Math.min(this.maxHp, this.hp + amount);
+  }
+
+  addArmor(amount) {
+    this.armor = Math.min(this.maxArmor, this.armor + amount);
+  }
+
   respawnAt(pos) {
     this.dead = false;
     this.hp = this.maxHp;
+    this.armor = 0;
+    this.crouch01 = 0;
+    this.sprinting = false;
+    this.stamina = this.maxStamina;
+    this.winded = false;
+    this.staminaDelay = 0;
     this.vel.set(0, 0, 0);
     this.pos.copy(pos);
+    this.prevPos.copy(pos);
     this.damageFlashTimer = 0;
     this.model.visible = true;
-    this.hasBottle = false;
-    this.bottlePrevWeapon = null;
     this.startInvuln();
   }
 }
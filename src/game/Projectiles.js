@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+
+// Thrown / fired objects that fly under gravity (grenade, rocket, molotov; WEAPONS[type].projectile).
+// This is only the flight + collision part: MatchSimulation launches them, steps them every tick and
+// decides what a detonation does (area damage, barrels, fire).
+
+const _move = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+// Grenades roll to a stop on the floor.
+const FLOOR_FRICTION = 4;
+
+export class Projectile {
+  constructor({ ownerId, type, def, origin, dir, root }) {
+    this.ownerId = ownerId;
+    this.type = type;
+    this.def = def;
+    this.origin = origin.clone(); // launch point, for range falloff
+    this.pos = origin.clone();
+    this.vel = dir.clone().multiplyScalar(def.speed);
+    this.age = 0;
+    this.done = false;
+
+    this.root = root;
+    this.mesh = MESH_BUILDERS[def.mesh]();
+    this.mesh.position.copy(this.pos);
+    root.add(this.mesh);
+  }
+
+  // Advances one tick. `raycast(origin, dir, far)` returns the nearest world / player hit or null.
+  // Returns where an impact projectile struck ({ point, object }), otherwise null (bounces are handled here).
+  step(dt, raycast) {
+    const def = this.def;
+    this.age += dt;
+    this.vel.y -= (def.gravity ?? 0) * dt;
+
+    _move.copy(this.vel).multiplyScalar(dt);
+    const len = _move.length();
+    if (len > 1e-6) {
+      _dir.copy(_move).divideScalar(len);
+      const hit = raycast(this.pos, _dir, len + def.radius);
+      if (hit) {
+        // Stop just short of the surface so the blast isn't inside the wall.
+        this.pos.copy(hit.point).addScaledVector(_dir, -def.radius);
+        if (def.impact) return this._land(hit);
+        if (hit.face) _normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+        else _normal.copy(_dir).negate();
+        this.vel.reflect(_normal).multiplyScalar(def.bounce);
+      } else {
+        this.pos.add(_move);
+      }
+    }
+
+    // Floor (y = 0).
+    if (this.pos.y < def.radius) {
+      this.pos.y = def.radius;
+      if (def.impact) return this._land({ point: this.pos.clone(), object: null });
+      if (this.vel.y < 0) this.vel.y = -this.vel.y * def.bounce;
+      if (this.vel.y < 0.8) this.vel.y = 0;
+      const f = Math.exp(-FLOOR_FRICTION * dt);
+      this.vel.x *= f;
+      this.vel.z *= f;
+    }
+
+    this.mesh.position.copy(this.pos);
+    // Tumble for throwables, nose along the flight path for rockets.
+    if (def.gravity) this.mesh.rotation.x -= len * 4;
+    else this.mesh.lookAt(_move.copy(this.pos).add(this.vel));
+    return null;
+  }
+
+  _land(hit) {
+    this.mesh.position.copy(this.pos);
+    return hit;
+  }
+
+  dispose() {
+    this.root.remove(this.mesh);
+  }
+}
+
+// Launch angle above the straight line to a target `dist` m away on the same height, for bots
+// (flat-ground ballistics minus the lob the weapon already adds). 0 for straight flyers.
+export function ballisticLift(def, dist) {
+  if (!def.gravity) return 0;
+  const k = (def.gravity * dist) / (def.speed * def.speed);
+  const angle = k >= 1 ? Math.PI / 4 : 0.5 * Math.asin(k);
+  return angle - (def.lob ?? 0);
+}
+
+function buildGrenade() {
+  const g = new THREE.Group();
+  const body = new THREE.Mesh(
+    new THREE.SphereGeometry(0.1, 10, 8),
+    new THREE.MeshStandardMaterial({ color: 0x3d5a2a, roughness: 0.8, metalness: 0.2 })
+  );
+  const lever = new THREE.Mesh(
+    new THREE.BoxGeometry(0.03, 0.08, 0.03),
+    new THREE.MeshStandardMaterial({ color: 0x9aa3ad, roughness: 0.4, metalness: 0.8 })
+  );
+  lever.position.set(0.05, 0.09, 0);
+  g.add(body, lever);
+  return g;
+}
+
+function buildRocket() {
+  const g = new THREE.Group();
+  const body = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.06, 0.06, 0.45, 10),
+    new THREE.MeshStandardMaterial({ color: 0xdfe7f2, roughness: 0.5, metalness: 0.3 })
+  );
+  const flame = new THREE.Mesh(
+    new THREE.ConeGeometry(0.06, 0.25, 10),
+    new THREE.MeshBasicMaterial({ color: 0xffb13b, transparent: true, opacity: 0.85, blending: THREE.AdditiveBlending, depthWrite: false })
+  );
+  flame.position.y = -0.34;
+  flame.rotation.x = Math.PI;
+  g.add(body, flame);
+  // Cylinders stand on Y; lookAt points +Z, so lay the rocket along Z.
+  for (const m of g.children) {
+    m.position.set(0, 0, m.position.y);
+    m.rotation.x += Math.PI / 2;
+  }
+  return g;
+}
+
+function buildMolotov() {
+  const g = new THREE.Group();
+  const glass = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.05, 0.07, 0.24, 10),
+    new THREE.MeshStandardMaterial({ color: 0x37e6a1, roughness: 0.2, metalness: 0.3, transparent: true, opacity: 0.8 })
+  );
+  const rag = new THREE.Mesh(
+    new THREE.SphereGeometry(0.045, 8, 6),
+    new THREE.MeshBasicMaterial({ color: 0xff9a2f })
+  );
+  rag.position.y = 0.16;
+  g.add(glass, rag);
+  return g;
+}
+
+const MESH_BUILDERS = { grenade: buildGrenade, rocket: buildRocket, molotov: buildMolotov };
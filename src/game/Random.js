@@ -0,0 +1,46 @@
+// Seedable PRNG so a map layout / match can be reproduced from a short seed string.
+//
+// createRng() returns a function with the same contract as Math.random (float in [0, 1)),
+// so it can be passed straight into randRange()/choice().
+// Gameplay-affecting randomness (layout, spawns, pellets, gifts, task CPU) must use a seeded rng;
+// purely visual noise (flicker, particles, rain) keeps using Math.random.
+
+// No 0/O/1/I so seeds are easy to read out loud and type back.
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SEED_LENGTH = 6;
+
+export function randomSeed() {
+  let s = '';
+  for (let i = 0; i < SEED_LENGTH; i++) s += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  return s;
+}
+
+export function normalizeSeed(text) {
+  return String(text ?? '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '')
+    .slice(0, 24);
+}
+
+// FNV-1a: any string (or number) -> 32-bit state.
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: tiny, fast, good enough for games.
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return function rng() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,199 @@
+// Match recordings.
+//
+// A recording is the match seed + settings, every tick's intents (RLE-compressed per player) and the
+// few UI-side commands that also change the match (task completed / closed, cheat keys).
+// Because all gameplay randomness is seeded (Random.js) and the sim runs on a fixed tick,
+// feeding the same recording back through MatchSimulation reproduces the match exactly.
+import { emptyIntent } from './MatchSimulation.js';
+
+// Bump whenever the intent packing or the gameplay rules change: an older recording would still
+// decode but replay a different match. Note each bump below.
+//   2: team modes, friendly fire, 6 player spawns
+//   3: spawn points and gift drops moved onto open nav cells
+//   4: head / body / limb hit zones with per-weapon multipliers
+//   5: weapon spread cones (bloom, movement, air) drawn from the match rng
+//   6: grenade, rocket launcher and molotov projectiles
+//   7: armor and medkit pickups
+//   8: weapon drops on death and ammo boxes
+//   9: four-slot weapon inventory and slot switching
+//   10: per-weapon damage falloff curves
+//   11: sniper / Vandal rounds penetrate thin props
+//   12: crouch, sprint and stamina
+//   13: vertical collision: step-up, standing on props, ramps and mezzanine decks
+export const REPLAY_VERSION = 13;
+
+// Bit order is the file format: append new flags at the end, and bump REPLAY_VERSION anyway
+// (new inputs mean new rules, so old recordings would no longer replay the same).
+const FLAGS = ['jump', 'firePressed', 'fireReleased', 'fireDown', 'reload', 'use', 'aim', 'weaponNext', 'weaponPrev', 'crouch', 'sprint'];
+// Intents are stored as small integers: move in 1/1000, look in 1/100000 rad.
+// The live game plays the quantized values too, so recording == replay bit for bit.
+const MOVE_SCALE = 1000;
+const LOOK_SCALE = 100000;
+
+export function packIntent(intent) {
+  let flags = 0;
+  for (let i = 0; i < FLAGS.length; i++) if (intent[FLAGS[i]]) flags |= 1 << i;
+  const packed = [
+    Math.round(intent.moveX * MOVE_SCALE),
+    Math.round(intent.moveZ * MOVE_SCALE),
+    Math.round(intent.lookYaw * LOOK_SCALE),
+    Math.round(intent.lookPitch * LOOK_SCALE),
+    flags
+  ];
+  // Weapon slot key, only on the ticks it's pressed.
+  if (intent.weaponSlot) packed.push(intent.weaponSlot);
+  return packed;
+}
+
+export function unpackIntent(packed) {
+  const intent = emptyIntent();
+  intent.moveX = packed[0] / MOVE_SCALE;
+  intent.moveZ = packed[1] / MOVE_SCALE;
+  intent.lookYaw = packed[2] / LOOK_SCALE;
+  intent.lookPitch = packed[3] / LOOK_SCALE;
+  for (let i = 0; i < FLAGS.length; i++) intent[FLAGS[i]] = (packed[4] & (1 << i)) !== 0;
+  intent.weaponSlot = packed[5] ?? 0;
+  return intent;
+}
+
+const samePacked = (a, b) =>
+  a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3] && a[4] === b[4] && (a[5] ?? 0) === (b[5] ?? 0);
+
+export class ReplayRecorder {
+  constructor({ seed, weather = null, fireDps, winKills, playerIds, teamMode = 'ffa', friendlyFire = 'off', lineup = playerIds, bots = {} }) {
+    this.meta = {
+      seed,
+      weather,
+      fireDps,
+      winKills,
+      playerIds: playerIds.slice(),
+      teamMode,
+      friendlyFire,
+      lineup: lineup.slice(),
+      // Bot id -> difficulty (info only: bot intents are recorded like everyone else's).
+      bots: { ...bots },
+      createdAt: new Date().toISOString()
+    };
+    this.frameCount = 0;
+    /** @type {Record<string, Array<[number, number[]]>>} [runLength, packedIntent] */
+    this.runs = {};
+    for (const id of playerIds) this.runs[id] = [];
+    /** @type {Array<{at:number, type:string}>} */
+    this.commands = [];
+    // Kill timeline (not needed to replay, only for the viewer's markers).
+    /** @type {Array<{at:number, killerId:string, victimId:string}>} */
+    this.kills = [];
+    this.winnerId = null;
+    this.finished = false;
+  }
+
+  // Stores this tick's intents and returns the quantized copy the sim should actually run.
+  capture(intents) {
+    const out = {};
+    for (const id of this.meta.playerIds) {
+      const packed = packIntent(intents[id] ?? emptyIntent());
+      const runs = this.runs[id];
+      const last = runs[runs.length - 1];
+      if (last && samePacked(last[1], packed)) last[0]++;
+      else runs.push([1, packed]);
+      out[id] = unpackIntent(packed);
+    }
+    this.frameCount++;
+    return out;
+  }
+
+  // Commands land between ticks; they are replayed right before tick `at`.
+  command(cmd) {
+    if (this.finished) return;
+    this.commands.push({ at: this.frameCount, ...cmd });
+  }
+
+  markKill({ killerId, victimId }) {
+    if (this.finished) return;
+    this.kills.push({ at: this.frameCount, killerId, victimId });
+  }
+
+  finish({ winnerId = null } = {}) {
+    this.winnerId = winnerId;
+    this.finished = true;
+  }
+
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      ...this.meta,
+      frames: this.frameCount,
+      winnerId: this.winnerId,
+      runs: this.runs,
+      commands: this.commands,
+      kills: this.kills
+    };
+  }
+}
+
+export class ReplayPlayer {
+  constructor(data) {
+    this.data = data;
+    this.frame = 0;
+    this._cursor = {};
+    for (const id of data.playerIds) this._cursor[id] = { run: 0, used: 0 };
+    this._cmdIndex = 0;
+  }
+
+  get done() {
+    return this.frame >= this.data.frames;
+  }
+
+  // Commands that were issued before the tick about to run.
+  commandsDue() {
+    const out = [];
+    const cmds = this.data.commands;
+    while (this._cmdIndex < cmds.length && cmds[this._cmdIndex].at <= this.frame) out.push(cmds[this._cmdIndex++]);
+    return out;
+  }
+
+  // Intents for the next tick (null once the recording is exhausted).
+  next() {
+    if (this.done) return null;
+    const out = {};
+    for (const id of this.data.playerIds) {
+      const c = this._cursor[id];
+      const runs = this.data.runs[id];
+      const run = runs[c.run];
+      out[id] = run ? unpackIntent(run[1]) : emptyIntent();
+      if (run && ++c.used >= run[0]) {
+        c.run++;
+        c.used = 0;
+      }
+    }
+    this.frame++;
+    return out;
+  }
+}
+
+export function serializeReplay(recorder) {
+  return JSON.stringify(recorder.toJSON());
+}
+
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Replay dosyası okunamadı (JSON değil).');
+  }
+  if (!data || typeof data !== 'object') throw new Error('Replay dosyası boş.');
+  if (data.version !== REPLAY_VERSION) throw new Error(`Desteklenmeyen replay sürümü: ${data.version}`);
+  if (!data.seed || !Array.isArray(data.playerIds) || !data.runs || !Number.isFinite(data.frames)) {
+    throw new Error('Replay dosyası eksik/bozuk.');
+  }
+  // Every player needs a run list of [count, packedIntent] pairs, or playback would blow up mid-match.
+  const validRun = (run) => Array.isArray(run) && Number.isInteger(run[0]) && run[0] > 0 && Array.isArray(run[1]) && run[1].length >= 5;
+  for (const id of data.playerIds) {
+    const runs = data.runs[id];
+    if (!Array.isArray(runs) || !runs.every(validRun)) throw new Error('Replay dosyası eksik/bozuk.');
+  }
+  data.commands = Array.isArray(data.commands) ? data.commands : [];
+  data.kills = Array.isArray(data.kills) ? data.kills : [];
+  return data;
+}
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { ReplayPlayer } from './Replay.js';
+import { SIM_HZ } from './MatchSimulation.js';
+import { clamp, yawPitchToDir } from './math.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Camera modes: a player id ('p1'..'pN', that player's POV) or FREE.
+export const ReplayCamera = Object.freeze({
+  P1: 'p1',
+  FREE: 'free'
+});
+
+const fmtTime = (frames) => {
+  const s = Math.floor(frames / SIM_HZ);
+  return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+};
+
+// Replay viewer: playback clock (play / pause / speed / scrub), camera choice and the timeline UI.
+// The match itself is still run by GameApp through the callbacks below, so what you watch is the real
+// MatchSimulation re-simulating the recording. Scrubbing backwards restarts and fast-forwards.
+//
+// Keys: Space play/pause, , / . seek -5s/+5s, - / = speed, 1..N camera (player POV), N+1 free camera, Esc exit.
+// Free camera: WASD move, R/F up/down, arrows (or mouse when locked) look, Shift faster.
+export class ReplayViewer {
+  constructor({ ui, input, restartMatch, stepMatch, getPlayerView, onExit }) {
+    this.ui = ui;
+    this.input = input;
+    this.restartMatch = restartMatch; // (data) => void
+    this.stepMatch = stepMatch; // (player, { muted }) => void
+    this.getPlayerView = getPlayerView; // (playerId) => { position, yaw }
+    this.onExit = onExit;
+
+    this.data = null;
+    /** @type {ReplayPlayer|null} */
+    this.player = null;
+    this.playing = false;
+    this.speed = 1;
+    this.cameraMode = ReplayCamera.P1;
+    // Fractional ticks owed at the current speed (also the render interpolation alpha).
+    this._acc = 0;
+    this._scrubbing = false;
+
+    this.flyCamera = new THREE.PerspectiveCamera(75, 1, 0.05, 400);
+    // Sees every player model (layers 1..N), unlike the POV cameras.
+    this.flyCamera.layers.enableAll();
+    this._fly = { yaw: 0, pitch: -0.45 };
+    this._tmpDir = new THREE.Vector3();
+
+    this._bindUI();
+  }
+
+  get open() {
+    return !!this.data;
+  }
+
+  get frame() {
+    return this.player?.frame ?? 0;
+  }
+
+  get frames() {
+    return this.data?.frames ?? 0;
+  }
+
+  _bindUI() {
+    const ui = this.ui;
+    ui.play?.addEventListener('click', () => this.togglePlay());
+    ui.speed?.addEventListener('change', () => this.setSpeed(Number(ui.speed.value)));
+    // Dragging only previews the time; the (possibly expensive) re-simulation happens on release.
+    ui.seek?.addEventListener('input', () => {
+      this._scrubbing = true;
+      ui.time.textContent = `${fmtTime(Number(ui.seek.value))} / ${fmtTime(this.frames)}`;
+    });
+    ui.seek?.addEventListener('change', () => {
+      this._scrubbing = false;
+      this.seek(Number(ui.seek.value));
+    });
+    ui.exit?.addEventListener('click', () => this.onExit?.());
+  }
+
+  // Camera modes of the open replay, in key order (1..N players, then free).
+  get cameraModes() {
+    return [...(this.data?.playerIds ?? []), ReplayCamera.FREE];
+  }
+
+  openReplay(data, { startCamera = ReplayCamera.P1 } = {}) {
+    this.data = data;
+    this.speed = 1;
+    this._acc = 0;
+    this._restart();
+    this._buildMarkers();
+    this._buildCameraButtons();
+    this.setCameraMode(startCamera);
+    this.setPlaying(true);
+    if (this.ui.speed) this.ui.speed.value = '1';
+    if (this.ui.seek) this.ui.seek.max = String(this.frames);
+    this.ui.bar?.classList.remove('hidden');
+    this._syncUI();
+  }
+
+  close() {
+    this.data = null;
+    this.player = null;
+    this.playing = false;
+    this.ui.bar?.classList.add('hidden');
+    if (this.ui.markers) this.ui.markers.innerHTML = '';
+  }
+
+  setPlaying(on) {
+    // At the end, "play" starts over.
+    if (on && this.player?.done) this.seek(0);
+    this.playing = !!on;
+    this._syncUI();
+  }
+
+  togglePlay() {
+    this.setPlaying(!this.playing);
+  }
+
+  setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) return;
+    this.speed = speed;
+    if (this.ui.speed) this.ui.speed.value = String(speed);
+  }
+
+  _stepSpeed(dir) {
+    const i = REPLAY_SPEEDS.indexOf(this.speed);
+    this.setSpeed(REPLAY_SPEEDS[clamp(i + dir, 0, REPLAY_SPEEDS.length - 1)]);
+  }
+
+  setCameraMode(mode) {
+    if (!this.cameraModes.includes(mode)) return;
+    // Leaving a POV for the fly camera: start from above that player instead of teleporting.
+    if (mode === ReplayCamera.FREE && this.cameraMode !== ReplayCamera.FREE) {
+      const view = this.getPlayerView?.(this.cameraMode);
+      if (view) this.placeFlyCamera(view.position, view.yaw);
+    }
+    this.cameraMode = mode;
+    for (const btn of this.ui.cams?.children ?? []) btn.classList.toggle('on', btn.dataset.cam === mode);
+  }
+
+  placeFlyCamera(position, yaw) {
+    this.flyCamera.position.copy(position);
+    this.flyCamera.position.y += 2.5;
+    this._fly.yaw = yaw;
+    this._fly.pitch = -0.45;
+    this.flyCamera.rotation.set(this._fly.pitch, yaw, 0, 'YXZ');
+  }
+
+  seek(frame) {
+    if (!this.data) return;
+    const target = clamp(Math.round(frame), 0, this.frames);
+    if (target < this.frame) this._restart();
+    while (this.frame < target) this.stepMatch(this.player, { muted: true });
+    this._acc = 0;
+    this._syncUI();
+  }
+
+  _restart() {
+    this.player = new ReplayPlayer(this.data);
+    this.restartMatch(this.data);
+  }
+
+  _buildCameraButtons() {
+    const host = this.ui.cams;
+    if (!host) return;
+    host.innerHTML = '';
+    this.cameraModes.forEach((mode, i) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn replay-btn';
+      btn.dataset.cam = mode;
+      const free = mode === ReplayCamera.FREE;
+      btn.textContent = free ? 'FREE' : mode.toUpperCase();
+      btn.title = free ? `Serbest kamera (${i + 1}): WASD, R/F, oklar` : `${mode.toUpperCase()} gözünden (${i + 1})`;
+      btn.addEventListener('click', () => this.setCameraMode(mode));
+      host.appendChild(btn);
+    });
+  }
+
+  _buildMarkers() {
+    const host = this.ui.markers;
+    if (!host) return;
+    host.innerHTML = '';
+    const total = Math.max(1, this.frames);
+    for (const k of this.data.kills ?? []) {
+      const m = document.createElement('button');
+      m.type = 'button';
+      m.className = `replay-marker ${k.killerId}`;
+      m.style.left = `${(k.at / total) * 100}%`;
+      m.title = `${k.killerId.toUpperCase()} → ${k.victimId.toUpperCase()} (${fmtTime(k.at)})`;
+      // Jump a little before the kill so you see it happen.
+      m.addEventListener('click', () => this.seek(k.at - 3 * SIM_HZ));
+      host.appendChild(m);
+    }
+  }
+
+  // Called once per fixed game tick while the viewer is open.
+  update(dt) {
+    if (!this.data) return;
+    const input = this.input;
+
+    if (input.wasPressed('Escape')) {
+      this.onExit?.();
+      return;
+    }
+    if (input.wasPressed('Space')) this.togglePlay();
+    if (input.wasPressed('Comma')) this.seek(this.frame - 5 * SIM_HZ);
+    if (input.wasPressed('Period')) this.seek(this.frame + 5 * SIM_HZ);
+    if (input.wasPressed('Minus')) this._stepSpeed(-1);
+    if (input.wasPressed('Equal')) this._stepSpeed(1);
+    this.cameraModes.forEach((mode, i) => {
+      if (input.wasPressed(`Digit${i + 1}`)) this.setCameraMode(mode);
+    });
+
+    if (this.playing) {
+      this._acc += this.speed;
+      while (this._acc >= 1 && !this.player.done) {
+        this._acc -= 1;
+        this.stepMatch(this.player, { muted: false });
+      }
+      if (this.player.done) {
+        this.playing = false;
+        this._acc = 0;
+      }
+    }
+
+    if (this.cameraMode === ReplayCamera.FREE) this._updateFlyCamera(dt);
+    this._syncUI();
+  }
+
+  _updateFlyCamera(dt) {
+    const input = this.input;
+    const key = (code) => (input.isDown(code) ? 1 : 0);
+    const f = this._fly;
+
+    f.yaw += (key('ArrowLeft') - key('ArrowRight')) * 1.8 * dt;
+    f.pitch += (key('ArrowUp') - key('ArrowDown')) * 1.4 * dt;
+    if (input.pointerLocked) {
+      f.yaw -= input.mouse.dx * 0.0021;
+      f.pitch -= input.mouse.dy * 0.0021;
+    }
+    f.pitch = clamp(f.pitch, -1.45, 1.45);
+
+    const speed = (input.isDown('ShiftLeft') ? 28 : 10) * dt;
+    const fwd = yawPitchToDir(f.yaw, 0, this._tmpDir);
+    const cam = this.flyCamera;
+    const mz = key('KeyW') - key('KeyS');
+    const mx = key('KeyD') - key('KeyA');
+    cam.position.x += (fwd.x * mz - fwd.z * mx) * speed;
+    cam.position.z += (fwd.z * mz + fwd.x * mx) * speed;
+    cam.position.y = clamp(cam.position.y + (key('KeyR') - key('KeyF')) * speed, 0.3, 30);
+    cam.rotation.set(f.pitch, f.yaw, 0, 'YXZ');
+  }
+
+  // Interpolation factor for rendering between the last two replayed ticks.
+  renderAlpha(frameAlpha) {
+    if (!this.playing) return 1;
+    return clamp(this._acc + this.speed * frameAlpha, 0, 1);
+  }
+
+  _syncUI() {
+    const ui = this.ui;
+    if (!this.data) return;
+    if (ui.play) ui.play.textContent = this.playing ? '❚❚' : '▶';
+    if (this._scrubbing) return;
+    if (ui.seek) ui.seek.value = String(this.frame);
+    if (ui.time) {
+      const end = this.player?.done && this.data.winnerId ? `  ·  ${this.data.winnerId.toUpperCase()} WINS` : '';
+      ui.time.textContent = `${fmtTime(this.frame)} / ${fmtTime(this.frames)}${end}`;
+    }
+  }
+}
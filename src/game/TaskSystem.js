@@ -1,4 +1,14 @@
 import { choice, randRange } from './math.js';
+import { Device, PadButton, padIndexOf } from './Input.js';
+
+// Snake steers with the player's move bindings (pads use the d-pad / left stick).
+const SNAKE_ACTIONS = { up: 'moveForward', down: 'moveBack', left: 'moveLeft', right: 'moveRight' };
+const DIRS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
 
 function el(tag, cls, text) {
   const e = document.createElement(tag);
@@ -68,22 +78,26 @@ function bestMoveTttMin(cells, turn, other) {
 }
 
 export class TaskSystem {
-  constructor({ input, elP1, elP2, onComplete, onClose }) {
+  constructor({ input, hosts, onComplete, onClose, getDevice, bindings, rng = Math.random }) {
     this.input = input;
-    this.el = { p1: elP1, p2: elP2 };
+    this.bindings = bindings;
+    // Which device drives each player's task window (see GameApp.devices).
+    this.getDevice = getDevice ?? ((playerId) => (playerId === 'p1' ? Device.KEYBOARD : Device.MOUSE));
+    // playerId -> task window element (GameApp adds/removes them as players join or leave).
+    this.el = hosts;
     this.onComplete = onComplete;
     this.onClose = onClose;
+    // CPU moves, questions and snake food. GameApp swaps in a seeded rng per match.
+    this.rng = rng;
 
-    this.active = {
-      p1: null,
-      p2: null
-    };
+    // Per player (missing = no task open).
+    this.active = {};
 
     // Snake runtime per player.
-    this.snake = {
-      p1: null,
-      p2: null
-    };
+    this.snake = {};
+
+    // Pad players can't click: the d-pad moves this highlighted button, A presses it.
+    this.focus = {};
   }
 
   isOpen(playerId) {
@@ -93,9 +107,12 @@ export class TaskSystem {
   close(playerId) {
     this.active[playerId] = null;
     this.snake[playerId] = null;
+    this.focus[playerId] = null;
     const host = this.el[playerId];
-    host.classList.add('hidden');
-    host.innerHTML = '';
+    if (host) {
+      host.classList.add('hidden');
+      host.innerHTML = '';
+    }
     this.onClose?.(playerId);
   }
 
@@ -113,7 +130,7 @@ export class TaskSystem {
     card.appendChild(sub);
 
     const footer = el('div', 'task-row');
-    const exitBtn = el('button', 'task-btn', playerId === 'p1' ? 'E - Exit' : 'Right Click - Exit');
+    const exitBtn = el('button', 'task-btn', `${this.bindings.actionLabel(this.getDevice(playerId), 'use')} - Exit`);
     footer.appendChild(exitBtn);
     card.appendChild(footer);
 
@@ -134,6 +151,45 @@ export class TaskSystem {
     }
 
     this.active[playerId] = { taskIndex };
+    // Start on the game itself rather than the Exit button (which comes first in the DOM).
+    if (this._padOf(playerId) != null) this._setFocus(playerId, card.querySelectorAll('button')[1] ?? exitBtn);
+  }
+
+  _padOf(playerId) {
+    return padIndexOf(this.getDevice(playerId));
+  }
+
+  _setFocus(playerId, btn) {
+    this.focus[playerId]?.classList.remove('pad-focus');
+    this.focus[playerId] = btn;
+    btn?.classList.add('pad-focus');
+  }
+
+  // Moves the pad focus to the nearest button in that direction (on screen, so it works for any layout).
+  _moveFocus(playerId, dir) {
+    const cur = this.focus[playerId];
+    if (!cur) return;
+    const center = (b) => {
+      const r = b.getBoundingClientRect();
+      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    };
+    const from = center(cur);
+    const d = DIRS[dir];
+    let best = null;
+    let bestScore = Infinity;
+    for (const b of this.el[playerId].querySelectorAll('button')) {
+      if (b === cur) continue;
+      const c = center(b);
+      const along = (c.x - from.x) * d.x + (c.y - from.y) * d.y;
+      if (along < 4) continue;
+      const across = Math.abs((c.x - from.x) * d.y) + Math.abs((c.y - from.y) * d.x);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = b;
+      }
+    }
+    if (best) this._setFocus(playerId, best);
   }
 
   _complete(playerId, taskIndex) {
@@ -142,23 +198,28 @@ export class TaskSystem {
   }
 
   update(dt) {
-    // Snake runs while the task is open.
-    for (const id of ['p1', 'p2']) {
+    for (const id of Object.keys(this.active)) {
+      if (!this.active[id]) continue;
+      const pad = this._padOf(id);
       const s = this.snake[id];
-      if (!s) continue;
 
-      // Controls while in snake:
-      // - P1 uses WASD
-      // - P2 uses Arrow keys
-      const up = id === 'p1' ? 'KeyW' : 'ArrowUp';
-      const down = id === 'p1' ? 'KeyS' : 'ArrowDown';
-      const left = id === 'p1' ? 'KeyA' : 'ArrowLeft';
-      const right = id === 'p1' ? 'KeyD' : 'ArrowRight';
+      // Pad: d-pad steers the snake, or moves the button focus in the other tasks.
+      let padDir = null;
+      if (pad != null) {
+        padDir = this.input.padDirPressed(pad);
+        if (this.input.padPressed(pad, PadButton.A)) this.focus[id]?.click();
+        if (!s && padDir) this._moveFocus(id, padDir);
+      }
+      // The A press above may have closed the task.
+      if (!s || this.snake[id] !== s) continue;
 
-      if (this.input.wasPressed(up) && s.dir.y !== 1) s.nextDir = { x: 0, y: -1 };
-      if (this.input.wasPressed(down) && s.dir.y !== -1) s.nextDir = { x: 0, y: 1 };
-      if (this.input.wasPressed(left) && s.dir.x !== 1) s.nextDir = { x: -1, y: 0 };
-      if (this.input.wasPressed(right) && s.dir.x !== -1) s.nextDir = { x: 1, y: 0 };
+      // Controls while in snake: the player's move keys or the pad.
+      const device = this.getDevice(id);
+      const pressed = (dir) => padDir === dir || (pad == null && this.input.anyPressed(this.bindings.codes(device, SNAKE_ACTIONS[dir])));
+      if (pressed('up') && s.dir.y !== 1) s.nextDir = DIRS.up;
+      if (pressed('down') && s.dir.y !== -1) s.nextDir = DIRS.down;
+      if (pressed('left') && s.dir.x !== 1) s.nextDir = DIRS.left;
+      if (pressed('right') && s.dir.x !== -1) s.nextDir = DIRS.right;
 
       s.acc += dt;
       const stepDt = 0.11;
@@ -194,8 +255,8 @@ export class TaskSystem {
       for (let i = 0; i < 9; i++) if (!cells[i]) empty.push(i);
       if (empty.length === 0) return;
 
-      const useOptimal = Math.random() < 0.6;
-      const idx = useOptimal ? bestMoveTtt(cells).idx : choice(empty);
+      const useOptimal = this.rng() < 0.6;
+      const idx = useOptimal ? bestMoveTtt(cells).idx : choice(empty, this.rng);
       if (idx == null) return;
       cells[idx] = 'O';
     };
@@ -265,6 +326,11 @@ export class TaskSystem {
     reset();
   }
 
+  // `code` is bound in the layout of another player on the shared keyboard.
+  _otherPlayersKey(playerId, code) {
+    return Object.keys(this.el).some((id) => id !== playerId && this.bindings.bound(this.getDevice(id), code));
+  }
+
   _mountMultiplication(playerId, card, onWin) {
     const question = el('div', 'task-sub');
     question.style.fontSize = '18px';
@@ -289,21 +355,23 @@ export class TaskSystem {
     inp.style.fontSize = '16px';
 
     const submit = el('button', 'task-btn', 'Enter');
+    // Pads get an on-screen keypad (and the text field must not grab the shared keyboard's focus).
+    const usePad = this._padOf(playerId) != null;
 
     inputWrap.appendChild(inp);
-    inputWrap.appendChild(submit);
+    if (!usePad) inputWrap.appendChild(submit);
 
-    const status = el('div', 'task-sub', 'Type the answer and press Enter.');
+    const status = el('div', 'task-sub', usePad ? 'Pick the digits, then OK.' : 'Type the answer and press Enter.');
     status.style.marginTop = '10px';
 
     let a = 1;
     let b = 1;
     const newQ = () => {
-      a = Math.floor(randRange(2, 10));
-      b = Math.floor(randRange(2, 10));
+      a = Math.floor(randRange(2, 10, this.rng));
+      b = Math.floor(randRange(2, 10, this.rng));
       question.textContent = `${a} × ${b} = ?`;
       inp.value = '';
-      inp.focus();
+      if (!usePad) inp.focus();
     };
 
     const check = () => {
@@ -319,11 +387,31 @@ export class TaskSystem {
 
     submit.addEventListener('click', check);
     inp.addEventListener('keydown', (e) => {
+      // The field has the shared keyboard's focus: the other keyboard player's keys (numpad slots,
+      // crouch, a rebound jump on Enter...) must not type into it or submit it.
+      if (this._otherPlayersKey(playerId, e.code)) {
+        e.preventDefault();
+        return;
+      }
       if (e.key === 'Enter') check();
     });
 
     card.appendChild(question);
     card.appendChild(inputWrap);
+    if (usePad) {
+      inp.readOnly = true;
+      const keypad = el('div', 'task-keypad');
+      for (const k of ['1', '2', '3', '4', '5', '6', '7', '8', '9', '⌫', '0', 'OK']) {
+        const key = el('button', 'task-btn', k);
+        key.addEventListener('click', () => {
+          if (k === 'OK') check();
+          else if (k === '⌫') inp.value = inp.value.slice(0, -1);
+          else if (inp.value.length < 3) inp.value += k;
+        });
+        keypad.appendChild(key);
+      }
+      card.appendChild(keypad);
+    }
     card.appendChild(status);
     newQ();
   }
@@ -410,7 +498,7 @@ export class TaskSystem {
           empties.push({ x, y });
         }
       }
-      s.food = choice(empties) ?? { x: 10, y: 10 };
+      s.food = choice(empties, this.rng) ?? { x: 10, y: 10 };
       if (s.eaten >= 10) {
         s.status.textContent = 'Complete! Weapon upgraded.';
         s.onWin();
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { WeaponType } from './Weapons.js';
+import { SWITCH_TIME, WEAPONS, WeaponType, weaponDef } from './Weapons.js';
 import { clamp } from './math.js';
 
 // First-person weapon placeholders + simple FX (muzzle flash + tracer + knife swing).
@@ -18,16 +18,9 @@ export class WeaponView {
     // User request: bigger guns.
     this.root.scale.setScalar(1.35);
 
-    // Build weapon meshes.
-    this.models = {
-      [WeaponType.KNIFE]: buildKnife(),
-      [WeaponType.PISTOL]: buildPistol(),
-      [WeaponType.VANDAL]: buildVandal(),
-      [WeaponType.SNIPER]: buildSniper(),
-      [WeaponType.BOTTLE]: buildBottle(),
-      [WeaponType.SHOTGUN]: buildShotgun(),
-      [WeaponType.LASER]: buildLaser()
-    };
+    // Build weapon meshes (one per registry entry, by its view model).
+    this.models = {};
+    for (const [type, def] of Object.entries(WEAPONS)) this.models[type] = MODEL_BUILDERS[def.view.model]();
     for (const m of Object.values(this.models)) {
       m.visible = false;
       this.root.add(m);
@@ -65,6 +58,12 @@ export class WeaponView {
     this._knifeSwing = 0; // 0..1
     this._knifeSwingVel = 0;
 
+    // Shot recoil (0..1): model kicks back + up.
+    this._recoil = 0;
+    // Weapon switch (1..0): the new model comes up from below.
+    this._type = null;
+    this._switch = 0;
+
     // Knife trail (exaggerated slash effect).
     const trailGeo = new THREE.PlaneGeometry(0.5, 0.22);
     const trailMat = new THREE.MeshBasicMaterial({
@@ -88,8 +87,17 @@ export class WeaponView {
     this.camera.add(this.root);
   }
 
+  // Player left the match (fewer players next round).
+  detach() {
+    this.camera.remove(this.root);
+    this.scene.remove(this.tracer);
+  }
+
   setWeapon(type) {
     for (const [k, m] of Object.entries(this.models)) m.visible = k === type;
+    // First weapon of the match just appears.
+    if (this._type && type !== this._type) this._switch = 1;
+    this._type = type;
   }
 
   triggerShot({ weaponType }) {
@@ -97,17 +105,16 @@ export class WeaponView {
     const muzzle = this._getMuzzleLocal(weaponType);
     this.muzzleFlash.position.copy(muzzle);
     this.muzzleFlash.rotation.set(0, 0, 0);
-    this.muzzleFlash.visible = true;
-    this._flashT = weaponType === WeaponType.SNIPER ? 0.07 : 0.05;
-
-    // Color per weapon.
-    if (weaponType === WeaponType.SNIPER) {
-      this.muzzleFlash.material.color.setHex(0xaad8ff); // blue-white
-      this.muzzleFlash.material.opacity = 0.95;
-    } else {
-      this.muzzleFlash.material.color.setHex(0xffb13b); // yellow-orange
-      this.muzzleFlash.material.opacity = 0.9;
-    }
+    this.muzzleFlash.visible = this._flashT > 0;
+    const def = weaponDef(weaponType);
+    const view = def.view;
+    this._recoil = Math.min(1, this._recoil + (def.recoil?.model ?? 0));
+    // Throwables: no flash (flashTime 0).
+    this._flashT = view.flashTime ?? 0.05;
+
+    // Color per weapon (default yellow-orange).
+    this.muzzleFlash.material.color.setHex(view.flash ?? 0xffb13b);
+    this.muzzleFlash.material.opacity = view.flash ? 0.95 : 0.9;
   }
 
   showTracer({ weaponType, origin, end }) {
@@ -120,13 +127,13 @@ export class WeaponView {
     pos[5] = end.z;
     this.tracer.geometry.attributes.position.needsUpdate = true;
 
-    // Color per weapon.
-    if (weaponType === WeaponType.SNIPER) this.tracer.material.color.setHex(0xff3333); // red
-    else this.tracer.material.color.setHex(0xffd24a); // yellow
+    // Color per weapon (default yellow); coloured beams linger a bit longer.
+    const beam = weaponDef(weaponType).view.tracer;
+    this.tracer.material.color.setHex(beam ?? 0xffd24a);
 
     this.tracer.material.opacity = 0.95;
     this.tracer.visible = true;
-    this._tracerT = weaponType === WeaponType.SNIPER ? 0.08 : 0.06;
+    this._tracerT = beam ? 0.08 : 0.06;
   }
 
   triggerKnifeHitSwing() {
@@ -148,11 +155,24 @@ export class WeaponView {
     this.root.position.y = -0.28 + Math.sin(this._t * 1.8 + 1.2) * sway * 0.6;
 
     // Sniper zoom pulls the weapon inwards (feel like “tightens”).
-    const zoom = weaponType === WeaponType.SNIPER ? sniperZoom01 : 0;
+    const zoom = weaponDef(weaponType).zoom ? sniperZoom01 : 0;
     this.root.position.z = -0.58 + zoom * 0.18;
     this.root.position.x = 0.32 - zoom * 0.08;
     this.root.position.y = -0.28 - zoom * 0.06;
 
+    // Recoil: back towards the camera and muzzle up, springing back.
+    this._recoil = Math.max(0, this._recoil - dt * 6);
+    this.root.position.z += this._recoil * 0.09;
+    this.root.rotation.x = this._recoil * 0.22;
+
+    // Switch: dipped and tilted down, raising over SWITCH_TIME.
+    if (this._switch > 0) {
+      this._switch = Math.max(0, this._switch - dt / SWITCH_TIME);
+      const s = this._switch * this._switch;
+      this.root.position.y -= s * 0.32;
+      this.root.rotation.x -= s * 0.7;
+    }
+
     // Muzzle flash decay.
     if (this._flashT > 0) {
       this._flashT = Math.max(0, this._flashT - dt);
@@ -216,15 +236,30 @@ export class WeaponView {
 
   _getMuzzleLocal(weaponType) {
     // Local positions for the muzzle flash relative to weapon root.
-    if (weaponType === WeaponType.PISTOL) return new THREE.Vector3(0.18, 0.05, -0.24);
-    if (weaponType === WeaponType.VANDAL) return new THREE.Vector3(0.38, 0.06, -0.34);
-    if (weaponType === WeaponType.SNIPER) return new THREE.Vector3(0.62, 0.08, -0.42);
-    if (weaponType === WeaponType.SHOTGUN) return new THREE.Vector3(0.34, 0.06, -0.3);
-    if (weaponType === WeaponType.LASER) return new THREE.Vector3(0.5, 0.06, -0.38);
-    return new THREE.Vector3(0.12, 0.04, -0.18);
+    const muzzle = weaponDef(weaponType).view.muzzle;
+    return muzzle ? new THREE.Vector3(...muzzle) : new THREE.Vector3(0.12, 0.04, -0.18);
   }
 }
 
+// Fresh copy of a weapon's model, e.g. for a gun lying on the floor (World drops).
+export function buildWeaponModel(type) {
+  return MODEL_BUILDERS[weaponDef(type).view.model]();
+}
+
+// View models by name (WEAPONS[type].view.model).
+const MODEL_BUILDERS = {
+  knife: buildKnife,
+  pistol: buildPistol,
+  vandal: buildVandal,
+  sniper: buildSniper,
+  bottle: buildBottle,
+  shotgun: buildShotgun,
+  laser: buildLaser,
+  grenade: buildGrenade,
+  rocket: buildRocket,
+  molotov: buildMolotov
+};
+
 function buildKnife() {
   const g = new THREE.Group();
   const bladeMat = new THREE.MeshStandardMaterial({ color: 0x252a33, roughness: 0.18, metalness: 0.95 });
@@ -397,3 +432,61 @@ function buildLaser() {
   return g;
 }
 
+function buildGrenade() {
+  const g = new THREE.Group();
+  const bodyMat = new THREE.MeshStandardMaterial({ color: 0x3d5a2a, roughness: 0.8, metalness: 0.2 });
+  const metalMat = new THREE.MeshStandardMaterial({ color: 0x9aa3ad, roughness: 0.4, metalness: 0.8 });
+  const body = new THREE.Mesh(new THREE.SphereGeometry(0.07, 14, 12), bodyMat);
+  body.position.set(0.12, 0.02, -0.12);
+  const cap = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 0.04, 10), metalMat);
+  cap.position.set(0.12, 0.1, -0.12);
+  const lever = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.1, 0.025), metalMat);
+  lever.position.set(0.16, 0.06, -0.12);
+  lever.rotation.z = -0.35;
+  const ring = new THREE.Mesh(new THREE.TorusGeometry(0.022, 0.005, 6, 14), metalMat);
+  ring.position.set(0.09, 0.12, -0.12);
+  g.add(body, cap, lever, ring);
+  g.scale.setScalar(1.25);
+  g.position.set(0.06, -0.02, 0.02);
+  return g;
+}
+
+function buildRocket() {
+  const g = new THREE.Group();
+  const tubeMat = new THREE.MeshStandardMaterial({ color: 0x4a5a3a, roughness: 0.7, metalness: 0.2 });
+  const darkMat = new THREE.MeshStandardMaterial({ color: 0x151922, roughness: 0.9, metalness: 0.15 });
+  const warheadMat = new THREE.MeshStandardMaterial({ color: 0xdfe7f2, roughness: 0.45, metalness: 0.3 });
+  const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.8, 14), tubeMat);
+  tube.rotation.z = Math.PI / 2;
+  tube.position.set(0.26, 0.12, -0.16);
+  const warhead = new THREE.Mesh(new THREE.ConeGeometry(0.055, 0.14, 12), warheadMat);
+  warhead.rotation.z = -Math.PI / 2;
+  warhead.position.set(0.72, 0.12, -0.16);
+  const grip = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.14, 0.06), darkMat);
+  grip.position.set(0.14, 0.0, -0.14);
+  const sight = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.05, 0.03), darkMat);
+  sight.position.set(0.3, 0.2, -0.16);
+  g.add(tube, warhead, grip, sight);
+  g.scale.setScalar(1.1);
+  g.position.set(0.0, -0.04, 0);
+  g.rotation.y = -0.2;
+  return g;
+}
+
+function buildMolotov() {
+  const g = new THREE.Group();
+  const glassMat = new THREE.MeshStandardMaterial({ color: 0x37e6a1, roughness: 0.2, metalness: 0.3, transparent: true, opacity: 0.85 });
+  const ragMat = new THREE.MeshStandardMaterial({ color: 0xff9a2f, roughness: 0.9, emissive: 0xff6a1a, emissiveIntensity: 0.8 });
+  const body = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.06, 0.22, 14), glassMat);
+  body.position.set(0.12, 0.02, -0.12);
+  const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.022, 0.03, 0.08, 12), glassMat);
+  neck.position.set(0.12, 0.15, -0.12);
+  const rag = new THREE.Mesh(new THREE.SphereGeometry(0.035, 10, 8), ragMat);
+  rag.position.set(0.12, 0.21, -0.12);
+  g.add(body, neck, rag);
+  g.scale.setScalar(1.25);
+  g.position.set(0.08, -0.02, 0.02);
+  g.rotation.y = -0.25;
+  g.rotation.z = 0.35;
+  return g;
+}
@@ -1,4 +1,4 @@
-import { clamp } from './math.js';
+import { clamp, lerp } from './math.js';
 
 export const WeaponType = Object.freeze({
   KNIFE: 'Knife',
@@ -7,7 +7,10 @@ export const WeaponType = Object.freeze({
   SNIPER: 'Sniper',
   BOTTLE: 'Bottle',
   SHOTGUN: 'Shotgun',
-  LASER: 'Laser'
+  LASER: 'Laser',
+  GRENADE: 'Grenade',
+  ROCKET: 'Rocket',
+  MOLOTOV: 'Molotov'
 });
 
 export function weaponForTaskLevel(level) {
@@ -18,110 +21,401 @@ export function weaponForTaskLevel(level) {
   return WeaponType.SNIPER;
 }
 
-export function damageForWeapon(type) {
-  switch (type) {
-    case WeaponType.KNIFE:
-      return 40;
-    case WeaponType.PISTOL:
-      return 25;
-    case WeaponType.VANDAL:
-      return 50;
-    case WeaponType.SNIPER:
-      return 100;
-    case WeaponType.BOTTLE:
-      return 70;
-    case WeaponType.SHOTGUN:
-      return 60;
-    case WeaponType.LASER:
-      return 60;
-    default:
-      return 10;
+// What a player (re)spawns with after `level` tasks: knife, + pistol, + vandal (sniper after the last task).
+export function loadoutForTaskLevel(level) {
+  const out = [WeaponType.KNIFE];
+  if (level >= 1) out.push(WeaponType.PISTOL);
+  if (level >= 2) out.push(weaponForTaskLevel(level));
+  return out;
+}
+
+// Inventory slots in HUD / cycling order; every weapon goes in one (WEAPONS[type].slot).
+// The melee slot is never empty: without a bottle it holds the knife.
+export const WEAPON_SLOTS = ['melee', 'sidearm', 'primary', 'special'];
+// Seconds to pull out another weapon when switching by hand (no shooting meanwhile).
+export const SWITCH_TIME = 0.35;
+
+// Where a bullet lands (Player.hitbox zones): headshots hurt double, arms and legs a bit less.
+export const HIT_ZONES = Object.freeze({ head: 2, body: 1, limb: 0.75 });
+
+// Weapon registry: everything a weapon is, in one entry. Adding a weapon = a WeaponType + an entry here
+// (plus a model builder in WeaponView.js if it needs a new look).
+//
+// Fields (all but damage / range / cooldown / fireMode / view optional):
+//   slot: inventory slot (WEAPON_SLOTS).
+//   damage: per hit (per target for pellet weapons, at the blast centre for projectiles).
+//   melee: hits whoever is in reach in front instead of shooting a ray; breaks: gone after one hit.
+//   mag / reserve: starting ammo (none for melee).
+//   reload / cooldown: seconds.
+//   fireMode: 'semi' (per press), 'auto' (while held), 'release' (hold to zoom, release to fire; press
+//     with the aim button) or 'burst' (burst rounds per press, burstInterval s apart).
+//   pellets / spread: rays per shot and their jitter [horizontal, vertical], added to the aim direction.
+//   range: ray length (m).
+//   penetration: how much prop a round can go through (metres at density 1, see SURFACES in World.js);
+//     0 / missing = stops at the first surface.
+//   projectile: fired / thrown object instead of a ray (Projectiles.js): speed, gravity, lob (extra launch
+//     pitch), radius, impact (blows up on contact) or bounce + fuse (s; also the max flight time), blast
+//     radius with damage falling off to minScale at the edge, fire: molotov burn zone (World.spawnFirePatch).
+//   consumable: gone after the last one (back to the normal weapon).
+//   gift: can come out of a gift box.
+//   zones: damage multiplier per hit zone (head / body / limb, default HIT_ZONES; melee always 1).
+//   falloff: range curve on the hit distance (projectiles: launch to blast): full damage up to `start` m,
+//     linearly down to `min` x at `end` m and beyond (falloffScale).
+//   blast: lava blast at the impact, plus splash damage on a direct hit.
+//   accuracy: spread cone half-angles (rad): base (zoomBase when fully zoomed), plus bloom per shot (up to
+//     maxBloom, shrinking by recovery per s), plus move at full run speed, plus air while jumping.
+//   recoil: camera kick (rad) and model kick (0..1).
+//   zoom: scope fov and move speed scale while zoomed.
+//   blood: blood particles per hit.
+//   sfx: shot sound (melee: swing sound, missVolume on a whiff).
+//   view: model (WeaponView builder), muzzle flash position / colour, tracer colour.
+//   botRange: distance bots fight at.
+export const WEAPONS = Object.freeze({
+  [WeaponType.KNIFE]: {
+    slot: 'melee',
+    damage: 40,
+    melee: true,
+    range: 2.0,
+    cooldown: 0.45,
+    fireMode: 'semi',
+    blood: 12,
+    sfx: { file: 'knife.ogg', volume: 0.6, fallback: 'pistol', missVolume: 0.35, missFallback: 'step' },
+    botRange: 1.2,
+    view: { model: 'knife' }
+  },
+  [WeaponType.BOTTLE]: {
+    slot: 'melee',
+    damage: 70,
+    melee: true,
+    breaks: true, // one hit and it's gone
+    range: 2.0,
+    cooldown: 0.55,
+    fireMode: 'semi',
+    blood: 14,
+    botRange: 1.2,
+    view: { model: 'bottle' }
+  },
+  [WeaponType.PISTOL]: {
+    slot: 'sidearm',
+    damage: 25,
+    mag: 12,
+    reserve: 48,
+    reload: 1.1,
+    cooldown: 0.22,
+    fireMode: 'semi',
+    range: 120,
+    falloff: { start: 25, end: 60, min: 0.7 },
+    accuracy: { base: 0.001, bloom: 0.004, maxBloom: 0.02, recovery: 0.04, move: 0.004, air: 0.05 },
+    recoil: { kick: 0.02, model: 0.45 },
+    sfx: { file: 'pistol.ogg', volume: 0.6, fallback: 'pistol' },
+    view: { model: 'pistol', muzzle: [0.18, 0.05, -0.24] }
+  },
+  [WeaponType.VANDAL]: {
+    slot: 'primary',
+    damage: 50,
+    mag: 30,
+    reserve: 90,
+    reload: 1.35,
+    cooldown: 0.11,
+    fireMode: 'auto',
+    range: 120,
+    falloff: { start: 30, end: 70, min: 0.7 },
+    penetration: 1.2,
+    accuracy: { base: 0.002, bloom: 0.008, maxBloom: 0.06, recovery: 0.15, move: 0.012, air: 0.08 },
+    recoil: { kick: 0.012, model: 0.3 },
+    sfx: { file: 'vandal.ogg', volume: 0.55, fallback: 'vandal' },
+    view: { model: 'vandal', muzzle: [0.38, 0.06, -0.34] }
+  },
+  [WeaponType.SNIPER]: {
+    slot: 'primary',
+    damage: 100,
+    mag: 5,
+    reserve: 20,
+    reload: 1.6,
+    cooldown: 0.85,
+    fireMode: 'release',
+    range: 120,
+    falloff: { start: 60, end: 120, min: 0.8 },
+    penetration: 3,
+    // Toe-shots don't one-tap.
+    zones: { head: 2, body: 1, limb: 0.6 },
+    blood: 16,
+    zoom: { fov: 30, moveScale: 0.55 },
+    // Hip-fire is a gamble, fully zoomed it's a laser again.
+    accuracy: { base: 0.04, zoomBase: 0, bloom: 0, maxBloom: 0, recovery: 0, move: 0.015, air: 0.1 },
+    recoil: { kick: 0.05, model: 1 },
+    sfx: { file: 'sniper.ogg', volume: 0.7, fallback: 'sniper' },
+    botRange: 22,
+    view: { model: 'sniper', muzzle: [0.62, 0.08, -0.42], flash: 0xaad8ff, flashTime: 0.07, tracer: 0xff3333 }
+  },
+  [WeaponType.SHOTGUN]: {
+    slot: 'primary',
+    gift: true,
+    damage: 60,
+    mag: 6,
+    reserve: 24,
+    reload: 1.75,
+    cooldown: 0.75,
+    fireMode: 'semi',
+    pellets: 7,
+    spread: [0.06, 0.04],
+    range: 40,
+    zones: { head: 1.5, body: 1, limb: 0.75 },
+    falloff: { start: 5, end: 16, min: 0.3 },
+    blood: 12,
+    // Uses the vandal fallback if the asset is missing.
+    // Pellets have their own spread; this only moves the whole pattern.
+    accuracy: { base: 0, bloom: 0, maxBloom: 0, recovery: 0, move: 0.02, air: 0.05 },
+    recoil: { kick: 0.06, model: 1 },
+    sfx: { file: 'shotgun.ogg', volume: 0.65, fallback: 'vandal' },
+    botRange: 6,
+    view: { model: 'shotgun', muzzle: [0.34, 0.06, -0.3] }
+  },
+  [WeaponType.LASER]: {
+    slot: 'primary',
+    gift: true,
+    damage: 60,
+    mag: 3,
+    reserve: 9,
+    reload: 1.9,
+    cooldown: 0.9,
+    fireMode: 'semi',
+    range: 120,
+    falloff: { start: 45, end: 110, min: 0.7 },
+    blast: { splash: 10 },
+    blood: 14,
+    accuracy: { base: 0.002, bloom: 0, maxBloom: 0, recovery: 0, move: 0.02, air: 0.05 },
+    recoil: { kick: 0.03, model: 0.7 },
+    sfx: { file: 'laser.ogg', volume: 0.55, fallback: 'sniper' },
+    view: { model: 'laser', muzzle: [0.5, 0.06, -0.38], tracer: 0xff3333 }
+  },
+  [WeaponType.GRENADE]: {
+    slot: 'special',
+    gift: true,
+    damage: 100,
+    mag: 1,
+    reserve: 2,
+    reload: 0.6, // next one out of the pocket
+    cooldown: 0.9,
+    fireMode: 'semi',
+    consumable: true,
+    projectile: { mesh: 'grenade', speed: 15, gravity: 18, lob: 0.12, radius: 0.12, bounce: 0.45, fuse: 2.2, blast: 5, minScale: 0.15 },
+    accuracy: { base: 0, bloom: 0, maxBloom: 0, recovery: 0, move: 0.02, air: 0.04 },
+    blood: 14,
+    botRange: 12,
+    sfx: { file: 'throw.ogg', volume: 0.5, fallback: 'step' },
+    view: { model: 'grenade', flashTime: 0 }
+  },
+  [WeaponType.ROCKET]: {
+    slot: 'special',
+    gift: true,
+    damage: 110,
+    mag: 1,
+    reserve: 4,
+    reload: 2.2,
+    cooldown: 1.0,
+    fireMode: 'semi',
+    falloff: { start: 35, end: 80, min: 0.6 },
+    projectile: { mesh: 'rocket', speed: 26, gravity: 0, radius: 0.15, impact: true, fuse: 4, blast: 4, minScale: 0.2 },
+    accuracy: { base: 0.004, bloom: 0, maxBloom: 0, recovery: 0, move: 0.03, air: 0.06 },
+    recoil: { kick: 0.07, model: 1 },
+    blood: 16,
+    botRange: 16,
+    sfx: { file: 'rocket.ogg', volume: 0.7, fallback: 'sniper' },
+    view: { model: 'rocket', muzzle: [0.62, 0.1, -0.42] }
+  },
+  [WeaponType.MOLOTOV]: {
+    slot: 'special',
+    gift: true,
+    damage: 20,
+    mag: 1,
+    reserve: 1,
+    reload: 0.6,
+    cooldown: 0.9,
+    fireMode: 'semi',
+    consumable: true,
+    projectile: {
+      mesh: 'molotov',
+      speed: 13,
+      gravity: 18,
+      lob: 0.15,
+      radius: 0.1,
+      impact: true,
+      fuse: 5,
+      blast: 2.5,
+      minScale: 0.5,
+      fire: { count: 7, spread: 1.4, lifetime: 8 }
+    },
+    accuracy: { base: 0, bloom: 0, maxBloom: 0, recovery: 0, move: 0.02, air: 0.04 },
+    blood: 10,
+    botRange: 10,
+    sfx: { file: 'throw.ogg', volume: 0.5, fallback: 'step' },
+    view: { model: 'molotov', flashTime: 0 }
   }
+});
+
+const UNKNOWN_WEAPON = { damage: 10, cooldown: 0, fireMode: 'semi', range: 120, view: {} };
+
+// What a gift box can hold (WEAPONS entries with `gift`).
+export const GIFT_WEAPONS = Object.keys(WEAPONS).filter((type) => WEAPONS[type].gift);
+
+export function weaponDef(type) {
+  return WEAPONS[type] ?? UNKNOWN_WEAPON;
+}
+
+// Damage multiplier for a hit `dist` m away (WEAPONS[type].falloff); 1 for weapons without a curve.
+export function falloffScale(type, dist) {
+  const f = weaponDef(type).falloff;
+  if (!f || dist <= f.start) return 1;
+  if (dist >= f.end) return f.min;
+  return lerp(1, f.min, (dist - f.start) / (f.end - f.start));
+}
+
+export function zoneMultiplier(type, zone) {
+  const def = weaponDef(type);
+  if (def.melee || !zone) return 1;
+  return def.zones?.[zone] ?? HIT_ZONES[zone] ?? 1;
+}
+
+export function slotOf(type) {
+  return weaponDef(type).slot ?? 'special';
 }
 
+// A weapon in the inventory with its own ammo (kept while another slot is in hand).
+function slotEntry(type, { mag = weaponDef(type).mag ?? 0, reserve = weaponDef(type).reserve ?? 0 } = {}) {
+  return { type, mag, reserve };
+}
+
+// One player's weapons: an inventory of slots (WEAPON_SLOTS) plus the state of the one in hand.
+// type / mag / reserve always refer to the active slot.
 export class WeaponState {
   constructor() {
-    this.type = WeaponType.KNIFE;
-
-    // Ammo model: mag + reserve.
-    this.mag = 0;
-    this.reserve = 0;
+    /** @type {Record<string, {type:string, mag:number, reserve:number}|null>} */
+    this.slots = {};
+    this.slot = 'melee';
+    // Slot held before the last switch (the bottle breaking goes back to it).
+    this.prevSlot = null;
 
     this.cooldown = 0;
     this.reloadTimer = 0;
 
-    // Sniper special: hold to zoom, release to fire.
+    // Rounds still to come in the current burst ('burst' fire mode).
+    this.burstLeft = 0;
+    // Extra spread (rad) from sustained fire, see WEAPONS[type].accuracy.
+    this.bloom = 0;
+
+    // Scoped weapons ('release' fire mode, sniper): hold to zoom, release to fire.
     this.sniperAiming = false;
     this.sniperZoom01 = 0;
+    // Zoom is coming from the aim button (intent.aim), not from holding fire.
+    this.aimHeld = false;
+
+    this.reset([WeaponType.KNIFE]);
+  }
+
+  get type() {
+    return this.slots[this.slot]?.type ?? WeaponType.KNIFE;
+  }
+
+  // Ammo model: mag + reserve, per slot.
+  get mag() {
+    return this.slots[this.slot]?.mag ?? 0;
+  }
+  set mag(v) {
+    if (this.slots[this.slot]) this.slots[this.slot].mag = v;
+  }
+  get reserve() {
+    return this.slots[this.slot]?.reserve ?? 0;
+  }
+  set reserve(v) {
+    if (this.slots[this.slot]) this.slots[this.slot].reserve = v;
+  }
+
+  // Fresh inventory (full ammo), best weapon in hand.
+  reset(types) {
+    for (const slot of WEAPON_SLOTS) this.slots[slot] = null;
+    this.slots.melee = slotEntry(WeaponType.KNIFE);
+    for (const type of types) this.give(type);
+    this.prevSlot = null;
+    this.equip(this.bestSlot());
+  }
+
+  // Puts `type` in its slot (full ammo unless given), replacing whatever was there. Doesn't switch to it.
+  give(type, ammo) {
+    const slot = slotOf(type);
+    this.slots[slot] = slotEntry(type, ammo);
+    return slot;
+  }
+
+  // Empties a slot (melee falls back to the knife) and returns what was in it.
+  take(slot) {
+    const entry = this.slots[slot];
+    this.slots[slot] = slot === 'melee' ? slotEntry(WeaponType.KNIFE) : null;
+    return entry;
+  }
+
+  has(type) {
+    return this.slots[slotOf(type)]?.type === type;
   }
 
-  setWeapon(type) {
-    this.type = type;
+  // Takes `slot` in hand (false if it's empty). Reload, burst, zoom and bloom don't carry over.
+  equip(slot) {
+    if (!this.slots[slot]) return false;
+    if (slot !== this.slot) this.prevSlot = this.slot;
+    this.slot = slot;
     this.cooldown = 0;
     this.reloadTimer = 0;
     this.sniperAiming = false;
     this.sniperZoom01 = 0;
+    this.aimHeld = false;
+    this.burstLeft = 0;
+    this.bloom = 0;
+    return true;
+  }
+
+  // Next / previous owned slot from the active one (dir 1 / -1), wrapping around.
+  cycle(dir) {
+    const n = WEAPON_SLOTS.length;
+    let i = WEAPON_SLOTS.indexOf(this.slot);
+    for (let k = 1; k < n; k++) {
+      i = (i + dir + n) % n;
+      if (this.slots[WEAPON_SLOTS[i]]) return WEAPON_SLOTS[i];
+    }
+    return this.slot;
+  }
 
-    if (type === WeaponType.KNIFE) {
-      this.mag = 0;
-      this.reserve = 0;
-    } else if (type === WeaponType.BOTTLE) {
-      this.mag = 0;
-      this.reserve = 0;
-    } else if (type === WeaponType.SHOTGUN) {
-      this.mag = 6;
-      this.reserve = 24;
-    } else if (type === WeaponType.LASER) {
-      this.mag = 3;
-      this.reserve = 9;
-    } else if (type === WeaponType.PISTOL) {
-      this.mag = 12;
-      this.reserve = 48;
-    } else if (type === WeaponType.VANDAL) {
-      this.mag = 30;
-      this.reserve = 90;
-    } else if (type === WeaponType.SNIPER) {
-      this.mag = 5;
-      this.reserve = 20;
+  // What to hold when nothing else was picked: primary, sidearm, special, then melee; guns need ammo left.
+  bestSlot() {
+    for (const slot of ['primary', 'sidearm', 'special']) {
+      const e = this.slots[slot];
+      if (e && e.mag + e.reserve > 0) return slot;
     }
+    return 'melee';
+  }
+
+  get def() {
+    return weaponDef(this.type);
   }
 
   getMaxMag() {
-    if (this.type === WeaponType.PISTOL) return 12;
-    if (this.type === WeaponType.VANDAL) return 30;
-    if (this.type === WeaponType.SNIPER) return 5;
-    if (this.type === WeaponType.SHOTGUN) return 6;
-    if (this.type === WeaponType.LASER) return 3;
-    return 0;
+    return this.def.mag ?? 0;
   }
 
   canShoot() {
     if (this.reloadTimer > 0) return false;
     if (this.cooldown > 0) return false;
-    if (this.type === WeaponType.KNIFE) return true;
-    if (this.type === WeaponType.BOTTLE) return true;
+    if (this.def.melee) return true;
     return this.mag > 0;
   }
 
   startReload() {
-    if (this.type === WeaponType.KNIFE) return false;
-    if (this.type === WeaponType.BOTTLE) return false;
+    if (this.def.melee) return false;
     if (this.reloadTimer > 0) return false;
     if (this.mag >= this.getMaxMag()) return false;
     if (this.reserve <= 0) return false;
 
-    // Slightly different per weapon.
-    const t =
-      this.type === WeaponType.SNIPER
-        ? 1.6
-        : this.type === WeaponType.VANDAL
-          ? 1.35
-          : this.type === WeaponType.SHOTGUN
-            ? 1.75
-            : this.type === WeaponType.LASER
-              ? 1.9
-              : 1.1;
-    this.reloadTimer = t;
+    this.reloadTimer = this.def.reload ?? 1.1;
+    this.burstLeft = 0;
     return true;
   }
 
@@ -138,22 +432,26 @@ export class WeaponState {
       }
     }
 
-    // Smooth zoom animation for sniper.
+    // Spread from sustained fire settles back.
+    const acc = this.def.accuracy;
+    if (acc && this.bloom > 0) this.bloom = Math.max(0, this.bloom - acc.recovery * dt);
+
+    // Smooth zoom animation for scoped weapons.
     const target = this.sniperAiming ? 1 : 0;
     const speed = 10;
     this.sniperZoom01 = clamp(this.sniperZoom01 + (target - this.sniperZoom01) * (1 - Math.exp(-speed * dt)), 0, 1);
   }
 
   consumeShot() {
-    if (this.type !== WeaponType.KNIFE && this.type !== WeaponType.BOTTLE) this.mag = Math.max(0, this.mag - 1);
-    // Fire rate: pistol/vandal faster, sniper slower, knife has swing delay.
-    if (this.type === WeaponType.KNIFE) this.cooldown = 0.45;
-    else if (this.type === WeaponType.BOTTLE) this.cooldown = 0.55;
-    else if (this.type === WeaponType.PISTOL) this.cooldown = 0.22;
-    else if (this.type === WeaponType.VANDAL) this.cooldown = 0.11;
-    else if (this.type === WeaponType.SNIPER) this.cooldown = 0.85;
-    else if (this.type === WeaponType.SHOTGUN) this.cooldown = 0.75;
-    else if (this.type === WeaponType.LASER) this.cooldown = 0.9;
+    const def = this.def;
+    if (!def.melee) this.mag = Math.max(0, this.mag - 1);
+    if (def.accuracy) this.bloom = Math.min(def.accuracy.maxBloom, this.bloom + def.accuracy.bloom);
+    // Burst: the next round follows after burstInterval, the full cooldown comes after the last one.
+    if (this.burstLeft > 0) this.burstLeft -= 1;
+    if (this.burstLeft > 0 && this.mag > 0) this.cooldown = def.burstInterval ?? 0.08;
+    else {
+      this.burstLeft = 0;
+      this.cooldown = def.cooldown;
+    }
   }
 }
-
@@ -156,6 +156,8 @@ export class WeatherSystem {
 
     const scene = this.world.scene;
     if (type !== WeatherType.ALL_GOLD) this.world.applyTheme?.('default');
+    // Restart spawn timers so the same seed drops bombs at the same moments.
+    this._nextBomb = 1.2;
 
     if (type === WeatherType.ALL_GOLD) {
       scene.background = new THREE.Color('#2a2205');
@@ -194,7 +196,7 @@ export class WeatherSystem {
       this.world.setLavaVisible?.(false);
       // Reset gift timer each time you apply the weather.
       this._yilbasiGiftT = 0;
-      this._yilbasiGiftAt = 30 + Math.random() * 10; // 30..40s
+      this._yilbasiGiftAt = 30 + this.world.rng() * 10; // 30..40s (seeded: gifts are gameplay)
       this._yilbasiGiftDone = false;
       this._yilbasiGiftAt2 = this._yilbasiGiftAt + 20; // second gift 20s later
       this._yilbasiGiftDone2 = false;
@@ -246,11 +248,11 @@ export class WeatherSystem {
       this._nextBomb -= dt;
       if (this._nextBomb <= 0) {
         // Slower spawn rate to keep FPS stable.
-        this._nextBomb = 2.6 + Math.random() * 2.4;
+        this._nextBomb = 2.6 + this.world.rng() * 2.4;
         const marginX = 16;
         const marginZ = 14;
-        const x = (Math.random() - 0.5) * (this.world.roomW - marginX * 2);
-        const z = (Math.random() - 0.5) * (this.world.roomD - marginZ * 2);
+        const x = (this.world.rng() - 0.5) * (this.world.roomW - marginX * 2);
+        const z = (this.world.rng() - 0.5) * (this.world.roomD - marginZ * 2);
         this.world.spawnBomb?.(x, z);
       }
     }
@@ -291,8 +293,8 @@ export class WeatherSystem {
 
         const marginX = 18;
         const marginZ = 16;
-        const x = (Math.random() - 0.5) * (this.world.roomW - marginX * 2);
-        const z = (Math.random() - 0.5) * (this.world.roomD - marginZ * 2);
+        const x = (this.world.rng() - 0.5) * (this.world.roomW - marginX * 2);
+        const z = (this.world.rng() - 0.5) * (this.world.roomD - marginZ * 2);
         this.world.spawnGift?.(x, z);
       }
       if (!this._yilbasiGiftDone2 && this._yilbasiGiftT >= this._yilbasiGiftAt2) {
@@ -309,8 +311,8 @@ export class WeatherSystem {
         this.audio?.speak?.(line, { lang: 'tr-TR', rate: 1.0, pitch: 1.0, volume: 1.0 });
         const marginX = 18;
         const marginZ = 16;
-        const x = (Math.random() - 0.5) * (this.world.roomW - marginX * 2);
-        const z = (Math.random() - 0.5) * (this.world.roomD - marginZ * 2);
+        const x = (this.world.rng() - 0.5) * (this.world.roomW - marginX * 2);
+        const z = (this.world.rng() - 0.5) * (this.world.roomD - marginZ * 2);
         this.world.spawnGift?.(x, z);
       }
     } else {
@@ -1,18 +1,67 @@
 import * as THREE from 'three';
-import { randRange } from './math.js';
+import { clamp, randRange } from './math.js';
+import { createRng, randomSeed } from './Random.js';
+import { ImpactEffects } from './ImpactEffects.js';
+import { NavGrid } from './NavGrid.js';
+import { STEP_HEIGHT } from './Player.js';
+import { buildWeaponModel } from './WeaponView.js';
+
+// Health / armor / ammo pickups scattered around the hall: how many, how much they give (hp / armor points /
+// share of the held weapon's full reserve) and how many seconds a taken one takes to come back.
+// Picked up by walking over them (MatchSimulation).
+export const PICKUPS = {
+  medkit: { count: 4, amount: 50, respawn: 20 },
+  armor: { count: 3, amount: 50, respawn: 30 },
+  ammo: { count: 4, amount: 1, respawn: 25 }
+};
+
+// Seconds a dropped weapon stays on the floor before it disappears.
+export const DROP_LIFETIME = 30;
+
+// What bullets make of each collider surface (mesh.userData.surface): a round spends `density` of its
+// WEAPONS[type].penetration per metre it travels inside and keeps `keep` of its damage per surface it
+// gets through (MatchSimulation._traceBullet). Infinite density stops everything. `moves`: the surface
+// blows up or slides away, so shots leave no bullet hole on it (World.spawnImpact).
+export const SURFACES = {
+  panel: { density: 1, keep: 0.7 },
+  prop: { density: 1.4, keep: 0.6 },
+  crate: { density: 1.6, keep: 0.55 },
+  arcade: { density: 2.2, keep: 0.45 },
+  wall: { density: Infinity, keep: 0 },
+  barrel: { density: Infinity, keep: 0, moves: true },
+  elevatorDoor: { density: Infinity, keep: 0, moves: true },
+  elevatorWall: { density: Infinity, keep: 0 }
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Raised walkways against the middle of both long walls: deck width (x) / depth (z) / height (m), how long the
+// ramp up to it is (it runs along the wall, off the east end on the north deck, mirrored on the south one)
+// and how far apart the pillars under the open edge are.
+const MEZZANINE = { w: 36, d: 7, h: 3, rampLength: 11, rampWidth: 3, deckThickness: 0.35, pillarGap: 9 };
 
 // Placeholder world: one big arcade hall + simple props + colliders.
 // TODO: replace placeholder assets with real glb/models/textures.
 export class World {
-  constructor() {
+  constructor({ seed = randomSeed(), playerIds = ['p1', 'p2'] } = {}) {
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color('#05060a');
 
+    // Everything build() creates lives under root so rebuild() can drop it in one go.
+    // (Players, cameras, weather particles etc. are added to scene directly and survive.)
+    this.root = new THREE.Group();
+    this.scene.add(this.root);
+
+    // Layout + runtime spawns (gifts, bombs) draw from this; visual-only noise uses Math.random.
+    this.seed = seed;
+    this.rng = createRng(seed);
+
     // Bigger arena (user request: "ciddi haritayı bayağı büyüt").
     this.roomW = 170;
     this.roomD = 90;
 
-    /** @type {Array<{box:THREE.Box3, tag:string}>} */
+    // `ramp` (ramps only): the slope along `axis`, from the floor of the box at `from` up `rise` m at `to`.
+    /** @type {Array<{box:THREE.Box3, tag:string, surface:string, ramp?:{axis:'x'|'z', from:number, to:number, rise:number}}>} */
     this.colliders = [];
     /** @type {Array<import('three').Object3D>} */
     this.raycastMeshes = [];
@@ -20,6 +69,9 @@ export class World {
     /** @type {Array<THREE.Vector3>} */
     this.spawnPoints = [];
 
+    // Walkable grid for routing around props (findPath); baked in build().
+    this.nav = new NavGrid({ world: this });
+
     /** @type {Array<{id:number, taskIndex:number, position:THREE.Vector3}>} */
     this.arcades = [];
 
@@ -32,6 +84,14 @@ export class World {
     /** @type {Array<{id:number, mesh:THREE.Object3D, state:'falling'|'ready'|'opened', vel:THREE.Vector3}>} */
     this.gifts = [];
 
+    /** @type {Array<{id:number, kind:'medkit'|'armor'|'ammo', amount:number, mesh:THREE.Object3D, position:THREE.Vector3, taken:boolean, respawnT:number}>} */
+    this.pickups = [];
+
+    // Weapons dropped by dead players (or swapped away), with the ammo that was left in them.
+    /** @type {Array<{id:number, type:string, mag:number, reserve:number, mesh:THREE.Object3D, position:THREE.Vector3, ttl:number}>} */
+    this.drops = [];
+    this._nextDropId = 0;
+
     /** @type {Array<{id:number, mesh:THREE.Mesh, light:THREE.Light|null, box:THREE.Box3, t:number}>} */
     this.fireBlocks = [];
 
@@ -49,6 +109,9 @@ export class World {
     this._maxFireBlocks = 36;
     this._maxBombs = 8;
 
+    // Bullet holes / scorch marks + hit sparks, pooled (lives in the scene, cleared on rebuild).
+    this.impacts = new ImpactEffects(this.scene, { maxDecals: 96, maxParticles: 256 });
+
     // Volcano lava visuals (no gameplay damage).
     /** @type {Array<THREE.Mesh>} */
     this.lavaPools = [];
@@ -60,23 +123,22 @@ export class World {
     this.hackBits = [];
     this._hackOn = false;
 
-    this.elevators = {
-      // Anchors will be recomputed from room size in build().
-      p1: { doorCollider: null, doorMesh: null, display: null, cabin: null, anchor: new THREE.Vector3(-34, 0, 0) },
-      p2: { doorCollider: null, doorMesh: null, display: null, cabin: null, anchor: new THREE.Vector3(34, 0, 0) }
-    };
+    // One elevator per player (see setPlayerIds / _placeElevators).
+    this.playerIds = playerIds.slice();
+    this.elevators = {};
+    this._resetElevators();
 
-    this._displayCanvas = {
-      p1: document.createElement('canvas'),
-      p2: document.createElement('canvas')
-    };
-    this._displayCtx = {
-      p1: this._displayCanvas.p1.getContext('2d'),
-      p2: this._displayCanvas.p2.getContext('2d')
-    };
+    // Headless (Node) runs have no DOM: canvas-based visuals are skipped, colliders are not.
+    this.headless = typeof document === 'undefined';
+
+    // Elevator countdown displays, per player (created on first build).
+    this._displayCanvas = {};
+    this._displayCtx = {};
 
     // Lights (stored so WeatherSystem can tint them).
     this.lights = { ambient: null, hemi: null, key: null };
+    // Last setLighting() args, re-applied after rebuild().
+    this._lighting = null;
   }
 
   _registerThemeMesh(obj) {
@@ -132,28 +194,115 @@ export class World {
     }
   }
 
+  // Throws away the current layout and builds a fresh one from `seed`
+  // (also resets exploded barrels, picked bottles, fire, gifts...).
+  rebuild(seed = this.seed) {
+    const theme = this._themeMode;
+    this.scene.remove(this.root);
+    this.root.traverse((o) => {
+      o.geometry?.dispose?.();
+      const mats = Array.isArray(o.material) ? o.material : o.material ? [o.material] : [];
+      for (const m of mats) {
+        m.map?.dispose?.();
+        m.dispose?.();
+      }
+    });
+    this.root = new THREE.Group();
+    this.scene.add(this.root);
+
+    this.colliders = [];
+    this.raycastMeshes = [];
+    this.spawnPoints = [];
+    this.arcades = [];
+    this.barrels = [];
+    this.bottles = [];
+    this.gifts = [];
+    this.pickups = [];
+    this.drops = [];
+    this._nextDropId = 0;
+    this.fireBlocks = [];
+    this.fx = [];
+    this.impacts.clear();
+    this.bombs = [];
+    this._themeTargets = [];
+    this._themeMode = 'default';
+    this.lavaPools = [];
+    this.hackBits = [];
+    this._resetElevators();
+
+    this.seed = seed;
+    this.rng = createRng(seed);
+    this.build();
+    // Keep the current weather look on the new meshes.
+    this.applyTheme(theme);
+    if (this._lighting) this.setLighting(this._lighting);
+    this.setLavaVisible(this._lavaOn);
+    this.setHackBitsVisible(this._hackOn);
+  }
+
+  // Players (or their order, see MatchSimulation.setTeamMode) changed: the elevators follow at the next rebuild().
+  setPlayerIds(ids) {
+    if (ids.length === this.playerIds.length && ids.every((id, i) => id === this.playerIds[i])) return;
+    this.playerIds = ids.slice();
+    this._resetElevators();
+  }
+
+  _resetElevators() {
+    this.elevators = {};
+    for (const id of this.playerIds) {
+      // Anchor + door side are computed from the room size in build().
+      this.elevators[id] = { doorCollider: null, doorMesh: null, display: null, cabin: null, anchor: new THREE.Vector3(), doorDir: 1 };
+    }
+  }
+
+  // 2 players: opposite ends of the room. 3-4: one per corner, each diagonally across from another.
+  // 5-6: plus the middle of each end wall. Odd slots sit on the -X end, even ones on +X (team sides).
+  // Doors always face the center (doorDir +1 = towards +X).
+  _placeElevators(roomW, roomD) {
+    const x = roomW / 2 - 12;
+    const z = this.playerIds.length > 2 ? roomD / 2 - 15 : 0;
+    const spots = [
+      [-1, -1],
+      [1, 1],
+      [-1, 1],
+      [1, -1],
+      [-1, 0],
+      [1, 0]
+    ];
+    this.playerIds.forEach((id, i) => {
+      const [sideX, sideZ] = spots[i % spots.length];
+      const e = this.elevators[id];
+      e.anchor.set(sideX * x, 0, sideZ * z);
+      e.doorDir = -sideX;
+    });
+  }
+
+  // True if (x, z) is within reachX / reachZ of any elevator (keeps props out of the exits).
+  _nearElevator(x, z, reachX, reachZ) {
+    return Object.values(this.elevators).some((e) => Math.abs(x - e.anchor.x) < reachX && Math.abs(z - e.anchor.z) < reachZ);
+  }
+
   build() {
-    const scene = this.scene;
+    const root = this.root;
 
     // Lighting: general + neon-ish accents.
     this.lights.ambient = new THREE.AmbientLight(0xffffff, 0.35);
-    scene.add(this.lights.ambient);
+    root.add(this.lights.ambient);
     this.lights.hemi = new THREE.HemisphereLight(0x9ecbff, 0x2a1b12, 0.45);
-    scene.add(this.lights.hemi);
+    root.add(this.lights.hemi);
     this.lights.key = new THREE.DirectionalLight(0xffffff, 0.65);
     const key = this.lights.key;
     key.position.set(15, 22, 8);
     key.castShadow = false;
-    scene.add(key);
+    root.add(key);
 
     // Room dimensions.
     const roomW = this.roomW; // X
     const roomD = this.roomD; // Z
     const wallH = 8;
 
-    // Move elevators to opposite ends of the (bigger) room.
-    this.elevators.p1.anchor.set(-roomW / 2 + 12, 0, 0);
-    this.elevators.p2.anchor.set(roomW / 2 - 12, 0, 0);
+    // Move elevators to the ends of the (bigger) room.
+    this._placeElevators(roomW, roomD);
 
     // Floor.
     const floorGeo = new THREE.PlaneGeometry(roomW, roomD, 1, 1);
@@ -165,7 +314,7 @@ export class World {
     });
     const floor = new THREE.Mesh(floorGeo, floorMat);
     floor.receiveShadow = false;
-    scene.add(floor);
+    root.add(floor);
     this._registerThemeMesh(floor);
 
     // Walls (4 thin boxes) + colliders.
@@ -178,7 +327,7 @@ export class World {
     const mkWall = (w, h, d, x, y, z) => {
       const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), wallMat);
       mesh.position.set(x, y, z);
-      scene.add(mesh);
+      root.add(mesh);
       this._addColliderFromMesh(mesh, 'wall');
       this._registerThemeMesh(mesh);
       return mesh;
@@ -190,6 +339,9 @@ export class World {
     mkWall(thickness, wallH, roomD + thickness, roomW / 2, wallH / 2, 0);
     mkWall(thickness, wallH, roomD + thickness, -roomW / 2, wallH / 2, 0);
 
+    // Mezzanines + ramps (before the props, which stay clear of the walls they stand on).
+    this._addMezzanines(roomW, roomD, wallMat);
+
     // Neon signs (simple emissive planes).
     const neonMat = new THREE.MeshStandardMaterial({
       color: 0x0a0f1a,
@@ -200,27 +352,40 @@ export class World {
     });
     const neon1 = new THREE.Mesh(new THREE.PlaneGeometry(10, 2), neonMat);
     neon1.position.set(0, 6, -roomD / 2 + 0.55);
-    scene.add(neon1);
+    root.add(neon1);
     const neon2 = neon1.clone();
     neon2.material = neonMat.clone();
     neon2.material.emissive = new THREE.Color(0xff4fd7);
     neon2.position.set(0, 6, roomD / 2 - 0.55);
     neon2.rotateY(Math.PI);
-    scene.add(neon2);
+    root.add(neon2);
 
     // Props & arcade machines.
     this._addArcadesAndProps(roomW, roomD);
     this._addElevators();
+    // All colliders are in: bake the nav grid (spawn points below are checked against it).
+    this.nav.bake();
     this._buildSpawnPoints(roomW, roomD);
     this._addLavaPools(roomW, roomD);
     this._ensureHackBits();
     this._addBottles(roomW, roomD, 14);
+    this._addPickups(roomW, roomD);
+  }
+
+  // Path for a player from `from` to `to` around the props (see NavGrid.findPath): waypoints or null.
+  findPath(from, to) {
+    return this.nav.findPath(from, to);
   }
 
   spawnGift(x, z) {
     // Allow up to 2 gifts alive at once.
     const alive = this.gifts.filter((g) => g.state !== 'opened').length;
     if (alive >= 2) return;
+    // Land on open floor (not on top of a prop or in a pocket nobody can reach).
+    const spot = this.nav.nearestOpen(x, z, 12);
+    if (!spot) return;
+    x = spot.x;
+    z = spot.z;
 
     const baseMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.55, metalness: 0.1 });
     const ribbonMat = new THREE.MeshStandardMaterial({
@@ -240,11 +405,12 @@ export class World {
     const gift = new THREE.Group();
     gift.add(box, r1, r2, bow);
     gift.position.set(x, 18, z);
-    gift.rotation.y = randRange(-Math.PI, Math.PI);
-    this.scene.add(gift);
+    gift.rotation.y = randRange(-Math.PI, Math.PI, this.rng);
+    this.root.add(gift);
 
     const id = this.gifts.length;
-    this.gifts.push({ id, mesh: gift, state: 'falling', vel: new THREE.Vector3(randRange(-0.05, 0.05), -0.7, randRange(-0.05, 0.05)) });
+    const vel = new THREE.Vector3(randRange(-0.05, 0.05, this.rng), -0.7, randRange(-0.05, 0.05, this.rng));
+    this.gifts.push({ id, mesh: gift, state: 'falling', vel });
   }
 
   openGiftNear(pos) {
@@ -266,34 +432,97 @@ export class World {
     return true;
   }
 
+  // Medkits + armor vests, spread out between the bottles and snapped onto open floor.
+  _addPickups(roomW, roomD) {
+    const spots = this.bottles.map((b) => b.position.clone());
+    const builders = { medkit: buildMedkit, armor: buildArmorVest, ammo: buildAmmoBox };
+    for (const [kind, { count, amount }] of Object.entries(PICKUPS)) {
+      for (let i = 0; i < count; i++) {
+        const spot = this._pickScatterSpot(roomW, roomD, spots, 7);
+        const open = this.nav.nearestOpen(spot.x, spot.z, 6);
+        if (!open) continue;
+        const mesh = builders[kind]();
+        mesh.position.set(open.x, 0.45, open.z);
+        this.root.add(mesh);
+        this.pickups.push({ id: this.pickups.length, kind, amount, mesh, position: new THREE.Vector3(open.x, 0, open.z), taken: false, respawnT: 0 });
+      }
+    }
+  }
+
+  // Hides a pickup until its respawn timer runs out. False if it's already gone.
+  takePickup(id) {
+    const p = this.pickups[id];
+    if (!p || p.taken) return false;
+    p.taken = true;
+    p.respawnT = PICKUPS[p.kind].respawn;
+    p.mesh.visible = false;
+    return true;
+  }
+
+  // Puts a weapon on the floor at `pos`. Online clients pass the server's `id` so later events match up.
+  spawnDrop(type, pos, { mag, reserve }, id = this._nextDropId) {
+    this._nextDropId = Math.max(this._nextDropId, id + 1);
+    const mesh = new THREE.Group();
+    const model = buildWeaponModel(type);
+    model.position.set(0, 0, 0);
+    model.rotation.set(0, 0, 0);
+    model.scale.multiplyScalar(1.8);
+    mesh.add(model);
+    // Falls to whatever is under the spot (a deck, a ramp, the floor).
+    const y = this.groundHeightAt(pos.x, pos.z, pos.y);
+    mesh.position.set(pos.x, y + 0.35, pos.z);
+    this.root.add(mesh);
+    const drop = { id, type, mag, reserve, mesh, position: new THREE.Vector3(pos.x, y, pos.z), ttl: DROP_LIFETIME };
+    this.drops.push(drop);
+    return drop;
+  }
+
+  // Removes a drop from the floor; returns it (null if it's already gone).
+  takeDrop(id) {
+    const i = this.drops.findIndex((d) => d.id === id);
+    if (i < 0) return null;
+    const [drop] = this.drops.splice(i, 1);
+    this.root.remove(drop.mesh);
+    return drop;
+  }
+
+  clearDrops() {
+    for (const d of this.drops) this.root.remove(d.mesh);
+    this.drops = [];
+  }
+
   pickBottle(id) {
     const b = this.bottles[id];
     if (!b || b.picked) return false;
     b.picked = true;
     b.mesh.visible = false;
-    if (b.mesh.userData.light) this.scene.remove(b.mesh.userData.light);
+    if (b.mesh.userData.light) this.root.remove(b.mesh.userData.light);
     return true;
   }
 
+  // Random floor spot away from the walls, the elevators and at least `gap` m from every spot in `spots`
+  // (the new one is added to it). Bottles and pickups are scattered with this.
+  _pickScatterSpot(roomW, roomD, spots, gap = 9) {
+    const marginX = 18;
+    const marginZ = 14;
+    for (let tries = 0; tries < 120; tries++) {
+      const x = randRange(-roomW / 2 + marginX, roomW / 2 - marginX, this.rng);
+      const z = randRange(-roomD / 2 + marginZ, roomD / 2 - marginZ, this.rng);
+      if (this._nearElevator(x, z, 18, 16)) continue; // avoid elevators
+      const ok = spots.every((p) => (p.x - x) ** 2 + (p.z - z) ** 2 > gap * gap);
+      if (!ok) continue;
+      const v = new THREE.Vector3(x, 0, z);
+      spots.push(v);
+      return v;
+    }
+    return new THREE.Vector3(0, 0, 0);
+  }
+
   _addBottles(roomW, roomD, count) {
     // Gold bottles scattered around (pickup).
     this.bottles.length = 0;
     const spots = [];
-    const pickSpot = () => {
-      const marginX = 18;
-      const marginZ = 14;
-      for (let tries = 0; tries < 120; tries++) {
-        const x = randRange(-roomW / 2 + marginX, roomW / 2 - marginX);
-        const z = randRange(-roomD / 2 + marginZ, roomD / 2 - marginZ);
-        if (Math.abs(x) > roomW / 2 - 30 && Math.abs(z) < 16) continue; // avoid elevators
-        const ok = spots.every((p) => (p.x - x) ** 2 + (p.z - z) ** 2 > 9 * 9);
-        if (!ok) continue;
-        const v = new THREE.Vector3(x, 0, z);
-        spots.push(v);
-        return v;
-      }
-      return new THREE.Vector3(0, 0, 0);
-    };
+    const pickSpot = () => this._pickScatterSpot(roomW, roomD, spots);
 
     const mat = new THREE.MeshStandardMaterial({
       color: 0xffd24a,
@@ -316,8 +545,8 @@ export class World {
       cap.position.y = 1.12;
       g.add(body, neck, cap);
       g.position.set(pos.x, 0, pos.z);
-      g.rotation.y = randRange(-Math.PI, Math.PI);
-      this.scene.add(g);
+      g.rotation.y = randRange(-Math.PI, Math.PI, this.rng);
+      this.root.add(g);
       // No per-bottle point light (performance). Emissive is enough.
       g.userData.light = null;
       this.bottles.push({ id, mesh: g, position: new THREE.Vector3(pos.x, 0, pos.z), picked: false });
@@ -339,8 +568,8 @@ export class World {
       if (f.light) f.light.intensity = flick * 2.0;
 
       if (f.t <= 0) {
-        this.scene.remove(f.mesh);
-        if (f.light) this.scene.remove(f.light);
+        this.root.remove(f.mesh);
+        if (f.light) this.root.remove(f.light);
         this.fireBlocks.splice(i, 1);
       } else {
         f.mesh.updateMatrixWorld(true);
@@ -376,14 +605,36 @@ export class World {
       if (g.state === 'falling') {
         g.vel.y -= 2.2 * dt;
         g.mesh.position.addScaledVector(g.vel, dt);
-        if (g.mesh.position.y <= 0.4) {
-          g.mesh.position.y = 0.4;
+        const rest = this.groundHeightAt(g.mesh.position.x, g.mesh.position.z, g.mesh.position.y) + 0.4;
+        if (g.mesh.position.y <= rest) {
+          g.mesh.position.y = rest;
           g.state = 'ready';
           g.vel.set(0, 0, 0);
         }
       }
     }
 
+    // Pickups: spin, and come back once the timer runs out.
+    for (const p of this.pickups) {
+      p.mesh.rotation.y += dt * 1.6;
+      if (!p.taken) continue;
+      p.respawnT -= dt;
+      if (p.respawnT <= 0) {
+        p.taken = false;
+        p.mesh.visible = true;
+      }
+    }
+
+    // Dropped weapons: spin, and vanish after a while.
+    for (let i = this.drops.length - 1; i >= 0; i--) {
+      const d = this.drops[i];
+      d.mesh.rotation.y += dt * 1.2;
+      d.ttl -= dt;
+      if (d.ttl <= 0) this.takeDrop(d.id);
+    }
+
+    this.impacts.update(dt);
+
     // Update one-shot FX.
     for (let i = this.fx.length - 1; i >= 0; i--) {
       const fx = this.fx[i];
@@ -392,7 +643,7 @@ export class World {
       fx.mesh.scale.setScalar(0.6 + k * 2.2);
       fx.mesh.material.opacity = Math.max(0, 1 - k);
       if (fx.t <= 0) {
-        this.scene.remove(fx.mesh);
+        this.root.remove(fx.mesh);
         this.fx.splice(i, 1);
       }
     }
@@ -417,7 +668,7 @@ export class World {
         }
         if (b.fuse <= 0) {
           const pos = b.mesh.position.clone();
-          this.scene.remove(b.mesh);
+          this.root.remove(b.mesh);
           this.bombs.splice(i, 1);
 
           // Explosion visual.
@@ -432,7 +683,7 @@ export class World {
             })
           );
           fx.position.set(pos.x, 0.7, pos.z);
-          this.scene.add(fx);
+          this.root.add(fx);
           this.fx.push({ mesh: fx, t: 0.35, maxT: 0.35 });
 
           // 6 fire blocks.
@@ -464,7 +715,7 @@ export class World {
   _addLavaPools(roomW, roomD) {
     // Big visible lava patches around the arena.
     // They are visuals only (no collision, no damage).
-    for (const m of this.lavaPools) this.scene.remove(m);
+    for (const m of this.lavaPools) this.root.remove(m);
     this.lavaPools.length = 0;
 
     const spots = [
@@ -489,9 +740,9 @@ export class World {
       });
       const mesh = new THREE.Mesh(geo, mat);
       mesh.position.copy(pos);
-      mesh.rotation.y = randRange(-Math.PI, Math.PI);
+      mesh.rotation.y = randRange(-Math.PI, Math.PI, this.rng);
       mesh.visible = false;
-      this.scene.add(mesh);
+      this.root.add(mesh);
       this.lavaPools.push(mesh);
     };
 
@@ -499,7 +750,7 @@ export class World {
   }
 
   _ensureHackBits() {
-    if (this.hackBits.length) return;
+    if (this.hackBits.length || this.headless) return;
     const canvas = document.createElement('canvas');
     canvas.width = 256;
     canvas.height = 128;
@@ -528,12 +779,13 @@ export class World {
       );
       s.userData._seed = Math.random() * 1000;
       s.visible = false;
-      this.scene.add(s);
+      this.root.add(s);
       this.hackBits.push(s);
     }
   }
 
   setLighting({ ambient, hemi, key, tint }) {
+    this._lighting = { ambient, hemi, key, tint };
     // Safe no-op if called before build.
     if (this.lights.ambient) this.lights.ambient.intensity = ambient;
     if (this.lights.hemi) this.lights.hemi.intensity = hemi;
@@ -549,20 +801,104 @@ export class World {
     for (const x of xs) {
       for (const z of zs) {
         if (Math.abs(x) > 28 && Math.abs(z) < 6) continue; // keep center lanes near elevators cleaner
-        pts.push(new THREE.Vector3(x + randRange(-2, 2), 0, z + randRange(-2, 2)));
+        const jx = randRange(-2, 2, this.rng);
+        const jz = randRange(-2, 2, this.rng);
+        // Props are random: move points off them (and out of walled-in pockets) onto open floor.
+        const p = this.nav.nearestOpen(x + jx, z + jz, 6);
+        if (p) pts.push(p);
       }
     }
     this.spawnPoints = pts;
   }
 
-  _addColliderFromMesh(mesh, tag) {
-    mesh.updateMatrixWorld(true);
+  // A deck on pillars against each long wall, with a ramp up along the wall. Players stand on the deck
+  // and walk up the ramp (MatchSimulation._resolveWorldCollisions); the nav grid bakes deck + ramp as a
+  // second layer over the floor, so bots route up there too.
+  _addMezzanines(roomW, roomD, mat) {
+    const { w, d, h, rampLength, rampWidth, deckThickness, pillarGap } = MEZZANINE;
+    for (const side of [-1, 1]) {
+      // Deck against the wall (the walls are 1 m thick, centred on the room edge).
+      const zWall = side * (roomD / 2 - 0.5);
+      const zDeck = zWall - side * (d / 2);
+      const deck = new THREE.Mesh(new THREE.BoxGeometry(w, deckThickness, d), mat);
+      deck.position.set(0, h - deckThickness / 2, zDeck);
+      this.root.add(deck);
+      this._addColliderFromMesh(deck, 'platform', 'wall');
+      this._registerThemeMesh(deck);
+
+      // Pillars under the open edge.
+      const zEdge = zDeck - side * (d / 2 - 0.3);
+      const pillars = Math.round(w / pillarGap);
+      for (let i = 0; i <= pillars; i++) {
+        const pillar = new THREE.Mesh(new THREE.BoxGeometry(0.5, h - deckThickness, 0.5), mat);
+        pillar.position.set(-w / 2 + 0.3 + (i / pillars) * (w - 0.6), (h - deckThickness) / 2, zEdge);
+        this.root.add(pillar);
+        this._addColliderFromMesh(pillar, 'pillar', 'wall');
+        this._registerThemeMesh(pillar);
+      }
+
+      // Ramp along the wall, leaving the deck's east end (north) / west end (south) and sloping down away from it.
+      const dir = -side;
+      const xTop = dir * (w / 2);
+      const xFoot = xTop + dir * rampLength;
+      const zRamp = zWall - side * (rampWidth / 2);
+      this._addRamp({ x: (xTop + xFoot) / 2, z: zRamp, axis: 'x', length: rampLength, width: rampWidth, rise: h, up: -dir, mat });
+    }
+  }
+
+  // Wedge `length` m long on `axis`, `width` m across, rising `rise` m towards `up` (+1 / -1 along the axis).
+  _addRamp({ x, z, axis, length, width, rise, up, mat }) {
+    const shape = new THREE.Shape();
+    shape.moveTo(-length / 2, 0);
+    shape.lineTo(length / 2, 0);
+    shape.lineTo(length / 2, rise);
+    shape.closePath();
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: width, bevelEnabled: false });
+    // Shape is drawn in XY rising towards +X; centre the extrusion on Z, then turn it to face `up` on `axis`.
+    geo.translate(0, 0, -width / 2);
+    if (up < 0) geo.rotateY(Math.PI);
+    if (axis === 'z') geo.rotateY(-Math.PI / 2);
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(x, 0, z);
+    this.root.add(mesh);
+    this._addColliderFromMesh(mesh, 'ramp', 'wall');
+    this._registerThemeMesh(mesh);
+    const mid = axis === 'x' ? x : z;
+    this.colliders[this.colliders.length - 1].ramp = { axis, from: mid - (up * length) / 2, to: mid + (up * length) / 2, rise };
+    return mesh;
+  }
+
+  // Height of the top of collider `c` at (x, z): the box top, or the slope for a ramp.
+  surfaceTop(c, x, z) {
+    const ramp = c.ramp;
+    if (!ramp) return c.box.max.y;
+    const t = clamp(((ramp.axis === 'x' ? x : z) - ramp.from) / (ramp.to - ramp.from), 0, 1);
+    return c.box.min.y + t * ramp.rise;
+  }
+
+  // Height of what something at (x, z) would rest on (floor, prop top, deck, ramp), ignoring anything above `y`.
+  groundHeightAt(x, z, y = Infinity) {
+    let ground = 0;
+    for (const c of this.colliders) {
+      const b = c.box;
+      if (c.disabled || x < b.min.x || x > b.max.x || z < b.min.z || z > b.max.z) continue;
+      const top = this.surfaceTop(c, x, z);
+      if (top <= y + STEP_HEIGHT && top > ground) ground = top;
+    }
+    return ground;
+  }
+
+  // `surface` (SURFACES) decides what bullets do to it; defaults to the tag.
+  _addColliderFromMesh(mesh, tag, surface = tag) {
+    // Include parents: grouped meshes (barrels) are positioned via their group.
+    mesh.updateWorldMatrix(true, true);
     const box = new THREE.Box3().setFromObject(mesh);
-    this.colliders.push({ box, tag });
+    mesh.userData.surface = surface;
+    this.colliders.push({ box, tag, surface });
     this.raycastMeshes.push(mesh);
   }
 
-  _addBoxProp({ size, pos, color, tag }) {
+  _addBoxProp({ size, pos, color, tag, surface }) {
     const mesh = new THREE.Mesh(
       new THREE.BoxGeometry(size.x, size.y, size.z),
       new THREE.MeshStandardMaterial({
@@ -572,14 +908,14 @@ export class World {
       })
     );
     mesh.position.copy(pos);
-    this.scene.add(mesh);
-    this._addColliderFromMesh(mesh, tag);
+    this.root.add(mesh);
+    this._addColliderFromMesh(mesh, tag, surface);
     this._registerThemeMesh(mesh);
     return mesh;
   }
 
   _addArcadesAndProps(roomW, roomD) {
-    const scene = this.scene;
+    const root = this.root;
     const mkArcade = (x, z, taskIndex = null) => {
       const body = new THREE.Mesh(
         new THREE.BoxGeometry(1.2, 2.2, 1.1),
@@ -593,7 +929,7 @@ export class World {
         })
       );
       body.position.set(x, 1.1, z);
-      scene.add(body);
+      root.add(body);
       this._addColliderFromMesh(body, 'arcade');
       this._registerThemeMesh(body);
 
@@ -606,7 +942,7 @@ export class World {
         })
       );
       screen.position.set(x, 1.5, z + 0.56);
-      scene.add(screen);
+      root.add(screen);
       this._registerThemeMesh(screen);
 
       if (taskIndex != null) {
@@ -619,7 +955,7 @@ export class World {
     };
 
     // Task machines: "çok farklı random yerlerde" and far apart.
-    // We randomize their XZ positions each build (i.e., each page load / deploy).
+    // We randomize their XZ positions each build from the world seed (same seed -> same spots).
     // They are kept away from the walls and from each other.
     this.arcades.length = 0;
     const placed = [];
@@ -627,10 +963,10 @@ export class World {
       const marginX = 18;
       const marginZ = 14;
       for (let tries = 0; tries < 100; tries++) {
-        const x = randRange(-roomW / 2 + marginX, roomW / 2 - marginX);
-        const z = randRange(-roomD / 2 + marginZ, roomD / 2 - marginZ);
+        const x = randRange(-roomW / 2 + marginX, roomW / 2 - marginX, this.rng);
+        const z = randRange(-roomD / 2 + marginZ, roomD / 2 - marginZ, this.rng);
         // Keep away from elevators.
-        if (Math.abs(x) > roomW / 2 - 28 && Math.abs(z) < 14) continue;
+        if (this._nearElevator(x, z, 16, 14)) continue;
         const ok = placed.every((p) => (p.x - x) ** 2 + (p.z - z) ** 2 > 28 * 28);
         if (!ok) continue;
         const v = new THREE.Vector3(x, 0, z);
@@ -650,8 +986,8 @@ export class World {
 
     // Extra decorative machines (spread around the larger room).
     for (let i = 0; i < 12; i++) {
-      const x = randRange(-roomW / 2 + 14, roomW / 2 - 14);
-      const z = randRange(-roomD / 2 + 10, roomD / 2 - 10);
+      const x = randRange(-roomW / 2 + 14, roomW / 2 - 14, this.rng);
+      const z = randRange(-roomD / 2 + 10, roomD / 2 - 10, this.rng);
       mkArcade(x, z, null);
     }
 
@@ -705,25 +1041,27 @@ export class World {
     // - long flags/banners (uzun flamalar)
     for (let i = 0; i < 10; i++) {
       this._addBoxProp({
-        size: new THREE.Vector3(randRange(6, 14), randRange(1.6, 2.6), 0.6),
-        pos: new THREE.Vector3(randRange(-roomW / 2 + 24, roomW / 2 - 24), 0.9, randRange(-roomD / 2 + 18, roomD / 2 - 18)),
+        size: new THREE.Vector3(randRange(6, 14, this.rng), randRange(1.6, 2.6, this.rng), 0.6),
+        pos: new THREE.Vector3(randRange(-roomW / 2 + 24, roomW / 2 - 24, this.rng), 0.9, randRange(-roomD / 2 + 18, roomD / 2 - 18, this.rng)),
         color: 0x2a3244,
-        tag: 'prop'
+        tag: 'prop',
+        surface: 'panel'
       });
     }
     for (let i = 0; i < 16; i++) {
       this._addBoxProp({
-        size: new THREE.Vector3(randRange(1.2, 2.6), randRange(0.8, 1.6), randRange(1.2, 2.6)),
-        pos: new THREE.Vector3(randRange(-roomW / 2 + 20, roomW / 2 - 20), 0.6, randRange(-roomD / 2 + 16, roomD / 2 - 16)),
+        size: new THREE.Vector3(randRange(1.2, 2.6, this.rng), randRange(0.8, 1.6, this.rng), randRange(1.2, 2.6, this.rng)),
+        pos: new THREE.Vector3(randRange(-roomW / 2 + 20, roomW / 2 - 20, this.rng), 0.6, randRange(-roomD / 2 + 16, roomD / 2 - 16, this.rng)),
         color: 0x3a2a1e,
-        tag: 'prop'
+        tag: 'prop',
+        surface: 'crate'
       });
     }
     // Tables (long and low).
     for (let i = 0; i < 8; i++) {
       this._addBoxProp({
-        size: new THREE.Vector3(randRange(3.8, 6.8), 1.0, randRange(1.2, 2.2)),
-        pos: new THREE.Vector3(randRange(-roomW / 2 + 22, roomW / 2 - 22), 0.5, randRange(-roomD / 2 + 18, roomD / 2 - 18)),
+        size: new THREE.Vector3(randRange(3.8, 6.8, this.rng), 1.0, randRange(1.2, 2.2, this.rng)),
+        pos: new THREE.Vector3(randRange(-roomW / 2 + 22, roomW / 2 - 22, this.rng), 0.5, randRange(-roomD / 2 + 18, roomD / 2 - 18, this.rng)),
         color: 0x2b3b55,
         tag: 'prop'
       });
@@ -731,29 +1069,29 @@ export class World {
     // Spikes/skewers (decor, not colliders to avoid annoying gameplay).
     for (let i = 0; i < 30; i++) {
       const spike = new THREE.Mesh(
-        new THREE.ConeGeometry(0.12, randRange(0.8, 1.6), 8),
+        new THREE.ConeGeometry(0.12, randRange(0.8, 1.6, this.rng), 8),
         new THREE.MeshStandardMaterial({ color: 0x9099a8, roughness: 0.25, metalness: 0.7 })
       );
-      spike.position.set(randRange(-roomW / 2 + 18, roomW / 2 - 18), 0.4, randRange(-roomD / 2 + 14, roomD / 2 - 14));
-      this.scene.add(spike);
+      spike.position.set(randRange(-roomW / 2 + 18, roomW / 2 - 18, this.rng), 0.4, randRange(-roomD / 2 + 14, roomD / 2 - 14, this.rng));
+      this.root.add(spike);
       // no collider
     }
     // Banners: thin emissive planes.
     for (let i = 0; i < 10; i++) {
       const banner = new THREE.Mesh(
-        new THREE.PlaneGeometry(0.8, randRange(6, 10)),
+        new THREE.PlaneGeometry(0.8, randRange(6, 10, this.rng)),
         new THREE.MeshStandardMaterial({
           color: 0x0a0f1a,
-          emissive: Math.random() < 0.5 ? 0x34a2ff : 0xff4fd7,
+          emissive: this.rng() < 0.5 ? 0x34a2ff : 0xff4fd7,
           emissiveIntensity: 1.6,
           side: THREE.DoubleSide,
           roughness: 0.4,
           metalness: 0.1
         })
       );
-      banner.position.set(randRange(-roomW / 2 + 10, roomW / 2 - 10), 4.2, randRange(-roomD / 2 + 10, roomD / 2 - 10));
-      banner.rotation.y = randRange(-Math.PI, Math.PI);
-      this.scene.add(banner);
+      banner.position.set(randRange(-roomW / 2 + 10, roomW / 2 - 10, this.rng), 4.2, randRange(-roomD / 2 + 10, roomD / 2 - 10, this.rng));
+      banner.rotation.y = randRange(-Math.PI, Math.PI, this.rng);
+      this.root.add(banner);
     }
 
     // Explosive barrels: lots around the arena.
@@ -774,10 +1112,10 @@ export class World {
       })
     );
     mesh.position.set(x, 14, z);
-    this.scene.add(mesh);
+    this.root.add(mesh);
     this.bombs.push({
       mesh,
-      vel: new THREE.Vector3(randRange(-0.8, 0.8), -randRange(4.5, 7.5), randRange(-0.8, 0.8)),
+      vel: new THREE.Vector3(randRange(-0.8, 0.8, this.rng), -randRange(4.5, 7.5, this.rng), randRange(-0.8, 0.8, this.rng)),
       state: 'falling',
       fuse: 2.0
     });
@@ -790,10 +1128,10 @@ export class World {
       const marginX = 16;
       const marginZ = 14;
       for (let tries = 0; tries < 150; tries++) {
-        const x = randRange(-roomW / 2 + marginX, roomW / 2 - marginX);
-        const z = randRange(-roomD / 2 + marginZ, roomD / 2 - marginZ);
+        const x = randRange(-roomW / 2 + marginX, roomW / 2 - marginX, this.rng);
+        const z = randRange(-roomD / 2 + marginZ, roomD / 2 - marginZ, this.rng);
         // Keep away from elevators.
-        if (Math.abs(x) > roomW / 2 - 30 && Math.abs(z) < 16) continue;
+        if (this._nearElevator(x, z, 18, 16)) continue;
         // Keep away from task arcades so they aren't blocked.
         const nearTask = this.arcades.some((a) => (a.position.x - x) ** 2 + (a.position.z - z) ** 2 < 8 * 8);
         if (nearTask) continue;
@@ -830,8 +1168,7 @@ export class World {
       new THREE.Vector3(-roomW * 0.25, 0, 0),
       new THREE.Vector3(roomW * 0.25, 0, 0),
       // Near elevator exits
-      new THREE.Vector3(this.elevators.p1.anchor.x + 10, 0, 0),
-      new THREE.Vector3(this.elevators.p2.anchor.x - 10, 0, 0)
+      ...Object.values(this.elevators).map((e) => new THREE.Vector3(e.anchor.x + e.doorDir * 10, 0, e.anchor.z))
     ];
 
     const makeBarrelAt = (p, id) => {
@@ -844,8 +1181,8 @@ export class World {
       r2.position.y = 0.78;
       barrel.add(body, r1, r2);
       barrel.position.set(p.x, 0, p.z);
-      barrel.rotation.y = randRange(-Math.PI, Math.PI);
-      this.scene.add(barrel);
+      barrel.rotation.y = randRange(-Math.PI, Math.PI, this.rng);
+      this.root.add(barrel);
 
       // Collider + raycast on body mesh.
       body.userData.isBarrel = true;
@@ -856,7 +1193,7 @@ export class World {
       // Glow light so it's obvious.
       const light = new THREE.PointLight(0xff7a1a, 1.2, 6.0, 2.0);
       light.position.set(p.x, 1.1, p.z);
-      this.scene.add(light);
+      this.root.add(light);
       barrel.userData.light = light;
 
       this.barrels.push({ id, mesh: barrel, collider, exploded: false });
@@ -872,8 +1209,11 @@ export class World {
     if (!b || b.exploded) return null;
     b.exploded = true;
     b.mesh.visible = false;
-    if (b.collider) b.collider.disabled = true;
-    if (b.mesh.userData.light) this.scene.remove(b.mesh.userData.light);
+    if (b.collider) {
+      b.collider.disabled = true;
+      this.nav.rebake(b.collider.box);
+    }
+    if (b.mesh.userData.light) this.root.remove(b.mesh.userData.light);
 
     const pos = b.mesh.position.clone();
 
@@ -889,7 +1229,7 @@ export class World {
       })
     );
     fx.position.set(pos.x, 0.7, pos.z);
-    this.scene.add(fx);
+    this.root.add(fx);
     this.fx.push({ mesh: fx, t: 0.35, maxT: 0.35 });
 
     // Spawn 4 fire blocks on the ground.
@@ -906,7 +1246,52 @@ export class World {
     return pos;
   }
 
-  _spawnFireBlock(x, z, { lifetime = 20.0, withLight = true } = {}) {
+  // Laser impact: two short-lived lava blocks either side of the hit point.
+  spawnLaserBlast(x, z) {
+    this._spawnFireBlock(x + 0.6, z, { lifetime: 9.0, withLight: false });
+    this._spawnFireBlock(x - 0.6, z, { lifetime: 9.0, withLight: false });
+  }
+
+  // A shot landing on a surface (`normal` pointing out of it, `surface` from SURFACES or 'floor'):
+  // bullet hole + sparks / dust. Wallbangs get one where the round went in and one where it came out.
+  spawnImpact(pos, normal, surface) {
+    if (!SURFACES[surface]?.moves) this.impacts.addDecal('hole', pos, normal);
+    this.impacts.burst(surface, pos, normal);
+  }
+
+  // Projectile detonation flash (grenade / rocket / molotov), sized to the blast radius.
+  spawnBlastFx(pos, radius) {
+    const fx = new THREE.Mesh(
+      new THREE.SphereGeometry(radius * 0.35, 10, 8),
+      new THREE.MeshBasicMaterial({
+        color: 0xffb13b,
+        transparent: true,
+        opacity: 1,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      })
+    );
+    fx.position.copy(pos);
+    this.root.add(fx);
+    this.fx.push({ mesh: fx, t: 0.35, maxT: 0.35 });
+    // Scorch mark on the floor under a low blast.
+    if (pos.y < 1.5) this.impacts.addDecal('scorch', { x: pos.x, y: 0, z: pos.z }, UP, radius * 0.4);
+  }
+
+  // Molotov burn zone: one fire block in the middle and the rest in a ring `spread` m out. Each block
+  // lands on whatever is under it at height `y` (where the bottle broke): a deck, a ramp or the floor.
+  spawnFirePatch(x, z, { count = 7, spread = 1.4, lifetime = 8.0, y = 0 } = {}) {
+    this._spawnFireBlock(x, z, { lifetime, y: this.groundHeightAt(x, z, y) });
+    for (let i = 1; i < count; i++) {
+      const a = ((i - 1) / (count - 1)) * Math.PI * 2;
+      const bx = x + Math.cos(a) * spread;
+      const bz = z + Math.sin(a) * spread;
+      this._spawnFireBlock(bx, bz, { lifetime, withLight: false, y: this.groundHeightAt(bx, bz, y) });
+    }
+  }
+
+  // `y`: height of the surface it burns on.
+  _spawnFireBlock(x, z, { lifetime = 20.0, withLight = true, y = 0 } = {}) {
     const mat = new THREE.MeshStandardMaterial({
       color: 0x2a1a06,
       emissive: 0xff9a2f,
@@ -915,14 +1300,14 @@ export class World {
       metalness: 0.0
     });
     const mesh = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.22, 1.2), mat);
-    mesh.position.set(x, 0.09, z);
-    this.scene.add(mesh);
+    mesh.position.set(x, y + 0.09, z);
+    this.root.add(mesh);
 
     let light = null;
     if (withLight) {
       light = new THREE.PointLight(0xffa24a, 2.0, 6.0, 2.0);
-      light.position.set(x, 0.55, z);
-      this.scene.add(light);
+      light.position.set(x, y + 0.55, z);
+      this.root.add(light);
     }
 
     const box = new THREE.Box3().setFromObject(mesh);
@@ -932,18 +1317,19 @@ export class World {
     while (this.fireBlocks.length > this._maxFireBlocks) {
       const old = this.fireBlocks.shift();
       if (!old) break;
-      this.scene.remove(old.mesh);
-      if (old.light) this.scene.remove(old.light);
+      this.root.remove(old.mesh);
+      if (old.light) this.root.remove(old.light);
     }
   }
 
   _addElevators() {
-    const mkElevator = (anchor, key) => {
+    const mkElevator = (key) => {
+      const { anchor, doorDir } = this.elevators[key];
       // Elevator cabin: white walls with a REAL doorway opening.
       // This fixes the "door opens but still looks blocked" bug from a solid cube.
       const cabinGroup = new THREE.Group();
       cabinGroup.position.set(anchor.x, 0, anchor.z);
-      this.scene.add(cabinGroup);
+      this.root.add(cabinGroup);
       this.elevators[key].cabin = cabinGroup;
 
       const cabinMats = [];
@@ -967,7 +1353,6 @@ export class World {
       const d = 5.0;
       const doorH = 4.2;
       const doorW = 3.6; // opening width in Z
-      const doorDir = key === 'p1' ? 1 : -1; // doorway faces center
 
       // Floor + ceiling
       const floor = new THREE.PlaneGeometry(w, d);
@@ -1012,7 +1397,7 @@ export class World {
 
       cabinGroup.userData._mats = cabinMats;
 
-      // Door at the side facing the center (towards +X for P1 elevator, towards -X for P2).
+      // Door at the side facing the center (towards +X for the west elevators, towards -X for the east ones).
       const door = new THREE.Mesh(
         // Slightly larger than the opening to avoid tiny "leaks".
         new THREE.BoxGeometry(0.35, 4.3, 3.9),
@@ -1025,12 +1410,12 @@ export class World {
       // Keep door aligned with the doorway plane and slide along Z in setElevatorDoorOpen().
       door.userData.doorDir = doorDir;
       door.position.set(anchor.x + doorDir * (w / 2 + 0.175), 2.1, anchor.z);
-      this.scene.add(door);
+      this.root.add(door);
 
       this._addColliderFromMesh(door, 'elevatorDoor');
       const doorCollider = this.colliders[this.colliders.length - 1];
       // Used for right-to-left sliding direction in setElevatorDoorOpen().
-      door.userData.slideZDir = key === 'p1' ? 1 : -1;
+      door.userData.slideZDir = doorDir;
 
       // Collision: the visible "frame" mesh is a solid cube (placeholder), so we DO NOT use it
       // for collision. Instead we add invisible wall colliders so players can stand inside.
@@ -1038,7 +1423,7 @@ export class World {
       const mkWall = (w, h, d, x, y, z) => {
         const m = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), wallMat);
         m.position.set(x, y, z);
-        this.scene.add(m);
+        this.root.add(m);
         this._addColliderFromMesh(m, 'elevatorWall');
         return m;
       };
@@ -1053,7 +1438,16 @@ export class World {
       mkWall(t, wallH, innerD, anchor.x - doorDir * (innerW / 2), 2.1, anchor.z);
 
       // A simple in-world "floor number" display (canvas texture on a plane).
+      if (!this.headless && !this._displayCanvas[key]) {
+        this._displayCanvas[key] = document.createElement('canvas');
+        this._displayCtx[key] = this._displayCanvas[key].getContext('2d');
+      }
       const c = this._displayCanvas[key];
+      if (!c) {
+        this.elevators[key].doorCollider = doorCollider;
+        this.elevators[key].doorMesh = door;
+        return;
+      }
       c.width = 256;
       c.height = 128;
       const tex = new THREE.CanvasTexture(c);
@@ -1062,7 +1456,7 @@ export class World {
       const plane = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 0.8), mat);
       plane.position.set(anchor.x, 4.4, anchor.z - 2.2);
       plane.rotation.y = doorDir === 1 ? 0 : Math.PI;
-      this.scene.add(plane);
+      this.root.add(plane);
 
       this.elevators[key].doorCollider = doorCollider;
       this.elevators[key].doorMesh = door;
@@ -1070,8 +1464,7 @@ export class World {
       this.setElevatorDisplay(key, '10');
     };
 
-    mkElevator(this.elevators.p1.anchor, 'p1');
-    mkElevator(this.elevators.p2.anchor, 'p2');
+    for (const key of this.playerIds) mkElevator(key);
   }
 
   setElevatorCabinAlpha(key, alpha) {
@@ -1090,6 +1483,7 @@ export class World {
   setElevatorDisplay(key, text) {
     const ctx = this._displayCtx[key];
     const canvas = this._displayCanvas[key];
+    if (!ctx) return;
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     ctx.fillStyle = '#02040a';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -1109,11 +1503,11 @@ export class World {
     // open01: 0 = closed, 1 = open
     const e = this.elevators[key];
     // Door behavior: slide RIGHT -> LEFT relative to the player's view.
-    // P1 looks +X, so "left" is +Z. P2 looks -X, so "left" is -Z.
-    // So we slide along Z with opposite directions per elevator.
-    const zDir = e.doorMesh.userData.slideZDir ?? (key === 'p1' ? 1 : -1);
+    // West elevators look +X, so "left" is +Z. East ones look -X, so "left" is -Z.
+    // So we slide along Z with opposite directions per side.
+    const zDir = e.doorMesh.userData.slideZDir ?? e.doorDir;
     // Keep door in doorway plane (X fixed) and slide along Z to open.
-    const doorDir = e.doorMesh.userData.doorDir ?? (key === 'p1' ? 1 : -1);
+    const doorDir = e.doorMesh.userData.doorDir ?? e.doorDir;
     e.doorMesh.position.x = e.anchor.x + doorDir * (2.5 + 0.175);
     e.doorMesh.position.z = e.anchor.z + zDir * (open01 * 2.4);
     // Disable collider when mostly open.
@@ -1126,3 +1520,47 @@ export class World {
   }
 }
 
+function buildMedkit() {
+  const g = new THREE.Group();
+  const box = new THREE.Mesh(
+    new THREE.BoxGeometry(0.6, 0.4, 0.45),
+    new THREE.MeshStandardMaterial({ color: 0xf3f6ff, roughness: 0.5, metalness: 0.05, emissive: 0xffffff, emissiveIntensity: 0.15 })
+  );
+  const crossMat = new THREE.MeshStandardMaterial({ color: 0xff2b2b, roughness: 0.5, emissive: 0xff2b2b, emissiveIntensity: 0.5 });
+  const bar1 = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.1, 0.47), crossMat);
+  const bar2 = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.3, 0.47), crossMat);
+  g.add(box, bar1, bar2);
+  return g;
+}
+
+function buildArmorVest() {
+  const g = new THREE.Group();
+  const vestMat = new THREE.MeshStandardMaterial({ color: 0x3f8cff, roughness: 0.6, metalness: 0.3, emissive: 0x3f8cff, emissiveIntensity: 0.25 });
+  const plateMat = new THREE.MeshStandardMaterial({ color: 0x1a1f2a, roughness: 0.4, metalness: 0.7 });
+  const body = new THREE.Mesh(new THREE.BoxGeometry(0.55, 0.65, 0.22), vestMat);
+  const plate = new THREE.Mesh(new THREE.BoxGeometry(0.36, 0.4, 0.06), plateMat);
+  plate.position.z = 0.13;
+  const strapL = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.18, 0.2), vestMat);
+  strapL.position.set(-0.18, 0.4, 0);
+  const strapR = strapL.clone();
+  strapR.position.x = 0.18;
+  g.add(body, plate, strapL, strapR);
+  return g;
+}
+
+function buildAmmoBox() {
+  const g = new THREE.Group();
+  const box = new THREE.Mesh(
+    new THREE.BoxGeometry(0.6, 0.32, 0.4),
+    new THREE.MeshStandardMaterial({ color: 0x56623a, roughness: 0.8, metalness: 0.2, emissive: 0xffd24a, emissiveIntensity: 0.08 })
+  );
+  const brassMat = new THREE.MeshStandardMaterial({ color: 0xd9a441, roughness: 0.3, metalness: 0.9, emissive: 0xffb13b, emissiveIntensity: 0.25 });
+  const roundGeo = new THREE.CylinderGeometry(0.035, 0.035, 0.18, 8);
+  for (let i = 0; i < 4; i++) {
+    const round = new THREE.Mesh(roundGeo, brassMat);
+    round.position.set(-0.15 + i * 0.1, 0.25, 0);
+    g.add(round);
+  }
+  g.add(box);
+  return g;
+}
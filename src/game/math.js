@@ -13,12 +13,13 @@ export function damp(current, target, lambda, dt) {
   return lerp(current, target, 1 - Math.exp(-lambda * dt));
 }
 
-export function randRange(min, max) {
-  return min + Math.random() * (max - min);
+// `rng` is any Math.random-compatible function (see Random.js for the seeded one).
+export function randRange(min, max, rng = Math.random) {
+  return min + rng() * (max - min);
 }
 
-export function choice(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+export function choice(arr, rng = Math.random) {
+  return arr[Math.floor(rng() * arr.length)];
 }
 
 export function dist2(a, b) {